@@ -1,9 +1,20 @@
 /**
  * @file Manages the lifecycle and display of the 3D art gallery content.
  * This class handles fetching gallery data from manifest files, creating 3D meshes for each artwork,
- * arranging them in a circular layout, and managing informational overlays.
+ * arranging them with a pluggable layout (see GalleryLayouts.js), and managing informational overlays.
  */
 
+import { normalizeManifest, isExternalFile } from './Manifest.js';
+import { createLayout } from './GalleryLayouts.js';
+import TextureStreamer from './TextureStreamer.js';
+import ResourceTracker from './ResourceTracker.js';
+import { getMediaSize } from './VideoMedia.js';
+import PanoramaViewer, { isEquirectangularSize } from './PanoramaViewer.js';
+import PaintingInspector from './PaintingInspector.js';
+import Slideshow, { SlideshowIndicator, SLIDESHOW_ORDERS } from './Slideshow.js';
+import ViewingHistory from './ViewingHistory.js';
+import LoadingIndicator from './LoadingIndicator.js';
+
 /**
  * Manages all aspects of loading, displaying, and interacting with the gallery artwork.
  */
@@ -14,37 +25,147 @@ export default class ArtManager {
      * @param {THREE.WebGLRenderer} renderer - The main Three.js renderer.
      * @param {THREE.TextureLoader} textureLoader - The loader for image textures.
      * @param {number} playerHeight - The height of the player, used for vertical positioning of art.
+     * @param {GalleryProviderRegistry} providers - Where galleries are loaded from.
+     * @param {object} [callbacks] - Optional callbacks.
+     * @param {function} [callbacks.onLayoutChange] - Called when a gallery's layout has been decided.
+     * @param {function(boolean): object} [callbacks.getControlHelp] - Returns the controls to list on the welcome message, for VR or desktop.
+     * @param {function(string, number): void} [callbacks.onImageChange] - Called with the gallery and the image index whenever the target image changes.
      */
-    constructor(scene, camera, renderer, textureLoader, playerHeight) {
+    constructor(scene, camera, renderer, textureLoader, playerHeight, providers, callbacks = {}) {
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
         this.textureLoader = textureLoader;
         this.PLAYER_HEIGHT = playerHeight;
+        this.providers = providers;
+        this.callbacks = callbacks;
 
         // Group to hold all painting objects for easy manipulation
         this.artGroup = null;
-        this.diagnosticLabels = [];
+        this.infoCards = [];
         this.totalPaintings = 0;
         this.galleryRadius = 10;
         this.MAX_PAINTING_HEIGHT = 2.5;
         this.targetImageIndex = 0;
+        this.targetPosition = new THREE.Vector3();
         this.targetQuaternion = new THREE.Quaternion();
         this.diagnosticMode = false;
+
+        // The active layout strategy; replaced for every gallery.
+        this.layout = this._createLayout(null);
+
+        // --- Texture streaming ---
+        // Galleries larger than the threshold only keep full-resolution textures near the target image.
+        this.STREAMING_THRESHOLD = 60;
+        this.STREAMING_WINDOW = 8;
+        this.LOW_RES_WINDOW = 24;
+        this.DEFAULT_ASPECT_RATIO = 4 / 3;
+        // The largest width or height requested from providers that can choose, such as IIIF image servers.
+        this.MAX_IMAGE_SIZE = 2048;
+        this.streamer = null;
+        this.paintingGroups = [];
+        // The provider of the current gallery, which is told when the gallery closes.
+        this.provider = null;
+
+        // The video element of the target painting, if it is a video. Only this video plays.
+        this.activeVideo = null;
+
+        // 360° images open in a sphere around the viewer instead of on their flat panel.
+        this.panoramaViewer = new PanoramaViewer(scene, camera);
+
+        // Brings the target painting up close for zooming and panning.
+        this.inspector = new PaintingInspector(scene, camera);
+
+        // --- Slideshow ---
+        // Advances the target image on a timer; started from the menu, a key or the `slideshow` URL parameter.
+        this.slideshow = new Slideshow();
+        this.slideshowIndicator = new SlideshowIndicator(camera);
+        this.SLIDESHOW_DWELL_CHOICES = [4, 8, 15, 30, 60];
+
+        // --- Loading progress ---
+        // Shown while the manifest loads and until the first textures around the target have arrived or failed.
+        this.loadingIndicator = new LoadingIndicator(camera);
+        this.initialLoadComplete = false;
+
+        // --- Viewing history ---
+        // Galleries resume at the image last viewed; the viewer can star paintings. The gallery name is set once its manifest has loaded.
+        this.history = new ViewingHistory();
+        this.galleryName = null;
+        // The index last recorded in the history, so that each change of target is recorded once.
+        this.recordedIndex = -1;
+        // An image to open the next gallery at instead of its resume point, e.g. a starred painting chosen in the menu.
+        this.startFile = null;
+
+        // --- URL state ---
+        // The URL names the gallery (`f`), the image (`i`, counted from 1), and optionally the `layout` and the
+        // `view` ('inspect' or 'panorama'). The image and view are kept up to date without adding history entries.
+        this.urlGallery = null; // The `f` and `layout` parameters the current gallery was loaded with
+        this.urlLayout = null;
+        this.urlState = { index: -1, view: null }; // What the URL shows now
+        this.pendingView = null; // A view from the URL, opened once the target painting has loaded
+
+        // Shared by every painting: meshes are scaled to size, and untextured paintings show the placeholder material.
+        this.paintingGeometry = new THREE.PlaneGeometry(1, 1);
+        this.placeholderMaterial = new THREE.MeshBasicMaterial({ color: 0x2a2a2a, side: THREE.DoubleSide });
+        // Starred paintings carry a star in their top right corner.
+        this.STAR_MARKER_SIZE = 0.18;
+        this.starMarkerGeometry = new THREE.PlaneGeometry(this.STAR_MARKER_SIZE, this.STAR_MARKER_SIZE);
+        this.starMarkerMaterial = this._createStarMarkerMaterial();
+
+        // --- Resource lifecycle ---
+        // Everything created for the current gallery (except streamed textures, which the streamer owns) is tracked here
+        // and freed on reset. The generation counter lets late callbacks from a previous gallery recognise themselves.
+        this.resources = new ResourceTracker();
+        this.loadGeneration = 0;
+        this.manifestAbortController = null;
+    }
+
+    /**
+     * Returns counters describing the resources currently held for the gallery.
+     * After switching galleries repeatedly these should return to the same values.
+     * @returns {{tracked: {geometries: number, materials: number, textures: number}, streamedTextures: number, paintings: number, infoCards: number}}
+     */
+    getResourceCounters() {
+        return {
+            tracked: this.resources.getCounts(),
+            streamedTextures: this.streamer ? this.streamer.getLoadedCount() : 0,
+            paintings: this.paintingGroups.length,
+            infoCards: this.infoCards.length
+        };
     }
 
     /**
-     * Returns the configured radius of the gallery circle.
-     * @returns {number} The gallery radius.
+     * Creates a layout for the current gallery. The `layout` URL parameter takes precedence over the manifest.
+     * @param {string|object|null} manifestLayout - The `layout` value from the manifest, if any.
+     * @returns {GalleryLayout}
+     * @private
      */
-    getGalleryRadius() {
-        return this.galleryRadius;
+    _createLayout(manifestLayout) {
+        const urlLayout = new URLSearchParams(window.location.search).get('layout');
+        return createLayout(urlLayout || manifestLayout, {
+            radius: this.galleryRadius,
+            baseHeight: this.PLAYER_HEIGHT + 0.3,
+            maxPaintingHeight: this.MAX_PAINTING_HEIGHT
+        });
+    }
+
+    /**
+     * Returns where the player should stand to view the current layout.
+     * @param {THREE.Vector3} out - Receives the position (only X and Z are meaningful).
+     * @returns {THREE.Vector3} The `out` vector.
+     */
+    getViewerStart(out) {
+        return this.layout.getViewerStart(out);
     }
 
     /**
      * Selects the next image in the gallery sequence.
      */
     selectNextImage() {
+        this.closePanorama();
+        this.closeInspection();
+        // A view requested by the URL belongs to the image the URL named.
+        this.pendingView = null;
         if (this.totalPaintings > 0) {
             this.targetImageIndex = (this.targetImageIndex + 1) % this.totalPaintings;
         }
@@ -54,13 +175,451 @@ export default class ArtManager {
      * Selects the previous image in the gallery sequence.
      */
     selectPreviousImage() {
+        this.closePanorama();
+        this.closeInspection();
+        // A view requested by the URL belongs to the image the URL named.
+        this.pendingView = null;
         if (this.totalPaintings > 0) {
             this.targetImageIndex = (this.targetImageIndex - 1 + this.totalPaintings) % this.totalPaintings;
         }
     }
 
     /**
-     * Toggles the visibility of diagnostic information labels on the paintings.
+     * Stars the target painting, or removes its star.
+     */
+    toggleStar() {
+        const paintingGroup = this.paintingGroups[this.targetImageIndex];
+        if (!paintingGroup) return;
+        this.history.toggleStar(this.galleryName, paintingGroup.userData.image);
+        this._updateStarMarker(paintingGroup);
+    }
+
+    /**
+     * Whether the target painting is starred.
+     * @returns {boolean|null} Null when there is no painting to star.
+     */
+    isTargetStarred() {
+        const paintingGroup = this.paintingGroups[this.targetImageIndex];
+        return paintingGroup ? this.history.isStarred(this.galleryName, paintingGroup.userData.image.file) : null;
+    }
+
+    /**
+     * Adds or removes the star of a painting to match the history, and keeps it in the painting's corner.
+     * @param {THREE.Group} paintingGroup
+     * @private
+     */
+    _updateStarMarker(paintingGroup) {
+        const starred = this.history.isStarred(this.galleryName, paintingGroup.userData.image.file);
+        let marker = paintingGroup.userData.starMarker;
+        if (starred && !marker) {
+            marker = new THREE.Mesh(this.starMarkerGeometry, this.starMarkerMaterial);
+            paintingGroup.add(marker);
+            paintingGroup.userData.starMarker = marker;
+        } else if (!starred && marker) {
+            paintingGroup.remove(marker);
+            paintingGroup.userData.starMarker = marker = null;
+        }
+        if (marker) {
+            const painting = paintingGroup.userData.painting;
+            const inset = this.STAR_MARKER_SIZE * 0.7;
+            marker.position.set(painting.scale.x / 2 - inset, painting.scale.y / 2 - inset, 0.01);
+        }
+    }
+
+    /**
+     * Draws the star shown on starred paintings.
+     * @returns {THREE.MeshBasicMaterial}
+     * @private
+     */
+    _createStarMarkerMaterial() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128; canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+        ctx.font = 'bold 112px sans-serif';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.lineWidth = 8;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.strokeText('★', 64, 68);
+        ctx.fillStyle = '#ffd700';
+        ctx.fillText('★', 64, 68);
+        return new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true, side: THREE.DoubleSide });
+    }
+
+    /**
+     * Records the target image in the viewing history when it has changed, and reports the change.
+     * @private
+     */
+    _recordView() {
+        const paintingGroup = this.paintingGroups[this.targetImageIndex];
+        if (!paintingGroup || this.targetImageIndex === this.recordedIndex) return;
+        this.recordedIndex = this.targetImageIndex;
+        this.history.recordView(this.galleryName, paintingGroup.userData.image.file);
+        if (this.callbacks.onImageChange) this.callbacks.onImageChange(this.galleryName, this.targetImageIndex);
+    }
+
+    /**
+     * Chooses the image a gallery opens at: the requested start image, else the image in the URL, else the image
+     * last viewed there, else the first.
+     * @param {string} galleryName
+     * @param {object[]} images - The normalized manifest entries.
+     * @returns {number}
+     * @private
+     */
+    _getStartIndex(galleryName, images) {
+        const urlIndex = this._getUrlImageIndex(images.length);
+        if (!this.startFile && urlIndex !== null) return urlIndex;
+        const file = this.startFile || this.history.getLastImage(galleryName);
+        const index = file ? images.findIndex(image => image.file === file) : -1;
+        return Math.max(0, index);
+    }
+
+    /**
+     * Reads the image from the `i` URL parameter.
+     * @param {number} count - The number of images in the gallery; larger numbers select the last image.
+     * @returns {number|null} The image index, or null if the URL names no image.
+     * @private
+     */
+    _getUrlImageIndex(count) {
+        const number = parseInt(new URLSearchParams(window.location.search).get('i'), 10);
+        return number >= 1 && count > 0 ? Math.min(number, count) - 1 : null;
+    }
+
+    /**
+     * Reads the `view` URL parameter.
+     * @returns {'inspect'|'panorama'|null}
+     * @private
+     */
+    _getUrlView() {
+        const view = new URLSearchParams(window.location.search).get('view');
+        return view === 'inspect' || view === 'panorama' ? view : null;
+    }
+
+    /**
+     * Brings the scene in line with the URL after the browser went back or forward. A different gallery or layout
+     * is loaded afresh; within the same gallery, the image and view are selected.
+     * @returns {boolean} Whether the gallery was reloaded.
+     */
+    handleUrlChange() {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.get('f') !== this.urlGallery || urlParams.get('layout') !== this.urlLayout) {
+            this.resetGallery();
+            return true;
+        }
+        const index = this._getUrlImageIndex(this.totalPaintings);
+        const view = this._getUrlView();
+        const imageChanged = index !== null && index !== this.targetImageIndex;
+        if (imageChanged || view !== this._getCurrentView()) {
+            this.closePanorama();
+            this.closeInspection();
+        }
+        if (imageChanged) this.targetImageIndex = index;
+        this.pendingView = view;
+        return false;
+    }
+
+    /**
+     * Opens the view requested by the URL once the target painting's full-resolution texture has loaded.
+     * A panorama view only applies to panoramas.
+     * @private
+     */
+    _applyPendingView() {
+        if (!this.pendingView) return;
+        const paintingGroup = this.paintingGroups[this.targetImageIndex];
+        if (!paintingGroup || paintingGroup.userData.textureLevel !== 'full') return;
+
+        if (this.pendingView !== this._getCurrentView()) {
+            if (this.pendingView === 'panorama' && this.isPanorama(this.targetImageIndex)) this.openPanorama();
+            else if (this.pendingView === 'inspect') this.toggleInspection();
+        }
+        this.pendingView = null;
+    }
+
+    /**
+     * Returns how the target painting is being viewed, in the terms of the `view` URL parameter.
+     * @returns {'inspect'|'panorama'|null}
+     * @private
+     */
+    _getCurrentView() {
+        if (this.panoramaViewer.isActive()) return 'panorama';
+        return this.inspector.isActive() ? 'inspect' : null;
+    }
+
+    /**
+     * Mirrors the target image and the view into the URL, replacing the current history entry, so that the address
+     * can be shared and reloads return to the same painting.
+     * @private
+     */
+    _updateImageUrl() {
+        if (!this.galleryName || this.pendingView) return;
+        const view = this._getCurrentView();
+        if (this.urlState.index === this.targetImageIndex && this.urlState.view === view) return;
+        this.urlState = { index: this.targetImageIndex, view };
+
+        const url = new URL(window.location);
+        url.searchParams.set('i', this.targetImageIndex + 1);
+        if (view) url.searchParams.set('view', view);
+        else url.searchParams.delete('view');
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Starts advancing through the gallery automatically. The dwell time is kept in the URL so that
+     * a link or a reload resumes the slideshow.
+     */
+    startSlideshow() {
+        this.slideshow.start();
+        this._updateSlideshowUrl();
+    }
+
+    /**
+     * Stops the slideshow and hides its countdown.
+     */
+    stopSlideshow() {
+        this.slideshow.stop();
+        this.slideshowIndicator.hide();
+        this._updateSlideshowUrl();
+    }
+
+    /**
+     * Starts or stops the slideshow.
+     */
+    toggleSlideshow() {
+        if (this.slideshow.isRunning()) this.stopSlideshow();
+        else this.startSlideshow();
+    }
+
+    /**
+     * Returns the current slideshow settings, for display in the menu.
+     * @returns {{running: boolean, dwell: number, order: string}}
+     */
+    getSlideshowSettings() {
+        return { running: this.slideshow.isRunning(), dwell: this.slideshow.dwell, order: this.slideshow.order };
+    }
+
+    /**
+     * Switches the slideshow to the next order (sequential, shuffle, ping-pong).
+     */
+    cycleSlideshowOrder() {
+        const next = SLIDESHOW_ORDERS[(SLIDESHOW_ORDERS.indexOf(this.slideshow.order) + 1) % SLIDESHOW_ORDERS.length];
+        this.slideshow.setOrder(next);
+        this._updateSlideshowUrl();
+    }
+
+    /**
+     * Switches the slideshow to the next of the preset dwell times.
+     */
+    cycleSlideshowDwell() {
+        const choices = this.SLIDESHOW_DWELL_CHOICES;
+        const next = choices.find(seconds => seconds > this.slideshow.dwell) || choices[0];
+        this.slideshow.setDwell(next);
+        this._updateSlideshowUrl();
+    }
+
+    /**
+     * Tells the slideshow that the user is interacting, so that it holds the current image for a while.
+     */
+    notifyInteraction() {
+        this.slideshow.notifyInteraction();
+    }
+
+    /**
+     * Applies the `slideshow` (dwell seconds) and `slideshowOrder` URL parameters.
+     * A running slideshow keeps running, from the start of the new gallery.
+     * @private
+     */
+    _applySlideshowUrlParams() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const order = urlParams.get('slideshowOrder');
+        if (order) this.slideshow.setOrder(order);
+
+        const dwell = parseFloat(urlParams.get('slideshow'));
+        if (dwell > 0) {
+            this.slideshow.setDwell(dwell);
+            if (!this.slideshow.isRunning()) this.slideshow.start();
+        }
+        this.slideshow.restart();
+    }
+
+    /**
+     * Mirrors the slideshow state into the URL without adding a history entry.
+     * @private
+     */
+    _updateSlideshowUrl() {
+        const url = new URL(window.location);
+        if (this.slideshow.isRunning()) {
+            url.searchParams.set('slideshow', this.slideshow.dwell);
+            if (this.slideshow.order !== 'sequential') url.searchParams.set('slideshowOrder', this.slideshow.order);
+            else url.searchParams.delete('slideshowOrder');
+        } else {
+            url.searchParams.delete('slideshow');
+            url.searchParams.delete('slideshowOrder');
+        }
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Whether the player should be kept in place, e.g. while standing inside a panorama or inspecting a painting.
+     * @returns {boolean}
+     */
+    isMovementLocked() {
+        return this.panoramaViewer.isActive() || this.inspector.isActive();
+    }
+
+    /**
+     * Whether the target painting is being inspected up close.
+     * @returns {boolean}
+     */
+    isInspecting() {
+        return this.inspector.isActive();
+    }
+
+    /**
+     * Brings the target painting in front of the viewer, or sends it back to its slot.
+     */
+    toggleInspection() {
+        if (this.inspector.isActive()) {
+            this.closeInspection();
+            return;
+        }
+        const paintingGroup = this.paintingGroups[this.targetImageIndex];
+        if (!paintingGroup) return;
+        this.closePanorama();
+        this.inspector.open(paintingGroup.userData.painting);
+    }
+
+    /**
+     * Ends the inspection, if any, and returns the painting to its slot.
+     * @param {boolean} [immediate=false] - Skip the return animation.
+     */
+    closeInspection(immediate = false) {
+        this.inspector.close(immediate);
+    }
+
+    /**
+     * Zooms the inspected painting.
+     * @param {number} factor - The zoom multiplier (above 1 zooms in).
+     */
+    zoomInspection(factor) {
+        this.inspector.zoomBy(factor);
+    }
+
+    /**
+     * Pans the inspected painting.
+     * @param {number} dx - Metres to the viewer's right.
+     * @param {number} dy - Metres up.
+     */
+    panInspection(dx, dy) {
+        this.inspector.panBy(dx, dy);
+    }
+
+    /**
+     * Performs the main action for the target painting: closes an open panorama, opens a panorama,
+     * or plays/pauses a video.
+     */
+    activateTarget() {
+        if (this.panoramaViewer.isActive()) {
+            this.closePanorama();
+        } else if (this.getTargetVideo()) {
+            this.toggleVideoPlayback();
+        } else if (this.isPanorama(this.targetImageIndex)) {
+            this.openPanorama();
+        }
+    }
+
+    /**
+     * Checks whether a painting is a 360° panorama, either declared in the manifest or
+     * detected from the 2:1 aspect ratio of its loaded image.
+     * @param {number} index - The painting index.
+     * @returns {boolean}
+     */
+    isPanorama(index) {
+        const paintingGroup = this.paintingGroups[index];
+        if (!paintingGroup) return false;
+        const image = paintingGroup.userData.image;
+        if (image.projection) return image.projection === 'equirectangular';
+        if (image.type === 'video') return false;
+        const size = paintingGroup.userData.mediaSize || (image.width && image.height ? { width: image.width, height: image.height } : null);
+        return size ? isEquirectangularSize(size.width, size.height) : false;
+    }
+
+    /**
+     * Opens the target painting as a panorama around the player, hiding the gallery.
+     * The full-resolution texture must have loaded.
+     */
+    openPanorama() {
+        const paintingGroup = this.paintingGroups[this.targetImageIndex];
+        if (!paintingGroup || paintingGroup.userData.textureLevel !== 'full') {
+            console.warn('The panorama is still loading.');
+            return;
+        }
+        // The painting must be back in the hidden art group before the panorama opens.
+        this.closeInspection(true);
+        this.panoramaViewer.open(paintingGroup.userData.painting.material.map, [this.artGroup]);
+    }
+
+    /**
+     * Closes the panorama, if one is open, and returns to the gallery.
+     */
+    closePanorama() {
+        this.panoramaViewer.close();
+    }
+
+    /**
+     * Returns the video element of the target painting, if it is a loaded video.
+     * @returns {HTMLVideoElement|null}
+     */
+    getTargetVideo() {
+        const paintingGroup = this.paintingGroups[this.targetImageIndex];
+        const map = paintingGroup ? paintingGroup.userData.painting.material.map : null;
+        return map && map.isVideoTexture ? map.image : null;
+    }
+
+    /**
+     * Plays or pauses the target video.
+     */
+    toggleVideoPlayback() {
+        const video = this.getTargetVideo();
+        if (!video) return;
+        if (video.paused) video.play().catch(error => console.warn('Video playback was blocked:', error.message));
+        else video.pause();
+    }
+
+    /**
+     * Seeks the target video relative to its current position.
+     * @param {number} seconds - The amount to seek; negative values seek backwards.
+     */
+    seekVideo(seconds) {
+        const video = this.getTargetVideo();
+        if (!video || !isFinite(video.duration)) return;
+        video.currentTime = THREE.MathUtils.clamp(video.currentTime + seconds, 0, video.duration);
+    }
+
+    /**
+     * Mutes or unmutes the target video.
+     */
+    toggleVideoMute() {
+        const video = this.getTargetVideo();
+        if (video) video.muted = !video.muted;
+    }
+
+    /**
+     * Starts the target video (muted) when it becomes the target and pauses the previous one.
+     * @private
+     */
+    _updateVideoPlayback() {
+        const video = this.getTargetVideo();
+        if (video === this.activeVideo) return;
+
+        if (this.activeVideo) this.activeVideo.pause();
+        this.activeVideo = video;
+        if (video) {
+            video.muted = true;
+            video.play().catch(error => console.warn('Video autoplay was blocked:', error.message));
+        }
+    }
+
+    /**
+     * Toggles the visibility of the info cards on the paintings.
      */
     toggleDiagnosticMode() {
         this.diagnosticMode = !this.diagnosticMode;
@@ -68,19 +627,37 @@ export default class ArtManager {
 
     /**
      * Per-frame update logic for the ArtManager.
-     * Handles the smooth rotation of the gallery and updates diagnostic label visibility.
+     * Handles the smooth movement of the gallery and updates info card visibility.
      * @param {boolean} isMenuVisible - Whether the main menu is currently visible.
+     * @param {number} delta - The time since the last frame, in seconds.
      */
-    update(isMenuVisible) {
-        // Smoothly rotate the entire gallery to face the target image, but only if the menu is hidden.
+    update(isMenuVisible, delta) {
+        // The menu shows and hides the art group itself, so it always returns to the gallery.
+        if (isMenuVisible) {
+            this.closePanorama();
+            this.closeInspection();
+        }
+        this.inspector.update();
+        this._updateSlideshow(isMenuVisible, delta);
+        this._updateLoadingIndicator(isMenuVisible);
+
+        // Smoothly move the entire gallery so the layout brings the target image into view, but only if the menu is hidden.
+        if (this.streamer) {
+            this.streamer.setTarget(this.targetImageIndex);
+        }
+        this._updateVideoPlayback();
+        this._recordView();
+        if (!isMenuVisible) this._applyPendingView();
+        this._updateImageUrl();
+
         if (this.artGroup && !isMenuVisible && this.totalPaintings > 0) {
-            const targetAngle = (this.targetImageIndex / this.totalPaintings) * Math.PI * 2;
-            this.targetQuaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), targetAngle);
+            this.layout.getGroupPose(this.targetImageIndex, this.targetPosition, this.targetQuaternion);
+            this.artGroup.position.lerp(this.targetPosition, 0.15);
             this.artGroup.quaternion.slerp(this.targetQuaternion, 0.15);
         }
         
-        // Animate diagnostic labels appearing/disappearing.
-        this.diagnosticLabels.forEach(label => {
+        // Animate info cards appearing/disappearing.
+        this.infoCards.forEach(label => {
             const targetY = this.diagnosticMode ? label.userData.visibleY : label.userData.hiddenY;
             if (this.diagnosticMode) {
                 label.visible = true; 
@@ -94,16 +671,83 @@ export default class ArtManager {
     }
 
     /**
-     * Resets the gallery to its initial state, clearing any existing artwork.
+     * Advances the slideshow, unless something the user opened holds it, and updates its countdown.
+     * @param {boolean} isMenuVisible - Whether the main menu is currently visible.
+     * @param {number} delta - The time since the last frame, in seconds.
+     * @private
      */
-    resetGallery() {
-        // Remove any existing messages from the camera view
-        const emptyMessage = this.camera.getObjectByName("emptyGalleryMessage");
-        if (emptyMessage) { this.camera.remove(emptyMessage); }
-        const welcomeMessage = this.camera.getObjectByName("welcomeMessage");
-        if (welcomeMessage) { this.camera.remove(welcomeMessage); }
+    _updateSlideshow(isMenuVisible, delta) {
+        if (!this.slideshow.isRunning()) return;
+
+        const held = isMenuVisible || this.panoramaViewer.isActive() || this.inspector.isActive();
+        const next = this.slideshow.update(delta, this.targetImageIndex, this.totalPaintings, held);
+        if (next !== null) this.targetImageIndex = next;
+
+        if (isMenuVisible || this.totalPaintings < 2) this.slideshowIndicator.hide();
+        else this.slideshowIndicator.update(this.slideshow);
+    }
+
+    /**
+     * Shows the loading progress until the manifest and the first textures around the target have loaded.
+     * Streaming galleries load more as the viewer moves on; that is not shown.
+     * @param {boolean} isMenuVisible - Whether the main menu is currently visible.
+     * @private
+     */
+    _updateLoadingIndicator(isMenuVisible) {
+        const loadingManifest = this.manifestAbortController !== null;
+        let progress = null;
+        if (this.streamer && !this.initialLoadComplete) {
+            progress = this.streamer.getProgress();
+            if (progress.loaded + progress.failed >= progress.total) this.initialLoadComplete = true;
+        }
+
+        const loadingTextures = progress !== null && !this.initialLoadComplete;
+        if (isMenuVisible || !(loadingManifest || loadingTextures)) this.loadingIndicator.hide();
+        else this.loadingIndicator.update(loadingTextures ? progress : null);
+    }
 
-        this.targetImageIndex = 1;
+    /**
+     * Resets the gallery to its initial state, clearing any existing artwork, and loads the gallery named in the URL.
+     * @param {string|null} [startFile=null] - An image to open the gallery at, instead of where the viewer left off.
+     */
+    resetGallery(startFile = null) {
+        this.closePanorama();
+        // Put the inspected painting back so that it is disposed with the art group.
+        this.closeInspection(true);
+
+        // Invalidate anything still loading for the previous gallery.
+        this.loadGeneration++;
+        if (this.manifestAbortController) {
+            this.manifestAbortController.abort();
+            this.manifestAbortController = null;
+        }
+
+        this.targetImageIndex = 0;
+        this.totalPaintings = 0;
+        this.galleryName = null;
+        this.recordedIndex = -1;
+        this.startFile = startFile;
+        this.urlState = { index: -1, view: null };
+        this.pendingView = this._getUrlView();
+        this.initialLoadComplete = false;
+        this.loadingIndicator.hide();
+        this.layout = this._createLayout(null);
+        this._applySlideshowUrlParams();
+
+        // Release every streamed texture before the paintings are discarded.
+        if (this.streamer) {
+            this.streamer.dispose();
+            this.streamer = null;
+        }
+        if (this.provider) {
+            this.provider.release(this.urlGallery);
+            this.provider = null;
+        }
+        this.paintingGroups = [];
+        this.activeVideo = null;
+
+        // Free the info cards, painting materials and camera messages, and remove the messages from view.
+        this.resources.dispose();
         
         // Remove the entire art group from the scene
         if (this.artGroup) {
@@ -111,7 +755,7 @@ export default class ArtManager {
         }
         
         // Re-initialize containers
-        this.diagnosticLabels = [];
+        this.infoCards = [];
         this.artGroup = new THREE.Group();
         this.artGroup.name = "ArtGroup"; // Assign the name the menu system looks for.
         this.scene.add(this.artGroup);
@@ -121,11 +765,14 @@ export default class ArtManager {
     }
 
     /**
-     * Creates the paintings for the current gallery based on the 'f' URL parameter.
+     * Creates the paintings for the current gallery based on the 'f' URL parameter, loading it from the
+     * provider that handles the name.
      */
     createPaintings() {
         const urlParams = new URLSearchParams(window.location.search);
         const folderName = urlParams.get('f');
+        this.urlGallery = folderName;
+        this.urlLayout = urlParams.get('layout');
 
         // If no folder is specified, show the welcome message.
         if (!folderName) {
@@ -133,79 +780,291 @@ export default class ArtManager {
             return;
         }
 
-        const manifestUrl = `images/${folderName}/manifest.json`;
-        fetch(manifestUrl)
-            .then(response => {
-                if (!response.ok) throw new Error(`Network response was not ok: ${response.statusText}`);
-                return response.json();
-            })
-            .then(manifest => {
-                const imageFiles = manifest.images;
-                imageFiles.reverse(); // Reverse image order for intuitive navigation
-                this.totalPaintings = imageFiles.length; 
+        const generation = this.loadGeneration;
+        const abortController = new AbortController();
+        this.manifestAbortController = abortController;
+
+        const provider = this.providers.getProvider(folderName);
+        this.provider = provider;
+        // Images are requested no larger than the GPU can hold as a texture.
+        const capabilities = this.renderer.capabilities;
+        const maxImageSize = Math.min(this.MAX_IMAGE_SIZE, capabilities ? capabilities.maxTextureSize : this.MAX_IMAGE_SIZE);
+
+        provider.loadManifest(folderName, { signal: abortController.signal, maxImageSize, language: navigator.language || 'en' })
+            .then(rawManifest => {
+                // The user may have switched galleries while the manifest was loading.
+                if (generation !== this.loadGeneration || rawManifest === null) return;
+                this.manifestAbortController = null;
+
+                const manifest = normalizeManifest(rawManifest);
+                const images = manifest.images;
+                this.totalPaintings = images.length; 
 
                 if (this.totalPaintings === 0) {
                     this.displayEmptyGalleryMessage();
                     return;
                 }
-                
-                // Calculate the maximum width for each painting to fit in the circle without overlapping.
-                const circumference = 2 * Math.PI * this.galleryRadius;
-                const gap = 0.5;
-                const maxPaintingWidth = (circumference / this.totalPaintings) - gap;
 
-                imageFiles.forEach((filename, i) => {
+                this.galleryName = folderName;
+                this.targetImageIndex = this._getStartIndex(folderName, images);
+
+                // Each slot decides the position, facing and maximum size of one painting.
+                this.layout = this._createLayout(manifest.layout);
+                const slots = this.layout.arrange(this.totalPaintings);
+                if (this.callbacks.onLayoutChange) this.callbacks.onLayoutChange(this.layout);
+
+                images.forEach((image, i) => {
+                    const slot = slots[i];
                     const paintingGroup = new THREE.Group();
-                    const angle = (i / this.totalPaintings) * Math.PI * 2;
-                    const xPos = Math.sin(angle) * this.galleryRadius;
-                    const zPos = Math.cos(angle) * this.galleryRadius;
-                    const yPos = this.PLAYER_HEIGHT + 0.3;
-
-                    paintingGroup.position.set(xPos, yPos, zPos);
-                    // Rotate the painting to face the center of the gallery
-                    paintingGroup.rotation.y = angle + Math.PI;
-                    
-                    this.artGroup.add(paintingGroup);
+                    paintingGroup.position.copy(slot.position);
+                    paintingGroup.rotation.y = slot.rotationY;
+                    paintingGroup.userData.image = image;
+                    paintingGroup.userData.slot = slot;
+
+                    // Until its texture arrives, each painting is a placeholder of the expected size.
+                    const painting = new THREE.Mesh(this.paintingGeometry, this.placeholderMaterial);
+                    const aspectRatio = (image.width && image.height) ? image.width / image.height : this.DEFAULT_ASPECT_RATIO;
+                    this._fitPainting(painting, aspectRatio, slot);
+                    paintingGroup.add(painting);
+                    paintingGroup.userData.painting = painting;
+                    this._updateStarMarker(paintingGroup);
 
-                    const imageUrl = `images/${folderName}/${filename}`;
-                    this.textureLoader.load(
-                        imageUrl,
-                        (texture) => {
-                            // Calculate the painting's dimensions while maintaining aspect ratio.
-                            const aspectRatio = texture.image.naturalWidth / texture.image.naturalHeight;
-                            let finalHeight = this.MAX_PAINTING_HEIGHT;
-                            let finalWidth = finalHeight * aspectRatio;
-
-                            // If the calculated width is too large, constrain it and adjust height accordingly.
-                            if (finalWidth > maxPaintingWidth) {
-                                finalWidth = maxPaintingWidth;
-                                finalHeight = finalWidth / aspectRatio;
-                            }
-
-                            const painting = new THREE.Mesh(new THREE.PlaneGeometry(finalWidth, finalHeight), new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide }));
-                            paintingGroup.add(painting);
-
-                            this.createDiagnosticLabel(paintingGroup, filename, folderName, texture.image, finalWidth, finalHeight);
-                        },
-                        undefined, // onProgress callback
-                        (error) => { console.error(`Could not load painting: ${imageUrl}`); }
-                    );
+                    this.artGroup.add(paintingGroup);
+                    this.paintingGroups.push(paintingGroup);
                 });
+
+                const streamingOptions = this._getStreamingOptions(manifest);
+                const urlResolver = provider.getUrlResolver(folderName);
+                if (urlResolver) streamingOptions.urlResolver = urlResolver;
+                this.streamer = new TextureStreamer(this.textureLoader, streamingOptions);
+                this.streamer.setSources(
+                    images.map((image, i) => {
+                        const source = provider.resolveImage(folderName, image);
+                        this.paintingGroups[i].userData.source = source;
+                        return source;
+                    }),
+                    {
+                        onLoad: (index, texture, level) => this._applyPaintingTexture(index, texture, level, folderName),
+                        onRelease: (index) => this._releasePaintingTexture(index),
+                        onError: (index, url) => this._showPaintingError(index, url)
+                    }
+                );
+                this.streamer.setTarget(this.targetImageIndex);
             })
             .catch(error => {
+                if (generation !== this.loadGeneration) return;
+                this.manifestAbortController = null;
                 console.error('Failed to create gallery:', error);
-                this.displayEmptyGalleryMessage(); 
+                this.displayGalleryErrorMessage(folderName, error.message);
             });
     }
 
+    /**
+     * Decides whether the gallery streams its textures and with which window.
+     * The `stream` (0 or 1) and `window` URL parameters override the manifest's `streaming` flag,
+     * which in turn overrides the automatic choice based on the gallery size.
+     * @param {object} manifest - The normalized manifest.
+     * @returns {object} Options for the TextureStreamer.
+     * @private
+     */
+    _getStreamingOptions(manifest) {
+        const urlParams = new URLSearchParams(window.location.search);
+        const streamParam = urlParams.get('stream');
+        let streaming = this.totalPaintings > this.STREAMING_THRESHOLD;
+        if (typeof manifest.streaming === 'boolean') streaming = manifest.streaming;
+        if (streamParam !== null) streaming = streamParam !== '0';
+
+        if (!streaming) return { maxConcurrent: 6 };
+
+        const windowRadius = parseInt(urlParams.get('window'), 10) || this.STREAMING_WINDOW;
+        return {
+            windowRadius,
+            lowResWindowRadius: Math.max(windowRadius, this.LOW_RES_WINDOW),
+            maxConcurrent: 3
+        };
+    }
+
+    /**
+     * Scales a painting mesh to the largest size with the given aspect ratio that fits its slot.
+     * @param {THREE.Mesh} painting - The painting mesh (a unit plane).
+     * @param {number} aspectRatio - Width divided by height.
+     * @param {object} slot - The layout slot of the painting.
+     * @private
+     */
+    _fitPainting(painting, aspectRatio, slot) {
+        let finalHeight = slot.maxHeight;
+        let finalWidth = finalHeight * aspectRatio;
+
+        // If the calculated width is too large, constrain it and adjust height accordingly.
+        if (finalWidth > slot.maxWidth) {
+            finalWidth = slot.maxWidth;
+            finalHeight = finalWidth / aspectRatio;
+        }
+        painting.scale.set(finalWidth, finalHeight, 1);
+    }
+
+    /**
+     * Shows a newly streamed texture on a painting, resizing it to the image's aspect ratio.
+     * @param {number} index - The painting index.
+     * @param {THREE.Texture} texture - The loaded texture.
+     * @param {string} level - 'low' or 'full'.
+     * @param {string} folderName - The gallery folder, shown on the info card.
+     * @private
+     */
+    _applyPaintingTexture(index, texture, level, folderName) {
+        const paintingGroup = this.paintingGroups[index];
+        const painting = paintingGroup.userData.painting;
+        this._clearPaintingError(paintingGroup);
+        const { width, height } = getMediaSize(texture.image);
+        const aspectRatio = width / height;
+        paintingGroup.userData.textureLevel = level;
+        if (level === 'full') paintingGroup.userData.mediaSize = { width, height };
+        const previousScale = painting.scale.clone();
+        this._fitPainting(painting, aspectRatio, paintingGroup.userData.slot);
+        this.inspector.handleRefit(painting, previousScale);
+        this._updateStarMarker(paintingGroup);
+
+        if (painting.material === this.placeholderMaterial) {
+            // Tracked before the map is assigned: the streamer, not the tracker, owns streamed textures.
+            painting.material = this.resources.track(new THREE.MeshBasicMaterial({ side: THREE.DoubleSide }));
+            painting.material.map = texture;
+        } else {
+            painting.material.map = texture;
+            painting.material.needsUpdate = true;
+        }
+
+        // The info card reports the real pixel size, so it is only built from the full-resolution image.
+        if (level === 'full' && !paintingGroup.userData.infoCard) {
+            this.createInfoCard(paintingGroup, paintingGroup.userData.image, folderName, texture.image, painting.scale.x, painting.scale.y);
+        }
+    }
+
+    /**
+     * Turns a painting that has nothing to show into an error tile naming the file that failed to load.
+     * A painting already showing its low-resolution version keeps it.
+     * @param {number} index - The painting index.
+     * @param {string} url - The URL that failed.
+     * @private
+     */
+    _showPaintingError(index, url) {
+        console.error(`Could not load painting: ${url}`);
+        const paintingGroup = this.paintingGroups[index];
+        if (!paintingGroup) return;
+        const painting = paintingGroup.userData.painting;
+        if (painting.material !== this.placeholderMaterial && painting.material !== paintingGroup.userData.errorMaterial) return;
+
+        this._clearPaintingError(paintingGroup);
+        // The tile names the manifest's file rather than the URL the provider made of it. Files that are URLs of
+        // their own, such as IIIF service URLs, are long; the painting's title says more.
+        const image = paintingGroup.userData.image;
+        const source = paintingGroup.userData.source;
+        const file = source && url === source.lowResUrl ? image.thumb : image.file;
+        const name = isExternalFile(file) ? (image.title || file) : file;
+        const material = this.resources.track(this._createErrorMaterial(name, painting.scale.x / painting.scale.y));
+        paintingGroup.userData.errorMaterial = material;
+        painting.material = material;
+    }
+
+    /**
+     * Removes a painting's error tile, if it has one, returning it to the placeholder.
+     * @param {THREE.Group} paintingGroup
+     * @private
+     */
+    _clearPaintingError(paintingGroup) {
+        const material = paintingGroup.userData.errorMaterial;
+        if (!material) return;
+        const painting = paintingGroup.userData.painting;
+        if (painting.material === material) painting.material = this.placeholderMaterial;
+        this.resources.release(material);
+        paintingGroup.userData.errorMaterial = null;
+    }
+
+    /**
+     * Draws an error tile with the shape of the painting it replaces.
+     * @param {string} file - The file that failed to load.
+     * @param {number} aspectRatio - Width divided by height.
+     * @returns {THREE.MeshBasicMaterial}
+     * @private
+     */
+    _createErrorMaterial(file, aspectRatio) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = THREE.MathUtils.clamp(Math.round(512 / aspectRatio), 160, 1024);
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.fillStyle = '#2a1a1a';
+        ctx.fillRect(0, 0, width, height);
+        ctx.strokeStyle = '#a33';
+        ctx.lineWidth = 8;
+        ctx.strokeRect(4, 4, width - 8, height - 8);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ff6b6b';
+        ctx.font = 'bold 40px sans-serif';
+        ctx.fillText('⚠ Could not load', width / 2, height / 2 - 28, width - 32);
+        ctx.fillStyle = 'white';
+        ctx.font = '28px sans-serif';
+        ctx.fillText(file, width / 2, height / 2 + 28, width - 32);
+        return new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), side: THREE.DoubleSide });
+    }
+
+    /**
+     * Returns a painting to its placeholder before its texture is disposed by the streamer.
+     * @param {number} index - The painting index.
+     * @private
+     */
+    _releasePaintingTexture(index) {
+        const paintingGroup = this.paintingGroups[index];
+        if (!paintingGroup) return;
+        const painting = paintingGroup.userData.painting;
+        // A panorama showing this texture must not outlive it.
+        if (index === this.targetImageIndex) this.closePanorama();
+        paintingGroup.userData.textureLevel = null;
+
+        if (painting.material !== this.placeholderMaterial) {
+            // Detach the texture first so that releasing the material leaves it to the streamer.
+            painting.material.map = null;
+            this.resources.release(painting.material);
+            painting.material = this.placeholderMaterial;
+        }
+
+        const card = paintingGroup.userData.infoCard;
+        if (card) {
+            this.resources.release(card);
+            this.infoCards.splice(this.infoCards.indexOf(card), 1);
+            paintingGroup.userData.infoCard = null;
+        }
+    }
+
     /**
      * Displays a message indicating that the current gallery is empty.
      */
     displayEmptyGalleryMessage() {
-        if (this.camera.getObjectByName("emptyGalleryMessage")) return;
+        this._displayMessage('emptyGalleryMessage', ['This gallery contains no images.'], '#555');
+    }
+
+    /**
+     * Displays a message indicating that the gallery's manifest could not be loaded or read.
+     * @param {string} folderName - The gallery that failed.
+     * @param {string} reason - What went wrong, e.g. 'manifest.json is not valid JSON.'
+     */
+    displayGalleryErrorMessage(folderName, reason) {
+        this._displayMessage('galleryErrorMessage', [`Could not open gallery "${folderName}"`, reason], '#a33', '#ff6b6b');
+    }
+
+    /**
+     * Attaches a message panel to the camera so that it is always in view, unless one with the same name is shown.
+     * @param {string} name - The name of the panel's group.
+     * @param {string[]} lines - The text; the first line is the heading.
+     * @param {string} borderColor
+     * @param {string} [headingColor='white']
+     * @private
+     */
+    _displayMessage(name, lines, borderColor, headingColor = 'white') {
+        if (this.camera.getObjectByName(name)) return;
 
         const messageGroup = new THREE.Group();
-        messageGroup.name = "emptyGalleryMessage";
+        messageGroup.name = name;
 
         const textCanvas = document.createElement('canvas');
         textCanvas.width = 1024;
@@ -213,14 +1072,23 @@ export default class ArtManager {
         const context = textCanvas.getContext('2d');
         context.fillStyle = '#111';
         context.fillRect(0, 0, 1024, 256);
-        context.strokeStyle = '#555';
+        context.strokeStyle = borderColor;
         context.lineWidth = 10;
         context.strokeRect(0, 0, 1024, 256);
-        context.fillStyle = 'white';
-        context.font = '60px sans-serif';
         context.textAlign = 'center';
         context.textBaseline = 'middle';
-        context.fillText("This gallery contains no images.", 512, 128);
+        if (lines.length === 1) {
+            context.fillStyle = headingColor;
+            context.font = '60px sans-serif';
+            context.fillText(lines[0], 512, 128, 984);
+        } else {
+            context.fillStyle = headingColor;
+            context.font = '52px sans-serif';
+            context.fillText(lines[0], 512, 90, 984);
+            context.fillStyle = '#ccc';
+            context.font = '36px sans-serif';
+            context.fillText(lines[1], 512, 170, 984);
+        }
 
         const texture = new THREE.CanvasTexture(textCanvas);
         const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide });
@@ -229,23 +1097,30 @@ export default class ArtManager {
         messageGroup.add(plane);
         // Attach message to the camera so it's always in view.
         messageGroup.position.set(0, 0, -2.5);
-        this.camera.add(messageGroup);
+        this.camera.add(this.resources.track(messageGroup));
     }
 
     /**
-     * Displays a welcome message with control instructions.
+     * Displays a welcome message listing the controls currently bound.
      */
     displayWelcomeMessage() {
         const messageGroup = new THREE.Group();
         messageGroup.name = "welcomeMessage";
 
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
         // Check if currently in a VR session to adjust the message content
         const isVR = this.renderer.xr.isPresenting;
+        const help = this.callbacks.getControlHelp ? this.callbacks.getControlHelp(isVR) : { sections: [], menuHint: null };
+
+        // Sections alternate between two columns.
+        const columns = [[], []];
+        help.sections.forEach((section, i) => columns[i % 2].push(section));
+        const columnLines = columns.map(column => column.reduce((lines, section) => lines + section.items.length + 1.5, 0));
+        const lineHeight = 44;
 
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
         canvas.width = isVR ? 1200 : 1024;
-        canvas.height = isVR ? 800 : 600;
+        canvas.height = Math.max(400, Math.ceil(290 + Math.max(...columnLines) * lineHeight));
 
         ctx.fillStyle = '#111';
         ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -259,155 +1134,125 @@ export default class ArtManager {
         ctx.font = 'bold 72px sans-serif';
         ctx.fillText('Welcome!', canvas.width / 2, 100);
 
-        if (isVR) {
-            // VR-specific controls
-            ctx.font = '48px sans-serif';
-            ctx.fillText("Use your controllers to navigate", canvas.width / 2, 200);
-
-            const cx = canvas.width / 2;
-            ctx.textAlign = 'left';
-            ctx.font = 'bold 38px sans-serif';
-            ctx.fillText("Left Controller", cx - 450, 300);
-            ctx.fillText("Right Controller", cx + 150, 300);
-
-            ctx.font = '32px sans-serif';
-            ctx.fillText("• Thumbstick: Move / Turn / Scroll", cx - 450, 360);
-            ctx.fillText("• Thumbstick Click: Open Menu", cx - 450, 410);
-            ctx.fillText("• Trigger: Toggle Info & Select Menu", cx - 450, 460);
-            ctx.fillText("• Grip: Clutch Move", cx - 450, 510);
-            ctx.fillText("• X Button: Next Image", cx - 450, 560);
-            ctx.fillText("• Y Button: Previous Image", cx - 450, 610);
-            
-            ctx.fillText("• A Button: Toggle Console", cx + 150, 360);
-            ctx.fillText("• B Button: Toggle Controller Info", cx + 150, 410);
-            ctx.fillText("• Thumbstick: Scroll Console", cx + 150, 460);
-
-
-            ctx.textAlign = 'center';
-            ctx.font = 'bold 42px sans-serif';
-            ctx.fillText("Press JOYSTICK CLICK to open the gallery menu", canvas.width / 2, 720);
-            
-        } else {
-            // Desktop-specific controls
-            ctx.font = '42px sans-serif';
-            ctx.textAlign = 'center';
-            ctx.fillText("Press 'M' to open the gallery menu", canvas.width / 2, 200);
-
-            ctx.font = 'bold 36px sans-serif';
-            ctx.fillText("Navigation", canvas.width / 4, 300);
-            ctx.fillText("Gallery", canvas.width * 0.75, 300);
-
-            ctx.font = '32px sans-serif';
-            ctx.fillText("W/S: Move Fwd/Back", canvas.width / 4, 360);
-            ctx.fillText("A/D: Turn Left/Right", canvas.width / 4, 410);
-            ctx.fillText("Q/E: Strafe Left/Right", canvas.width / 4, 460);
-            ctx.fillText("R/F: Move Up/Down", canvas.width / 4, 510);
-            
-            ctx.fillText("'.': Next Image", canvas.width * 0.75, 360);
-            ctx.fillText("',': Previous Image", canvas.width * 0.75, 410);
-            ctx.fillText("'I': Toggle Info", canvas.width * 0.75, 460);
-        }
+        ctx.font = isVR ? 'bold 42px sans-serif' : '42px sans-serif';
+        const hint = help.menuHint || (isVR ? 'Use your controllers to navigate' : 'Loading controls...');
+        ctx.fillText(hint, canvas.width / 2, 190, canvas.width - 80);
+
+        ctx.textAlign = 'left';
+        const columnWidth = (canvas.width - 120) / 2;
+        columns.forEach((column, c) => {
+            const x = 40 + c * (columnWidth + 40);
+            let y = 290;
+            column.forEach(section => {
+                ctx.font = 'bold 36px sans-serif';
+                ctx.fillText(section.title, x, y, columnWidth);
+                y += lineHeight * 1.5;
+                ctx.font = '30px sans-serif';
+                section.items.forEach(item => {
+                    ctx.fillText(`• ${item}`, x, y, columnWidth);
+                    y += lineHeight;
+                });
+            });
+        });
         
         const texture = new THREE.CanvasTexture(canvas);
         const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide });
         const planeWidth = isVR ? 2.4 : 1.8;
-        const planeHeight = isVR ? 1.6 : 1.05;
+        const planeHeight = planeWidth * canvas.height / canvas.width;
         const plane = new THREE.Mesh(new THREE.PlaneGeometry(planeWidth, planeHeight), material);
 
         messageGroup.add(plane);
         // Attach message to the camera so it's always in view.
         messageGroup.position.set(0, isVR ? 0.2 : 0, -2.5);
-        this.camera.add(messageGroup);
+        this.camera.add(this.resources.track(messageGroup));
+    }
+
+    /**
+     * Redraws the welcome message, if it is shown, e.g. after the controls were rebound.
+     */
+    refreshWelcomeMessage() {
+        const message = this.camera.getObjectByName("welcomeMessage");
+        if (!message) return;
+        this.resources.release(message);
+        this.displayWelcomeMessage();
     }
     
     /**
-     * Creates a diagnostic label for a single painting.
-     * @param {THREE.Group} parent - The parent group (the painting group) to attach the label to.
-     * @param {string} filename - The filename of the image.
+     * Returns a short suffix for the info card describing special media, such as videos and panoramas.
+     * @param {THREE.Group} paintingGroup
+     * @returns {string}
+     * @private
+     */
+    _getMediaLabel(paintingGroup) {
+        if (paintingGroup.userData.image.type === 'video') return ' (video)';
+        if (this.isPanorama(this.paintingGroups.indexOf(paintingGroup))) return ' (360° panorama)';
+        return '';
+    }
+
+    /**
+     * Creates the info card for a single painting, showing its curated metadata
+     * (title, artist, date, caption, alt text, credits) above a diagnostic footer.
+     * @param {THREE.Group} parent - The parent group (the painting group) to attach the card to.
+     * @param {object} image - The normalized manifest entry for the painting.
      * @param {string} folderName - The name of the gallery folder.
-     * @param {HTMLImageElement} image - The loaded image element to get dimensions from.
+     * @param {HTMLImageElement|HTMLVideoElement} imageElement - The loaded image or video element to get dimensions from.
      * @param {number} paintingWidth - The final width of the painting mesh.
      * @param {number} paintingHeight - The final height of the painting mesh.
      */
-    createDiagnosticLabel(parent, filename, folderName, image, paintingWidth, paintingHeight) {
+    createInfoCard(parent, image, folderName, imageElement, paintingWidth, paintingHeight) {
         const labelGroup = new THREE.Group();
-        const fullText = `${folderName}/${filename} - ${image.naturalWidth}x${image.naturalHeight}`;
-        
-        const fontSize = 65;
-        const lineHeight = fontSize * 1.2; // A bit more than the font size for padding
-
-        const padding = 20;
-        const maxWidth = 1800; // Max width before wrapping
-
-        const textCanvas = document.createElement('canvas');
-        const context = textCanvas.getContext('2d');
-        context.font = `${fontSize}px sans-serif`;
-
-        // --- Hierarchical Text Wrapping Logic ---
-        function wrapText(text, ctx, maxWidth) {
-            const lines = [];
-            let remainingText = text;
-
-            while (remainingText.length > 0) {
-                let endIndex = remainingText.length;
-                while (ctx.measureText(remainingText.substring(0, endIndex)).width > maxWidth && endIndex > 0) {
-                    endIndex--;
-                }
 
-                if (endIndex === 0) endIndex = 1; // Failsafe for single chars that are too wide
+        const padding = 30;
+        const maxWidth = 1800; // Max text width before wrapping
 
-                let breakPoint = endIndex;
-                const potentialLine = remainingText.substring(0, endIndex);
-                
-                // If the entire remaining text fits, we are done with this segment
-                if (endIndex === remainingText.length) {
-                    lines.push(remainingText);
-                    break;
-                }
-
-                const lastSlash = potentialLine.lastIndexOf('/');
-                const lastUnderscore = potentialLine.lastIndexOf('_');
-                const lastSpace = potentialLine.lastIndexOf(' ');
-
-                // Find the best break point with slash > underscore > space hierarchy
-                let bestBreak = -1;
-                if (lastSlash > 0) bestBreak = lastSlash + 1;
-                else if (lastUnderscore > 0) bestBreak = lastUnderscore + 1;
-                else if (lastSpace > 0) bestBreak = lastSpace + 1;
-
-                if (bestBreak > 0) {
-                    breakPoint = bestBreak;
-                }
-                
-                lines.push(remainingText.substring(0, breakPoint).trim());
-                remainingText = remainingText.substring(breakPoint).trim();
+        // Each block is rendered as one or more wrapped lines in its own style.
+        const byline = [image.artist, image.date].filter(Boolean).join(', ');
+        const { width, height } = getMediaSize(imageElement);
+        // Images from IIIF manifests are named by the server they come from rather than their service URL.
+        const source = isExternalFile(image.file) ? new URL(image.file, window.location.href).host : `${folderName}/${image.file}`;
+        const blocks = [
+            { text: image.title, font: 'bold 80px sans-serif', lineHeight: 96, color: 'white' },
+            { text: byline, font: 'italic 60px sans-serif', lineHeight: 74, color: '#dddddd' },
+            { text: image.caption, font: '52px sans-serif', lineHeight: 64, color: 'white', gapBefore: 16 },
+            { text: image.alt && `Description: ${image.alt}`, font: '44px sans-serif', lineHeight: 56, color: '#bbbbbb', gapBefore: 16 },
+            { text: image.credits && `Credits: ${image.credits}`, font: '40px sans-serif', lineHeight: 52, color: '#aaaaaa', gapBefore: 16 },
+            {
+                text: `${source} - ${width}x${height}${this._getMediaLabel(parent)}`,
+                font: '40px monospace', lineHeight: 50, color: '#888888', gapBefore: 24
             }
-            return lines;
-        }
+        ].filter(block => block.text);
 
-        const lines = wrapText(fullText, context, maxWidth);
-        // --- End Text Wrapping ---
+        const textCanvas = document.createElement('canvas');
+        const context = textCanvas.getContext('2d');
 
         let actualTextWidth = 0;
-        lines.forEach(line => {
-            actualTextWidth = Math.max(actualTextWidth, context.measureText(line).width);
+        let totalHeight = 0;
+        blocks.forEach((block, i) => {
+            context.font = block.font;
+            block.lines = wrapText(block.text, context, maxWidth);
+            block.lines.forEach(line => {
+                actualTextWidth = Math.max(actualTextWidth, context.measureText(line).width);
+            });
+            if (i > 0 && block.gapBefore) totalHeight += block.gapBefore;
+            totalHeight += block.lines.length * block.lineHeight;
         });
 
-        const canvasWidth = actualTextWidth;
-        const canvasHeight = lines.length * lineHeight;
+        textCanvas.width = actualTextWidth + padding * 2;
+        textCanvas.height = totalHeight + padding * 2;
 
-        textCanvas.width = canvasWidth + padding * 2;
-        textCanvas.height = canvasHeight + padding * 2;
-        
-        // Redraw with final dimensions
-        context.font = `${fontSize}px sans-serif`;
-        context.fillStyle = 'white';
-        context.textAlign = 'center';
+        // Redraw with final dimensions (resizing the canvas resets the context state).
+        context.textAlign = 'left';
         context.textBaseline = 'top';
-
-        for(let i = 0; i < lines.length; i++) {
-            context.fillText(lines[i], textCanvas.width / 2, padding + (i * lineHeight));
-        }
+        let y = padding;
+        blocks.forEach((block, i) => {
+            if (i > 0 && block.gapBefore) y += block.gapBefore;
+            context.font = block.font;
+            context.fillStyle = block.color;
+            block.lines.forEach(line => {
+                context.fillText(line, padding, y);
+                y += block.lineHeight;
+            });
+        });
 
         const texture = new THREE.CanvasTexture(textCanvas);
         const textMaterial = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
@@ -420,7 +1265,7 @@ export default class ArtManager {
         // Create a background panel that matches the new dynamic size
         const panel = new THREE.Mesh(
             new THREE.PlaneGeometry(textPlaneWidth, textPlaneHeight),
-            new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.6 })
+            new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.75 })
         );
 
         panel.position.z = -0.01; // Place panel slightly behind the text
@@ -434,7 +1279,56 @@ export default class ArtManager {
         
         labelGroup.visible = false; // Start invisible
 
-        parent.add(labelGroup);
-        this.diagnosticLabels.push(labelGroup);
+        parent.add(this.resources.track(labelGroup));
+        parent.userData.infoCard = labelGroup;
+        this.infoCards.push(labelGroup);
+    }
+}
+
+/**
+ * Wraps text to fit a maximum width, preferring to break after slashes, then underscores, then spaces.
+ * @param {string} text - The text to wrap.
+ * @param {CanvasRenderingContext2D} ctx - A context with the font already set, used for measuring.
+ * @param {number} maxWidth - The maximum line width in pixels.
+ * @returns {string[]} The wrapped lines.
+ */
+function wrapText(text, ctx, maxWidth) {
+    const lines = [];
+    let remainingText = text;
+
+    while (remainingText.length > 0) {
+        let endIndex = remainingText.length;
+        while (ctx.measureText(remainingText.substring(0, endIndex)).width > maxWidth && endIndex > 0) {
+            endIndex--;
+        }
+
+        if (endIndex === 0) endIndex = 1; // Failsafe for single chars that are too wide
+
+        let breakPoint = endIndex;
+        const potentialLine = remainingText.substring(0, endIndex);
+        
+        // If the entire remaining text fits, we are done with this segment
+        if (endIndex === remainingText.length) {
+            lines.push(remainingText);
+            break;
+        }
+
+        const lastSlash = potentialLine.lastIndexOf('/');
+        const lastUnderscore = potentialLine.lastIndexOf('_');
+        const lastSpace = potentialLine.lastIndexOf(' ');
+
+        // Find the best break point with slash > underscore > space hierarchy
+        let bestBreak = -1;
+        if (lastSlash > 0) bestBreak = lastSlash + 1;
+        else if (lastUnderscore > 0) bestBreak = lastUnderscore + 1;
+        else if (lastSpace > 0) bestBreak = lastSpace + 1;
+
+        if (bestBreak > 0) {
+            breakPoint = bestBreak;
+        }
+        
+        lines.push(remainingText.substring(0, breakPoint).trim());
+        remainingText = remainingText.substring(breakPoint).trim();
     }
+    return lines;
 }
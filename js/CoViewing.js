@@ -0,0 +1,435 @@
+/**
+ * @file Shared viewing sessions. Viewers who open the gallery with the same `room` URL parameter see the same
+ * gallery and image, and see each other as simple head and hand avatars. A small relay passes the messages
+ * between them (see scripts/co-viewing-relay.js).
+ *
+ * The URL parameters are `room` (the room code), `role` ('leader' or 'follower'; by default everyone guides),
+ * `name` (shown above the avatar) and `relay` (the relay's address, by default `/coview` on the server the page
+ * came from, where `npm start` runs it).
+ */
+
+import ResourceTracker from './ResourceTracker.js';
+
+/**
+ * How often the local pose is sent, in messages per second.
+ * @type {number}
+ */
+const POSE_RATE = 10;
+
+/**
+ * The longest wait between attempts to reconnect to the relay, in seconds.
+ * @type {number}
+ */
+const MAX_RECONNECT_DELAY = 15;
+
+/**
+ * The distance between the viewers' starting points, in metres.
+ * @type {number}
+ */
+const SEAT_SPACING = 1.2;
+
+/**
+ * The room codes the relay accepts (the same pattern as in scripts/lib/co-viewing-relay.js).
+ * @type {RegExp}
+ */
+export const ROOM_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+/**
+ * Reads the co-viewing options from the URL.
+ * @returns {{room: string, role: string, name: string|null, relayUrl: string}|null} The options, or null if the
+ *     URL names no room or an unusable relay.
+ */
+export function getCoViewingOptions() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const room = (urlParams.get('room') || '').trim().toLowerCase();
+    if (!room) return null;
+
+    const role = urlParams.get('role');
+    // The relay may be given relative to the page (e.g. `/coview`) or as an http(s) address of the server.
+    let relayUrl;
+    try {
+        relayUrl = new URL(urlParams.get('relay') || '/coview', window.location.href);
+    } catch (error) {
+        console.warn(`Co-viewing is off: '${urlParams.get('relay')}' is not a relay address.`);
+        return null;
+    }
+    if (relayUrl.protocol === 'http:') relayUrl.protocol = 'ws:';
+    else if (relayUrl.protocol === 'https:') relayUrl.protocol = 'wss:';
+    relayUrl.searchParams.set('room', room);
+    return {
+        room,
+        role: role === 'leader' || role === 'follower' ? role : 'peer',
+        name: urlParams.get('name'),
+        relayUrl: relayUrl.toString()
+    };
+}
+
+/**
+ * Returns where a viewer starts, relative to the layout's starting point, so that viewers do not stand inside each
+ * other. Seat 0 is the starting point itself; the others alternate to its right and left.
+ * @param {number} seat - The seat the relay gave the viewer.
+ * @param {THREE.Vector3} out
+ * @returns {THREE.Vector3} The offset, along the world X axis.
+ */
+export function getSeatOffset(seat, out) {
+    const side = seat % 2 === 1 ? 1 : -1;
+    return out.set(side * Math.ceil(seat / 2) * SEAT_SPACING, 0, 0);
+}
+
+/**
+ * The avatars of the other viewers in the room: a head with a visor, a sphere per tracked hand and a name label.
+ */
+export class PeerAvatars {
+    /**
+     * @param {THREE.Scene} scene - The scene the avatars are added to. Poses are in world space.
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.avatars = new Map();
+        this.headGeometry = new THREE.SphereGeometry(0.12, 16, 12);
+        this.visorGeometry = new THREE.BoxGeometry(0.18, 0.06, 0.06);
+        this.handGeometry = new THREE.SphereGeometry(0.04, 12, 8);
+        this.visorMaterial = new THREE.MeshBasicMaterial({ color: 0x111111 });
+    }
+
+    /**
+     * Creates the avatar of a viewer who joined. It stays hidden until their first pose arrives.
+     * @param {{id: number, name: string, role: string}} peer
+     */
+    add(peer) {
+        if (this.avatars.has(peer.id)) return;
+        const resources = new ResourceTracker();
+        const color = new THREE.Color().setHSL((peer.id * 0.618) % 1, 0.65, 0.55);
+        const material = new THREE.MeshBasicMaterial({ color });
+
+        const group = new THREE.Group();
+        group.name = `CoViewer-${peer.id}`;
+        group.visible = false;
+
+        const head = new THREE.Group();
+        head.add(new THREE.Mesh(this.headGeometry, material));
+        const visor = new THREE.Mesh(this.visorGeometry, this.visorMaterial);
+        // Cameras look down -Z, so the visor sits on the front of the head.
+        visor.position.set(0, 0.02, -0.1);
+        head.add(visor);
+        group.add(head);
+
+        const hands = [0, 1].map(() => {
+            const hand = new THREE.Mesh(this.handGeometry, material);
+            hand.visible = false;
+            group.add(hand);
+            return hand;
+        });
+
+        const label = this._createLabel(peer.role === 'leader' ? `${peer.name} (leader)` : peer.name, color);
+        group.add(label);
+
+        // The geometries are shared by all avatars; only the avatar's own material and label are freed with it.
+        resources.track(material);
+        resources.track(label);
+        this.scene.add(group);
+        this.avatars.set(peer.id, { group, head, hands, label, resources, target: null });
+    }
+
+    /**
+     * Removes the avatar of a viewer who left.
+     * @param {number} id
+     */
+    remove(id) {
+        const avatar = this.avatars.get(id);
+        if (!avatar) return;
+        this.scene.remove(avatar.group);
+        avatar.resources.dispose();
+        this.avatars.delete(id);
+    }
+
+    /**
+     * Sets the pose an avatar moves towards.
+     * @param {number} id
+     * @param {{head: object, hands: Array<object|null>}} pose - Positions (`p`) and quaternions (`q`) as arrays.
+     */
+    setPose(id, pose) {
+        const avatar = this.avatars.get(id);
+        if (!avatar || !isPose(pose.head)) return;
+        const hands = Array.isArray(pose.hands) ? pose.hands : [];
+        const snap = avatar.target === null;
+        avatar.target = { head: pose.head, hands: [0, 1].map(i => (isPose(hands[i]) ? hands[i] : null)) };
+        avatar.group.visible = true;
+        if (snap) this.update(Infinity);
+    }
+
+    /**
+     * Moves the avatars smoothly towards their latest poses. Poses arrive a few times a second.
+     * @param {number} delta - The time since the last frame, in seconds.
+     */
+    update(delta) {
+        const alpha = 1 - Math.exp(-12 * delta);
+        this.avatars.forEach(avatar => {
+            if (!avatar.target) return;
+            moveTowards(avatar.head, avatar.target.head, alpha);
+            avatar.hands.forEach((hand, i) => {
+                const target = avatar.target.hands[i];
+                // A hand that appears starts where it is, rather than flying in from its last position.
+                if (target && !hand.visible) moveTowards(hand, target, 1);
+                else if (target) moveTowards(hand, target, alpha);
+                hand.visible = target !== null;
+            });
+            avatar.label.position.copy(avatar.head.position).y += 0.25;
+        });
+    }
+
+    /**
+     * Removes every avatar.
+     */
+    clear() {
+        Array.from(this.avatars.keys()).forEach(id => this.remove(id));
+    }
+
+    /**
+     * Draws a viewer's name on a sprite.
+     * @param {string} text
+     * @param {THREE.Color} color - Drawn as the label's underline, to match the avatar.
+     * @returns {THREE.Sprite}
+     * @private
+     */
+    _createLabel(text, color) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(20, 20, 20, 0.75)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = `#${color.getHexString()}`;
+        ctx.fillRect(0, canvas.height - 6, canvas.width, 6);
+        ctx.fillStyle = 'white';
+        ctx.font = '28px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, canvas.width / 2, (canvas.height - 6) / 2, canvas.width - 16);
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) }));
+        sprite.scale.set(0.4, 0.1, 1);
+        return sprite;
+    }
+}
+
+/**
+ * Whether a value is a pose as sent by another viewer.
+ * @param {*} pose
+ * @returns {boolean}
+ */
+function isPose(pose) {
+    return !!pose && Array.isArray(pose.p) && pose.p.length === 3 && Array.isArray(pose.q) && pose.q.length === 4 &&
+        pose.p.concat(pose.q).every(Number.isFinite);
+}
+
+/**
+ * Moves an object part of the way towards a pose.
+ * @param {THREE.Object3D} object
+ * @param {{p: number[], q: number[]}} pose
+ * @param {number} alpha - 1 jumps to the pose.
+ */
+function moveTowards(object, pose, alpha) {
+    object.position.lerp(new THREE.Vector3().fromArray(pose.p), alpha);
+    object.quaternion.slerp(new THREE.Quaternion().fromArray(pose.q), alpha);
+}
+
+/**
+ * A connection to a co-viewing room. Shares the local gallery and image (unless following), follows the shared
+ * view (unless leading), sends the local pose and shows the other viewers.
+ */
+export default class CoViewingSession {
+    /**
+     * @param {THREE.Scene} scene - The scene the other viewers' avatars are added to.
+     * @param {{room: string, role: string, name: string|null, relayUrl: string}} options - See getCoViewingOptions().
+     * @param {object} callbacks
+     * @param {function({gallery: string, image: number}): void} callbacks.onView - Called with a view to follow.
+     * @param {function(): {head: object, hands: Array<object|null>}} callbacks.getPose - Returns the local head and
+     *     hand poses in world space, as `{p: [x, y, z], q: [x, y, z, w]}`; hands that are not tracked are null.
+     * @param {function(number): void} [callbacks.onSeat] - Called when the relay gives this viewer another seat (see
+     *     getSeatOffset()).
+     */
+    constructor(scene, options, callbacks) {
+        this.options = options;
+        this.callbacks = callbacks;
+        this.avatars = new PeerAvatars(scene);
+        this.peers = new Map();
+        this.socket = null;
+        this.connected = false;
+        this.reconnectDelay = 1;
+        this.poseTimer = 0;
+        this.seat = 0;
+
+        // The view this viewer is on, and the last view sent or followed, so that following a view does not echo it back.
+        this.localView = null;
+        this.sharedView = null;
+
+        this.statusElement = document.getElementById('co-viewing-status');
+        // The relay would turn the room down on every attempt.
+        if (!ROOM_PATTERN.test(options.room)) {
+            console.warn(`Co-viewing is off: '${options.room}' is not a valid room code.`);
+            this._showStatus('Invalid room: use up to 32 letters, digits and dashes');
+            return;
+        }
+        this.connect();
+    }
+
+    /**
+     * Opens the connection to the relay. After it drops, it is retried with a growing delay.
+     */
+    connect() {
+        this._showStatus('Connecting…');
+        const socket = new WebSocket(this.options.relayUrl);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify({ type: 'hello', name: this.options.name, role: this.options.role }));
+        });
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring unreadable co-viewing message:', error.message);
+                return;
+            }
+            this._handleMessage(message);
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.connected = false;
+            this.peers.clear();
+            this.avatars.clear();
+            console.warn(`Co-viewing relay unavailable, retrying in ${this.reconnectDelay} s.`);
+            this._showStatus('Reconnecting…');
+            setTimeout(() => this.connect(), this.reconnectDelay * 1000);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+        });
+    }
+
+    /**
+     * Shares the local gallery and image with the room. Followers only remember it.
+     * @param {string} gallery - The gallery's `f` URL parameter.
+     * @param {number} image - The image index.
+     */
+    shareView(gallery, image) {
+        this.localView = { gallery, image };
+        if (this.options.role === 'follower' || isSameView(this.localView, this.sharedView)) return;
+        this.sharedView = this.localView;
+        this._send({ type: 'view', gallery, image });
+    }
+
+    /**
+     * Sends the local pose now and then, and moves the avatars. Call every frame.
+     * @param {number} delta - The time since the last frame, in seconds.
+     */
+    update(delta) {
+        this.avatars.update(delta);
+        this.poseTimer += delta;
+        if (this.poseTimer < 1 / POSE_RATE) return;
+        this.poseTimer = 0;
+        // Nobody to see the pose.
+        if (this.peers.size === 0) return;
+        const { head, hands } = this.callbacks.getPose();
+        this._send({ type: 'pose', head, hands });
+    }
+
+    /**
+     * @param {object} message - A message from the relay.
+     * @private
+     */
+    _handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.connected = true;
+                this.reconnectDelay = 1;
+                if (Number.isInteger(message.seat) && message.seat !== this.seat) {
+                    this.seat = message.seat;
+                    if (this.callbacks.onSeat) this.callbacks.onSeat(this.seat);
+                }
+                message.peers.forEach(peer => this._addPeer(peer));
+                // Joining viewers take up the room's view; a leader, or the first in the room, sets it instead.
+                if (message.view && this.options.role !== 'leader') {
+                    this._follow(message.view);
+                } else if (this.localView && this.options.role !== 'follower') {
+                    this.sharedView = this.localView;
+                    this._send({ type: 'view', ...this.localView });
+                }
+                break;
+            case 'joined':
+                this._addPeer(message.peer);
+                break;
+            case 'left':
+                this.peers.delete(message.id);
+                this.avatars.remove(message.id);
+                break;
+            case 'view':
+                if (this.options.role !== 'leader') this._follow(message);
+                break;
+            case 'pose':
+                this.avatars.setPose(message.from, message);
+                return;
+            default:
+                return;
+        }
+        this._updateStatus();
+    }
+
+    /**
+     * @param {{id: number, name: string, role: string}} peer
+     * @private
+     */
+    _addPeer(peer) {
+        this.peers.set(peer.id, peer);
+        this.avatars.add(peer);
+    }
+
+    /**
+     * Moves to a view shared by another viewer.
+     * @param {{gallery: string, image: number}} view
+     * @private
+     */
+    _follow(view) {
+        const { gallery, image } = view;
+        this.sharedView = { gallery, image };
+        if (!isSameView(this.sharedView, this.localView)) this.callbacks.onView({ gallery, image });
+    }
+
+    /**
+     * @param {object} message
+     * @private
+     */
+    _send(message) {
+        if (this.connected && this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Shows the room, how many are viewing and the role in the status badge.
+     * @private
+     */
+    _updateStatus() {
+        const count = this.peers.size + 1;
+        let text = `Room ${this.options.room} · ${count} viewing`;
+        if (this.options.role !== 'peer') text += ` · ${this.options.role}`;
+        this._showStatus(text);
+    }
+
+    /**
+     * @param {string} text
+     * @private
+     */
+    _showStatus(text) {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = text;
+        this.statusElement.classList.add('active');
+    }
+}
+
+/**
+ * @param {{gallery: string, image: number}|null} a
+ * @param {{gallery: string, image: number}|null} b
+ * @returns {boolean}
+ */
+function isSameView(a, b) {
+    return !!a && !!b && a.gallery === b.gallery && a.image === b.image;
+}
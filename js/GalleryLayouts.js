@@ -0,0 +1,244 @@
+/**
+ * @file Layout strategies that decide where each painting of a gallery is placed and how the
+ * gallery is moved to bring a given painting into view.
+ *
+ * Every layout arranges "slots" in the local space of the ArtManager's art group. The viewer
+ * always starts at the same place in the world, looking at a fixed "focus" point; navigating
+ * to an image moves the art group (never the player) so that the image's slot ends up at the focus.
+ */
+
+/**
+ * Base class for all gallery layouts.
+ * Subclasses implement `arrange()` and may override `getGroupPose()` for custom navigation.
+ */
+export class GalleryLayout {
+    /**
+     * @param {object} context - Values supplied by the ArtManager.
+     * @param {number} context.radius - The gallery radius; the focus point is this far in front of the origin.
+     * @param {number} context.baseHeight - The height at which the target painting is displayed.
+     * @param {number} context.maxPaintingHeight - The tallest a painting may be.
+     * @param {number} [context.viewDistance=2] - How far in front of the focus point the viewer starts.
+     * @param {object} [options] - Layout-specific options, usually from the manifest.
+     */
+    constructor(context, options = {}) {
+        this.radius = options.radius || context.radius;
+        this.baseHeight = context.baseHeight;
+        this.maxPaintingHeight = context.maxPaintingHeight;
+        this.viewDistance = context.viewDistance || 2;
+        this.gap = options.gap !== undefined ? options.gap : 0.5;
+        this.options = options;
+
+        /** The world position the target painting is moved to. The painting faces back towards -Z. */
+        this.focus = new THREE.Vector3(0, this.baseHeight, this.radius);
+        this.focusQuaternion = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI);
+
+        /** @type {Array<{position: THREE.Vector3, rotationY: number, maxWidth: number, maxHeight: number}>} */
+        this.slots = [];
+    }
+
+    /**
+     * Computes the slot for every painting. Must be implemented by subclasses.
+     * @param {number} count - The number of paintings in the gallery.
+     * @returns {Array<object>} The computed slots (also stored in `this.slots`).
+     */
+    arrange(count) {
+        throw new Error(`${this.constructor.name} does not implement arrange().`);
+    }
+
+    /**
+     * Helper for subclasses to build a slot.
+     * @protected
+     */
+    _slot(x, y, z, rotationY, maxWidth, maxHeight = this.maxPaintingHeight) {
+        return { position: new THREE.Vector3(x, y, z), rotationY, maxWidth: Math.max(0.1, maxWidth), maxHeight };
+    }
+
+    /**
+     * Computes the art group transform that brings the given slot face-on to the focus point.
+     * @param {number} index - The index of the target painting.
+     * @param {THREE.Vector3} outPosition - Receives the group position.
+     * @param {THREE.Quaternion} outQuaternion - Receives the group rotation.
+     */
+    getGroupPose(index, outPosition, outQuaternion) {
+        const slot = this.slots[index];
+        if (!slot) {
+            outPosition.set(0, 0, 0);
+            outQuaternion.identity();
+            return;
+        }
+        // group = focus * inverse(slot): rotate so the slot faces like the focus, then translate it onto the focus.
+        const slotQuaternion = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), slot.rotationY);
+        outQuaternion.copy(this.focusQuaternion).multiply(slotQuaternion.invert());
+        outPosition.copy(slot.position).applyQuaternion(outQuaternion).negate().add(this.focus);
+    }
+
+    /**
+     * Returns where the viewer should stand when the gallery is (re)started.
+     * Only the X and Z components are meaningful; the height is decided by the caller.
+     * @param {THREE.Vector3} out - Receives the position.
+     * @returns {THREE.Vector3} The `out` vector.
+     */
+    getViewerStart(out) {
+        return out.set(this.focus.x, 0, this.focus.z - this.viewDistance);
+    }
+}
+
+/**
+ * The original layout: a single ring of paintings around the viewer, facing the center.
+ */
+export class CircleLayout extends GalleryLayout {
+    arrange(count) {
+        const circumference = 2 * Math.PI * this.radius;
+        const maxWidth = (circumference / count) - this.gap;
+
+        this.slots = [];
+        for (let i = 0; i < count; i++) {
+            // Negative angles place the sequence to the viewer's right.
+            const angle = -(i / count) * Math.PI * 2;
+            this.slots.push(this._slot(Math.sin(angle) * this.radius, this.baseHeight, Math.cos(angle) * this.radius, angle + Math.PI, maxWidth));
+        }
+        return this.slots;
+    }
+}
+
+/**
+ * A curved wall with several rows of paintings, filled column by column.
+ * Options: `rows` (default 3), `columnWidth` (default 3).
+ */
+export class GridWallLayout extends GalleryLayout {
+    arrange(count) {
+        const rows = Math.max(1, Math.min(count, this.options.rows || 3));
+        const columns = Math.ceil(count / rows);
+        const rowHeight = this.maxPaintingHeight * 0.6 + this.gap;
+        const maxHeight = rowHeight - this.gap;
+
+        // Keep columns a readable width; only shrink them if the wall would wrap all the way around.
+        const circumference = 2 * Math.PI * this.radius;
+        const columnWidth = Math.min(this.options.columnWidth || 3, circumference / columns);
+        const angleStep = columnWidth / this.radius;
+
+        this.slots = [];
+        for (let i = 0; i < count; i++) {
+            const column = Math.floor(i / rows);
+            const row = i % rows;
+            const angle = -column * angleStep;
+            const y = this.baseHeight + ((rows - 1) / 2 - row) * rowHeight;
+            this.slots.push(this._slot(Math.sin(angle) * this.radius, y, Math.cos(angle) * this.radius, angle + Math.PI, columnWidth - this.gap, maxHeight));
+        }
+        return this.slots;
+    }
+}
+
+/**
+ * A straight corridor with paintings alternating between the left and right walls.
+ * Navigating slides the corridor past the viewer instead of turning it.
+ * Options: `width` (default 4), `spacing` (default 3), `lookAhead` (default 4).
+ */
+export class CorridorLayout extends GalleryLayout {
+    arrange(count) {
+        const halfWidth = (this.options.width || 4) / 2;
+        const spacing = this.options.spacing || 3;
+
+        this.slots = [];
+        for (let i = 0; i < count; i++) {
+            // Even slots hang on the left wall (+X, facing -X), odd slots on the right wall.
+            const side = i % 2 === 0 ? 1 : -1;
+            const z = Math.floor(i / 2) * spacing;
+            this.slots.push(this._slot(side * halfWidth, this.baseHeight, z, -side * Math.PI / 2, spacing - this.gap));
+        }
+        return this.slots;
+    }
+
+    /**
+     * Slides the corridor along its axis so the target is a little ahead of the viewer.
+     */
+    getGroupPose(index, outPosition, outQuaternion) {
+        const slot = this.slots[index];
+        outQuaternion.identity();
+        if (!slot) {
+            outPosition.set(0, 0, 0);
+            return;
+        }
+        const viewerZ = this.focus.z - this.viewDistance;
+        const lookAhead = this.options.lookAhead || 4;
+        outPosition.set(0, 0, viewerZ + lookAhead - slot.position.z);
+    }
+}
+
+/**
+ * A flat Archimedean spiral, winding outwards, with every painting facing the center.
+ * Options: `innerRadius` (default 6), `pitch` (radial growth per turn, default 3), `spacing` (default 3).
+ */
+export class SpiralLayout extends GalleryLayout {
+    arrange(count) {
+        const innerRadius = this.options.innerRadius || 6;
+        const pitch = this.options.pitch || 3;
+        const spacing = this.options.spacing || 3;
+
+        this.slots = [];
+        let angle = 0;
+        for (let i = 0; i < count; i++) {
+            const r = innerRadius + pitch * (angle / (Math.PI * 2));
+            this.slots.push(this._slot(Math.sin(-angle) * r, this.baseHeight, Math.cos(-angle) * r, -angle + Math.PI, spacing - this.gap));
+            // Advance by a constant arc length.
+            angle += spacing / r;
+        }
+        return this.slots;
+    }
+}
+
+/**
+ * A multi-level helix: a ring that rises by one level per turn.
+ * Options: `perTurn` (paintings per level, default 16), `levelHeight` (default: painting height + gap).
+ */
+export class HelixLayout extends GalleryLayout {
+    arrange(count) {
+        const perTurn = Math.max(1, Math.min(count, this.options.perTurn || 16));
+        const levelHeight = this.options.levelHeight || this.maxPaintingHeight + this.gap;
+        const maxWidth = (2 * Math.PI * this.radius / perTurn) - this.gap;
+
+        this.slots = [];
+        for (let i = 0; i < count; i++) {
+            const angle = -(i / perTurn) * Math.PI * 2;
+            const y = this.baseHeight + (i / perTurn) * levelHeight;
+            this.slots.push(this._slot(Math.sin(angle) * this.radius, y, Math.cos(angle) * this.radius, angle + Math.PI, maxWidth));
+        }
+        return this.slots;
+    }
+}
+
+/**
+ * The available layouts, by the name used in manifests and the `layout` URL parameter.
+ * @type {Object<string, typeof GalleryLayout>}
+ */
+export const LAYOUTS = {
+    circle: CircleLayout,
+    grid: GridWallLayout,
+    corridor: CorridorLayout,
+    spiral: SpiralLayout,
+    helix: HelixLayout
+};
+
+/**
+ * The layout used when neither the manifest nor the URL asks for one.
+ * @type {string}
+ */
+export const DEFAULT_LAYOUT = 'circle';
+
+/**
+ * Creates a layout from a name or a `{ type, ...options }` object.
+ * Unknown layouts fall back to the default with a warning.
+ * @param {string|object|null} spec - The requested layout.
+ * @param {object} context - See `GalleryLayout`.
+ * @returns {GalleryLayout}
+ */
+export function createLayout(spec, context) {
+    const { type, ...options } = typeof spec === 'string' ? { type: spec } : (spec || {});
+    const name = (type || DEFAULT_LAYOUT).toLowerCase();
+    const LayoutClass = LAYOUTS[name];
+    if (!LayoutClass) {
+        console.warn(`Unknown layout '${type}', using '${DEFAULT_LAYOUT}'.`);
+        return new LAYOUTS[DEFAULT_LAYOUT](context, options);
+    }
+    return new LayoutClass(context, options);
+}
@@ -1,8 +1,55 @@
 /**
  * @file Manages the gallery selection menu in both 2D (HTML) and 3D (VR) modes.
  * v2.0 - Implements a two-level alphabetical navigation system.
+ * v2.1 - Adds fuzzy search: a text field in the 2D menu and a virtual keyboard in VR.
+ * v3.0 - Browses nested galleries by folder, by tag or by alphabet, with breadcrumbs. Both menus are built
+ *        from the same item lists.
+ * v3.1 - Shows galleries and folders as tiles with a cover image, in a grid in both menus.
+ * v3.2 - Adds "Recent" and "Favourites" sections to the top level, and entries to star the current painting
+ *        and to make the current gallery a favourite.
+ * v3.3 - Lists the galleries of every registered gallery provider, merged, and asks them for the covers.
  */
 
+import ResourceTracker from './ResourceTracker.js';
+import { normalizeGalleryListEntry, compareNames } from './Manifest.js';
+import { searchGalleries } from './GallerySearch.js';
+
+/**
+ * The keys of the VR search keyboard, row by row; the last row holds the editing keys.
+ * @type {string[][]}
+ */
+const VR_KEYBOARD_ROWS = [
+    ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+    ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'],
+    ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', '-'],
+    ['z', 'x', 'c', 'v', 'b', 'n', 'm', '.', '\'', '&'],
+    ['space', 'backspace', 'clear']
+];
+
+/**
+ * The ways the top level of the menu can list the galleries, and their names in the menu.
+ * @type {Object<string, string>}
+ */
+const BROWSE_MODES = { folders: 'Folders', tags: 'Tags', alphabet: 'A–Z' };
+
+/**
+ * The localStorage key remembering the chosen browse mode.
+ * @type {string}
+ */
+const BROWSE_MODE_STORAGE_KEY = 'xr-gallery.menu-browse';
+
+/**
+ * The color of navigation entries such as "< Back" and the settings pages.
+ * @type {number}
+ */
+const NAVIGATION_COLOR = 0x87CEFA;
+
+/**
+ * The color of the section headings on the top level ("Recent", "Favourites", "All Galleries").
+ * @type {number}
+ */
+const SECTION_COLOR = 0xffd27f;
+
 /**
  * Encapsulates the state and behavior of the gallery selection menu.
  */
@@ -10,49 +57,136 @@ export default class GalleryMenu {
     /**
      * @param {THREE.PerspectiveCamera} camera - The main camera, used to attach the VR menu.
      * @param {THREE.WebGLRenderer} renderer - The main Three.js renderer.
-     * @param {THREE.XRTargetRaySpace} controller1 - The controller used for pointing and selecting in VR.
-     * @param {function} onGalleryLoadCallback - A callback function to execute when a new gallery is selected.
+     * @param {THREE.XRTargetRaySpace[]} pointers - The target rays (one per hand) used for pointing and selecting in VR.
+     * @param {function(string|null): void} onGalleryLoadCallback - A callback function to execute when a new gallery is selected.
+     *     It receives the image to open the gallery at, when a starred painting was chosen, or null.
+     * @param {object} options - Where the galleries come from, and extra entries at the top of the menu.
+     * @param {GalleryProviderRegistry} options.providers - Lists the galleries and finds their covers.
+     * @param {object} [options.slideshow] - Callbacks behind the slideshow entries.
+     * @param {function(): {running: boolean, dwell: number, order: string}} options.slideshow.getSettings - Returns the current settings.
+     * @param {function} options.slideshow.onToggle - Starts or stops the slideshow.
+     * @param {function} options.slideshow.onOrderChange - Switches to the next order.
+     * @param {function} options.slideshow.onDwellChange - Switches to the next dwell time.
+     * @param {object} [options.controls] - Callbacks behind the "Controls" page, where bindings are changed.
+     * @param {function(boolean): Array<{action: string, label: string, binding: string|null}>} options.controls.getActions - Lists the rebindable actions for VR or desktop.
+     * @param {function(string, boolean, function): void} options.controls.onRebind - Binds the next key or button pressed to an action, then calls back.
+     * @param {function} options.controls.onReset - Returns every binding to its default.
+     * @param {function(): string} options.controls.getDominantHand - Returns 'left' or 'right'.
+     * @param {function} options.controls.onDominantHandChange - Swaps the dominant hand.
+     * @param {object} [options.comfort] - Callbacks behind the "Comfort" page, where VR movement options are chosen.
+     * @param {function(): {movement: string, turn: string, snapAngle: number, vignette: boolean}} options.comfort.getSettings - Returns the current settings.
+     * @param {function} options.comfort.onMovementChange - Switches between smooth movement and teleporting.
+     * @param {function} options.comfort.onTurnChange - Switches to the next turning mode.
+     * @param {function} options.comfort.onVignetteChange - Turns the vignette on or off.
+     * @param {object} [options.library] - What the "Recent" and "Favourites" sections are built from.
+     * @param {ViewingHistory} options.library.history - The viewing history, which also holds the favourites.
+     * @param {function(): boolean|null} options.library.isStarred - Whether the current painting is starred; null if there is none.
+     * @param {function} options.library.onStarToggle - Stars the current painting, or removes its star.
      */
-    constructor(camera, renderer, controller1, onGalleryLoadCallback) {
+    constructor(camera, renderer, pointers, onGalleryLoadCallback, { providers, slideshow = null, controls = null, comfort = null, library = null }) {
         this.camera = camera;
         this.renderer = renderer;
-        this.controller1 = controller1;
+        this.pointers = pointers;
+        // The pointer that selected last; its target wins when several pointers hit items.
+        this.activePointer = pointers[0];
         this.onGalleryLoadCallback = onGalleryLoadCallback;
+        this.providers = providers;
+        this.slideshowControls = slideshow;
+        this.controlsCallbacks = controls;
+        this.comfortCallbacks = comfort;
+        this.library = library;
 
         this.raycaster = new THREE.Raycaster();
-        this.laserPointer = null;
+        this.laserPointers = [];
         this.menuElement = document.getElementById('menu');
         this.galleryListElement = document.getElementById('gallery-list');
-        
+        this.breadcrumbsElement = document.getElementById('menu-breadcrumbs');
+        this.searchInputElement = document.getElementById('gallery-search');
+        this._setupSearchInput();
+
         // --- Menu State ---
-        this.galleries = [];
+        this.galleries = []; // Normalized gallery list entries of every provider: {name, title, tags}; folder names are paths below /images
         this.galleryData = {}; // For grouping galleries by first letter
-        this.menuLevel = 'letters'; // Current view: 'letters' or 'galleries'
-        this.currentLetter = null; // The currently selected letter
+        this.tagData = new Map(); // For grouping galleries by tag, sorted by tag
+        this.folderTree = this._createFolderNode('', ''); // The galleries arranged by folder
+        this.browseMode = this._loadBrowseMode(); // 'folders', 'tags', 'alphabet', or null to choose from the galleries
+        this.menuLevel = 'home'; // Current view: 'home', 'folder', 'group', 'search', 'controls' or 'comfort'
+        this.currentPath = ''; // The folder shown on the 'folder' level
+        this.currentGroup = null; // The letter or tag shown on the 'group' level ('' for untagged galleries)
+        this.searchQuery = ''; // The text typed into the search field or on the VR keyboard
+        this.rebindingAction = null; // The action waiting for a key or button on the 'controls' level
         this.selectedItemData = null; // Holds userData of the currently highlighted item
         this.menuVisible = false;
+        this.coverUrls = new Map(); // Gallery name -> Promise of its cover image URL (or null)
+        this.coverImages = new Map(); // Cover image URL -> Promise of the loaded image (or null)
 
         // --- VR Menu State ---
         this.vrMenuScrollGroup = null;
+        this.vrKeyboardGroup = null; // The search keyboard, shown below the menu on the 'search' level
+        this.vrBreadcrumbGroup = null; // The breadcrumbs, shown above the menu while browsing
         this.vrMenuScrollPosition = 0;
         this.vrMenuScrollBounds = { min: 0, max: 0 };
-        this.VR_MENU_HEIGHT = 1.0; 
+        this.VR_MENU_HEIGHT = 1.0;
         this.VR_MENU_ITEM_HEIGHT = 0.11;
+        this.VR_SEARCH_RESULTS = 7; // Search results shown in VR, so that the list fits above the keyboard
+        this.VR_KEY_SIZE = 0.1;
+        this.VR_BREADCRUMB_HEIGHT = 0.08;
+        this.VR_GRID_COLUMNS = 3;
+        this.VR_TILE_WIDTH = 0.36;
+        this.VR_TILE_HEIGHT = 0.32;
+        this.VR_TILE_GAP = 0.03;
+        // Counts VR menu rebuilds, so that covers finishing after a rebuild are not drawn.
+        this.vrMenuGeneration = 0;
+        // Owns the canvases, textures and meshes of the VR menu, which is rebuilt on every refresh.
+        this.vrMenuResources = new ResourceTracker();
 
         this._setupLaserPointer();
         this.loadGalleries();
     }
 
     /**
-     * Creates the laser pointer mesh and attaches it to the controller.
+     * Creates a laser pointer mesh for each pointer and attaches it.
+     * A laser only shows while its pointer is tracked, since the renderer hides untracked target rays.
      * @private
      */
     _setupLaserPointer() {
         const laserGeometry = new THREE.BufferGeometry().setFromPoints([ new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -5) ]);
         const laserMaterial = new THREE.LineBasicMaterial({ color: 0x00ff00, linewidth: 2 });
-        this.laserPointer = new THREE.Line(laserGeometry, laserMaterial);
-        this.laserPointer.visible = false;
-        this.controller1.add(this.laserPointer);
+        this.laserPointers = this.pointers.map(pointer => {
+            const laserPointer = new THREE.Line(laserGeometry, laserMaterial);
+            laserPointer.visible = false;
+            pointer.add(laserPointer);
+            return laserPointer;
+        });
+    }
+
+    /**
+     * Wires the search field of the 2D menu. Typing searches as you go and Enter opens the best match.
+     * @private
+     */
+    _setupSearchInput() {
+        if (!this.searchInputElement) return;
+        this.searchInputElement.addEventListener('input', () => this.setSearchQuery(this.searchInputElement.value));
+        this.searchInputElement.addEventListener('keydown', (event) => {
+            // Keep typed letters away from the movement and shortcut keys; Escape still reaches the 'back' binding.
+            if (event.key === 'Escape') {
+                this.searchInputElement.blur();
+                return;
+            }
+            event.stopPropagation();
+            if (event.key === 'Enter') {
+                const [best] = this.getSearchResults();
+                if (best) this.loadGallery(best.name);
+            }
+        });
+    }
+
+    /**
+     * Returns counters describing the GPU resources currently held by the VR menu.
+     * @returns {{geometries: number, materials: number, textures: number}}
+     */
+    getResourceCounters() {
+        return this.vrMenuResources.getCounts();
     }
 
     /**
@@ -64,104 +198,685 @@ export default class GalleryMenu {
     }
 
     /**
-     * Handles selection based on the current menu level and highlighted item.
-     * It can navigate deeper into the menu, go back, or load a gallery.
+     * Handles selection of the highlighted VR item.
+     * @param {THREE.XRTargetRaySpace} [pointer] - The pointer that selected; the item it points at is selected.
      */
-    selectCurrentItem() {
+    selectCurrentItem(pointer) {
+        if (pointer && this.vrMenuScrollGroup) {
+            this.activePointer = pointer;
+            const item = this._pickItem(pointer);
+            this.selectedItemData = item ? item.userData : null;
+        }
         if (!this.menuVisible || !this.selectedItemData) return;
+        this.activateItem(this.selectedItemData);
+    }
+
+    /**
+     * Carries out a menu entry, from either menu. It can navigate deeper into the menu, go back, change a
+     * setting or load a gallery.
+     * @param {object} data - The entry's data, as returned by `getMenuItems` or `getBreadcrumbs`.
+     */
+    activateItem(data) {
+        if (data.galleryName) {
+            this.loadGallery(data.galleryName, data.imageFile);
+        } else if (data.folderPath !== undefined) {
+            this.openFolder(data.folderPath);
+        } else if (data.groupKey !== undefined) {
+            this.menuLevel = 'group';
+            this.currentGroup = data.groupKey;
+            this.refreshMenu();
+        } else if (data.isHome) {
+            this.goHome();
+        } else if (data.isBack) {
+            this.goBack();
+        } else if (data.isBrowseMode) {
+            this.cycleBrowseMode();
+        } else if (data.isSearch) {
+            this.menuLevel = 'search';
+            this.refreshMenu();
+        } else if (data.searchKey) {
+            this.typeSearchKey(data.searchKey);
+        } else if (data.slideshowAction) {
+            this.runSlideshowAction(data.slideshowAction);
+        } else if (data.isControls) {
+            this.menuLevel = 'controls';
+            this.refreshMenu();
+        } else if (data.isComfort) {
+            this.menuLevel = 'comfort';
+            this.refreshMenu();
+        } else if (data.comfortAction) {
+            this.runComfortAction(data.comfortAction);
+        } else if (data.rebindAction) {
+            this.startRebind(data.rebindAction);
+        } else if (data.isDominantHand) {
+            this.controlsCallbacks.onDominantHandChange();
+            this.refreshMenu();
+        } else if (data.isResetControls) {
+            this.controlsCallbacks.onReset();
+            this.refreshMenu();
+        } else if (data.isFavouriteToggle) {
+            this.library.history.toggleFavourite(this._getOpenGallery());
+            this.refreshMenu();
+        } else if (data.isStarToggle) {
+            this.library.onStarToggle();
+            this.refreshMenu();
+        }
+    }
+
+    /**
+     * Returns to the top level of the menu.
+     */
+    goHome() {
+        this.menuLevel = 'home';
+        this.currentPath = '';
+        this.currentGroup = null;
+        this.searchQuery = '';
+        this.refreshMenu();
+    }
+
+    /**
+     * Goes up one level: from a folder to its parent folder, and from anything else to the top level.
+     */
+    goBack() {
+        if (this.menuLevel === 'folder') {
+            const slash = this.currentPath.lastIndexOf('/');
+            this.openFolder(slash >= 0 ? this.currentPath.substring(0, slash) : '');
+        } else {
+            this.goHome();
+        }
+    }
+
+    /**
+     * Shows the contents of a folder. The root folder is shown on the top level.
+     * @param {string} path - The folder's path below /images, e.g. 'Travel/2023'.
+     */
+    openFolder(path) {
+        if (path === '' || !this._findFolder(path)) {
+            this.goHome();
+            return;
+        }
+        this.menuLevel = 'folder';
+        this.currentPath = path;
+        this.refreshMenu();
+    }
+
+    /**
+     * Returns how the top level lists the galleries. Without a saved choice, nested galleries are shown by
+     * folder and a flat list by first letter.
+     * @returns {'folders'|'tags'|'alphabet'}
+     */
+    getBrowseMode() {
+        if (this.browseMode) return this.browseMode;
+        return this.galleries.some(gallery => gallery.name.includes('/')) ? 'folders' : 'alphabet';
+    }
+
+    /**
+     * Switches to the next browse mode and remembers it. Tags are skipped when no gallery has any.
+     */
+    cycleBrowseMode() {
+        const modes = Object.keys(BROWSE_MODES).filter(mode => mode !== 'tags' || this.tagData.size > 0);
+        this.browseMode = modes[(modes.indexOf(this.getBrowseMode()) + 1) % modes.length];
+        try {
+            window.localStorage.setItem(BROWSE_MODE_STORAGE_KEY, this.browseMode);
+        } catch (error) {
+            console.warn('Could not save the menu browse mode:', error.message);
+        }
+        this.refreshMenu();
+    }
+
+    /**
+     * Loads the remembered browse mode.
+     * @returns {string|null}
+     * @private
+     */
+    _loadBrowseMode() {
+        try {
+            const stored = window.localStorage.getItem(BROWSE_MODE_STORAGE_KEY);
+            return BROWSE_MODES[stored] ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Returns the slideshow entries shown above the categories, or none if the menu has no slideshow controls.
+     * @returns {Array<{text: string, action: string}>}
+     */
+    getSlideshowItems() {
+        if (!this.slideshowControls) return [];
+        const { running, dwell, order } = this.slideshowControls.getSettings();
+        const orderNames = { sequential: 'Sequential', shuffle: 'Shuffle', pingpong: 'Ping-Pong' };
+        return [
+            { text: running ? '■ Stop Slideshow' : '▶ Start Slideshow', action: 'toggle' },
+            { text: `Slideshow Order: ${orderNames[order] || order}`, action: 'order' },
+            { text: `Slideshow Time: ${dwell} s`, action: 'dwell' }
+        ];
+    }
 
-        if (this.selectedItemData.isLetter) {
-            this.menuLevel = 'galleries';
-            this.currentLetter = this.selectedItemData.letter;
-            this.refreshMenu(); // Re-render the menu to show galleries
-        } else if (this.selectedItemData.galleryName) {
-            this.loadGallery(this.selectedItemData.galleryName);
-        } else if (this.selectedItemData.isBack) {
-            this.menuLevel = 'letters';
-            this.currentLetter = null;
-            this.refreshMenu(); // Re-render the menu to show letters
+    /**
+     * Runs a slideshow menu entry. Starting or stopping closes the menu; changing a setting redraws it.
+     * @param {string} action - 'toggle', 'order' or 'dwell'.
+     */
+    runSlideshowAction(action) {
+        if (action === 'toggle') {
+            this.slideshowControls.onToggle();
+            this.hideMenu();
+            return;
         }
+        if (action === 'order') this.slideshowControls.onOrderChange();
+        else if (action === 'dwell') this.slideshowControls.onDwellChange();
+        this.refreshMenu();
+    }
+
+    /**
+     * Returns the entries of the 'comfort' level, each showing its current setting.
+     * @returns {Array<{text: string, action: string}>}
+     */
+    getComfortItems() {
+        const { movement, turn, snapAngle, vignette } = this.comfortCallbacks.getSettings();
+        return [
+            { text: `Movement: ${movement === 'teleport' ? 'Teleport' : 'Smooth'}`, action: 'movement' },
+            { text: `Turning: ${turn === 'snap' ? `Snap ${snapAngle}°` : 'Smooth'}`, action: 'turn' },
+            { text: `Comfort Vignette: ${vignette ? 'On' : 'Off'}`, action: 'vignette' }
+        ];
+    }
+
+    /**
+     * Changes a comfort setting and redraws the menu.
+     * @param {string} action - 'movement', 'turn' or 'vignette'.
+     */
+    runComfortAction(action) {
+        if (action === 'movement') this.comfortCallbacks.onMovementChange();
+        else if (action === 'turn') this.comfortCallbacks.onTurnChange();
+        else if (action === 'vignette') this.comfortCallbacks.onVignetteChange();
+        this.refreshMenu();
+    }
+
+    /**
+     * Returns the entries of the 'controls' level: the dominant hand, one per rebindable action, then a reset entry.
+     * @returns {Array<{text: string, data: object}>}
+     */
+    getControlsItems() {
+        const isVR = this.renderer.xr.isPresenting;
+        const hand = this.controlsCallbacks.getDominantHand() === 'left' ? 'Left' : 'Right';
+        const items = [{ text: `Dominant Hand${isVR ? '' : ' (VR)'}: ${hand}`, data: { isDominantHand: true } }];
+        this.controlsCallbacks.getActions(isVR).forEach(({ action, label, binding }) => {
+            const waiting = action === this.rebindingAction;
+            const prompt = isVR ? 'Press a button...' : 'Press a key (Esc to cancel)...';
+            items.push({ text: `${label}: ${waiting ? prompt : (binding || 'Unbound')}`, data: { rebindAction: action } });
+        });
+        items.push({ text: 'Reset Controls', data: { isResetControls: true } });
+        return items;
+    }
+
+    /**
+     * Waits for the next key or button and binds it to an action, redrawing the list before and after.
+     * @param {string} action - The action id.
+     */
+    startRebind(action) {
+        this.rebindingAction = action;
+        this.refreshMenu();
+        this.controlsCallbacks.onRebind(action, this.renderer.xr.isPresenting, () => {
+            this.rebindingAction = null;
+            if (this.menuVisible && this.menuLevel === 'controls') this.refreshMenu();
+        });
+    }
+
+    /**
+     * Changes the search text and shows the matching galleries.
+     * An empty search returns the 2D menu to the top level; in VR the keyboard stays open.
+     * @param {string} query
+     */
+    setSearchQuery(query) {
+        this.searchQuery = query;
+        if (query.trim() !== '') this.menuLevel = 'search';
+        else if (this.menuLevel === 'search' && !this.renderer.xr.isPresenting) this.menuLevel = 'home';
+        this.refreshMenu();
+    }
+
+    /**
+     * Applies a key of the VR keyboard to the search text.
+     * @param {string} key - A character, or 'space', 'backspace' or 'clear'.
+     */
+    typeSearchKey(key) {
+        if (key === 'space') this.setSearchQuery(this.searchQuery + ' ');
+        else if (key === 'backspace') this.setSearchQuery(this.searchQuery.slice(0, -1));
+        else if (key === 'clear') this.setSearchQuery('');
+        else this.setSearchQuery(this.searchQuery + key);
+    }
+
+    /**
+     * Returns the galleries matching the search text, best first.
+     * @returns {Array<{name: string, title: string|null, tags: string[]}>}
+     */
+    getSearchResults() {
+        return searchGalleries(this.galleries, this.searchQuery);
     }
-    
+
     /**
-     * Fetches the list of galleries from `galleries.json` and groups them alphabetically.
+     * Lists the galleries of every provider and groups them by folder, tag and first letter.
+     * Entries are gallery names, such as folder paths below /images (e.g. 'Travel/2023/Japan'), or objects with
+     * a `name` and the `title` and `tags` of the gallery's manifest. The optional `categories` map further tags
+     * to lists of names.
      */
     loadGalleries() {
-        fetch('galleries.json')
-            .then(response => response.json())
+        this.providers.listGalleries()
             .then(data => {
-                this.galleries = Array.isArray(data.galleries) ? data.galleries : [data.galleries];
-                this.galleries.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+                // A listed gallery may have changed, e.g. other local files opened under the same folder name.
+                this.coverUrls.clear();
+                this.galleries = data.galleries.map(normalizeGalleryListEntry).filter(gallery => gallery !== null);
+                this.galleries.sort((a, b) => compareNames(a.name, b.name));
+                this._applyCategories(data.categories);
 
-                // Group galleries by their first letter
+                // Group galleries by the first letter of their own folder name
                 this.galleryData = {};
-                this.galleries.forEach(galleryName => {
-                    const firstLetter = galleryName.charAt(0).toUpperCase();
+                this.galleries.forEach(gallery => {
+                    const firstLetter = this._getLeafName(gallery.name).charAt(0).toUpperCase();
                     if (!this.galleryData[firstLetter]) {
                         this.galleryData[firstLetter] = [];
                     }
-                    this.galleryData[firstLetter].push(galleryName);
+                    this.galleryData[firstLetter].push(gallery);
+                });
+
+                this.tagData = new Map();
+                const tags = new Set(this.galleries.flatMap(gallery => gallery.tags));
+                Array.from(tags).sort(compareNames).forEach(tag => {
+                    this.tagData.set(tag, this.galleries.filter(gallery => gallery.tags.includes(tag)));
                 });
 
+                this.folderTree = this._createFolderNode('', '');
+                this.galleries.forEach(gallery => this._addToFolderTree(gallery));
+
                 this.renderMenu();
             })
             .catch(error => console.error('Error loading galleries:', error));
     }
 
     /**
-     * Renders the 2D HTML list of galleries, handling the two-level navigation.
+     * Adds the categories declared by the providers (e.g. in `galleries.json`) to the tags of the galleries they list.
+     * @param {Object<string, string[]>} [categories] - Category names mapped to gallery names.
+     * @private
      */
-    renderMenu() {
-        this.galleryListElement.innerHTML = '';
+    _applyCategories(categories) {
+        if (!categories || typeof categories !== 'object') return;
+        const byName = new Map(this.galleries.map(gallery => [gallery.name, gallery]));
+        Object.entries(categories).forEach(([category, names]) => {
+            if (!Array.isArray(names) || category.trim() === '') return;
+            names.forEach(name => {
+                const gallery = byName.get(name);
+                if (!gallery) console.warn(`Category '${category}' lists unknown gallery '${name}'.`);
+                else if (!gallery.tags.includes(category)) gallery.tags.push(category);
+            });
+        });
+    }
 
-        if (this.menuLevel === 'letters') {
-            document.querySelector('#menu h2').textContent = 'Select a Category';
-            const letters = Object.keys(this.galleryData).sort();
-            letters.forEach(letter => {
-                const li = document.createElement('li');
-                li.textContent = letter;
-                li.addEventListener('click', () => {
-                    this.menuLevel = 'galleries';
-                    this.currentLetter = letter;
-                    this.renderMenu();
-                });
-                this.galleryListElement.appendChild(li);
+    /**
+     * Creates an empty node of the folder tree.
+     * @param {string} name - The folder's own name.
+     * @param {string} path - The folder's path below /images.
+     * @returns {{name: string, path: string, folders: Map<string, object>, gallery: object|null}}
+     * @private
+     */
+    _createFolderNode(name, path) {
+        return { name, path, folders: new Map(), gallery: null };
+    }
+
+    /**
+     * Adds a gallery to the folder tree, creating the folders above it. A folder can be a gallery and
+     * contain further galleries at the same time.
+     * @param {{name: string}} gallery
+     * @private
+     */
+    _addToFolderTree(gallery) {
+        let node = this.folderTree;
+        // IIIF manifests from other servers are named by their URL and sit at the top level.
+        const segments = /^https?:\/\//i.test(gallery.name) ? [gallery.name] : gallery.name.split('/');
+        segments.filter(segment => segment !== '').forEach(segment => {
+            if (!node.folders.has(segment)) {
+                node.folders.set(segment, this._createFolderNode(segment, node.path ? `${node.path}/${segment}` : segment));
+            }
+            node = node.folders.get(segment);
+        });
+        node.gallery = gallery;
+    }
+
+    /**
+     * Finds a folder of the tree by its path.
+     * @param {string} path
+     * @returns {object|null}
+     * @private
+     */
+    _findFolder(path) {
+        let node = this.folderTree;
+        for (const segment of path.split('/').filter(part => part !== '')) {
+            node = node.folders.get(segment);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    /**
+     * Returns the first gallery in a folder or below it, whose cover stands for the folder.
+     * @param {object} folder - A node of the folder tree.
+     * @returns {object|null}
+     * @private
+     */
+    _getFirstGallery(folder) {
+        if (folder.gallery) return folder.gallery;
+        const children = Array.from(folder.folders.values()).sort((a, b) => compareNames(a.name, b.name));
+        for (const child of children) {
+            const gallery = this._getFirstGallery(child);
+            if (gallery) return gallery;
+        }
+        return null;
+    }
+
+    /**
+     * Finds the URL of a gallery's cover image, asking the gallery's provider once.
+     * @param {{name: string, cover: string|null}} gallery
+     * @returns {Promise<string|null>}
+     */
+    getCoverUrl(gallery) {
+        if (!this.coverUrls.has(gallery.name)) {
+            const url = this.providers.getProvider(gallery.name).resolveCover(gallery).catch(() => null);
+            this.coverUrls.set(gallery.name, url);
+        }
+        return this.coverUrls.get(gallery.name);
+    }
+
+    /**
+     * Loads a cover image for drawing into the VR tiles. Each URL is loaded once.
+     * @param {string} url
+     * @returns {Promise<HTMLImageElement|null>} The image, or null if it failed to load.
+     * @private
+     */
+    _loadCoverImage(url) {
+        if (!this.coverImages.has(url)) {
+            this.coverImages.set(url, new Promise(resolve => {
+                const image = new Image();
+                // Covers from IIIF image servers are drawn into the tile textures, which needs CORS.
+                image.crossOrigin = 'anonymous';
+                image.onload = () => resolve(image);
+                image.onerror = () => {
+                    console.warn(`Could not load cover image '${url}'.`);
+                    resolve(null);
+                };
+                image.src = url;
+            }));
+        }
+        return this.coverImages.get(url);
+    }
+
+    /**
+     * Returns the last part of a gallery path.
+     * @param {string} name - E.g. 'Travel/2023/Japan'.
+     * @returns {string} E.g. 'Japan'.
+     * @private
+     */
+    _getLeafName(name) {
+        return name.substring(name.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Returns the galleries and folders to browse at the current level: the top level in the current browse
+     * mode, a folder's contents, or the galleries of a letter or tag.
+     * Galleries and folders carry the gallery whose cover represents them.
+     * @returns {Array<{text: string, data: object, cover?: object}>}
+     */
+    getBrowseItems() {
+        const galleryItem = (gallery, text) => ({ text, data: { galleryName: gallery.name }, cover: gallery });
+        if (this.menuLevel === 'group') {
+            const galleries = this.getBrowseMode() === 'tags'
+                ? (this.currentGroup === '' ? this.galleries.filter(gallery => gallery.tags.length === 0) : this.tagData.get(this.currentGroup))
+                : this.galleryData[this.currentGroup];
+            return (galleries || []).map(gallery => galleryItem(gallery, gallery.name));
+        }
+
+        const mode = this.getBrowseMode();
+        if (this.menuLevel === 'home' && mode === 'alphabet') {
+            return Object.keys(this.galleryData).sort().map(letter => ({ text: letter, data: { groupKey: letter } }));
+        }
+        if (this.menuLevel === 'home' && mode === 'tags') {
+            const items = Array.from(this.tagData.keys()).map(tag => ({ text: `${tag} (${this.tagData.get(tag).length})`, data: { groupKey: tag } }));
+            if (this.galleries.some(gallery => gallery.tags.length === 0)) items.push({ text: 'Untagged', data: { groupKey: '' } });
+            return items;
+        }
+
+        const folder = this.menuLevel === 'folder' ? this._findFolder(this.currentPath) : this.folderTree;
+        if (!folder) return [];
+        const items = [];
+        if (folder.gallery && folder !== this.folderTree) items.push(galleryItem(folder.gallery, `▶ ${folder.name}`));
+        Array.from(folder.folders.values())
+            .sort((a, b) => compareNames(a.name, b.name))
+            .forEach(child => {
+                // A folder that only holds its own images opens directly.
+                if (child.folders.size > 0) items.push({ text: `${child.name} ›`, data: { folderPath: child.path }, cover: this._getFirstGallery(child) });
+                else items.push(galleryItem(child.gallery, child.name));
             });
-        } else if (this.menuLevel === 'galleries') {
-            document.querySelector('#menu h2').textContent = `Category: ${this.currentLetter}`;
-            // Add a "Back" button
-            const backLi = document.createElement('li');
-            backLi.textContent = '< Back';
-            backLi.style.fontWeight = 'bold';
-            backLi.style.color = '#87CEFA';
-            backLi.addEventListener('click', () => {
-                this.menuLevel = 'letters';
-                this.currentLetter = null;
-                this.renderMenu();
+        return items;
+    }
+
+    /**
+     * Returns the entries for the gallery being viewed (star the painting, favourite the gallery) and the "Recent" and
+     * "Favourites" sections. Galleries that are no longer listed by any provider are left out.
+     * @returns {Array<{text: string, data: object, color?: number, cover?: object}>}
+     */
+    getLibraryItems() {
+        if (!this.library) return [];
+        const { history } = this.library;
+        const items = [];
+
+        const openGallery = this._getOpenGallery();
+        if (openGallery) {
+            const starred = this.library.isStarred();
+            if (starred !== null) {
+                items.push({ text: starred ? '★ Unstar This Painting' : '☆ Star This Painting', data: { isStarToggle: true }, color: NAVIGATION_COLOR });
+            }
+            const favourite = history.isFavourite(openGallery);
+            items.push({ text: favourite ? '★ Remove Gallery from Favourites' : '☆ Add Gallery to Favourites', data: { isFavouriteToggle: true }, color: NAVIGATION_COLOR });
+        }
+
+        const byName = new Map(this.galleries.map(gallery => [gallery.name, gallery]));
+        const galleryItem = (name) => byName.has(name) ? { text: this._getLeafName(name), data: { galleryName: name }, cover: byName.get(name) } : null;
+
+        const recent = history.getRecent().map(galleryItem).filter(item => item !== null);
+        if (recent.length > 0) items.push({ text: 'Recent', data: {}, color: SECTION_COLOR }, ...recent);
+
+        const favourites = history.getFavourites().map(galleryItem).filter(item => item !== null);
+        history.getStarred()
+            .filter(star => byName.has(star.gallery))
+            .forEach(star => favourites.push({
+                text: `★ ${star.title || star.file}`,
+                data: { galleryName: star.gallery, imageFile: star.file },
+                // A tile shows its own picture rather than the gallery's cover.
+                cover: { name: star.gallery, cover: star.picture }
+            }));
+        if (favourites.length > 0) items.push({ text: 'Favourites', data: {}, color: SECTION_COLOR }, ...favourites);
+        return items;
+    }
+
+    /**
+     * Returns the gallery being viewed, from the `f` URL parameter.
+     * @returns {string|null}
+     * @private
+     */
+    _getOpenGallery() {
+        return new URLSearchParams(window.location.search).get('f');
+    }
+
+    /**
+     * Returns the trail from the top level to the current folder, letter or tag; empty on the other levels.
+     * @returns {Array<{text: string, data: object}>} Each crumb's data navigates to it; the last one is the current level.
+     */
+    getBreadcrumbs() {
+        const home = { text: 'Home', data: { isHome: true } };
+        if (this.menuLevel === 'folder') {
+            const crumbs = [home];
+            let path = '';
+            this.currentPath.split('/').forEach(segment => {
+                path = path ? `${path}/${segment}` : segment;
+                crumbs.push({ text: segment, data: { folderPath: path } });
             });
-            this.galleryListElement.appendChild(backLi);
-
-            const galleries = this.galleryData[this.currentLetter];
-            galleries.forEach(galleryName => {
-                const li = document.createElement('li');
-                li.textContent = galleryName;
-                li.addEventListener('click', () => this.loadGallery(galleryName));
-                this.galleryListElement.appendChild(li);
+            return crumbs;
+        }
+        if (this.menuLevel === 'group') {
+            return [home, { text: this._getGroupLabel(), data: { groupKey: this.currentGroup } }];
+        }
+        return [];
+    }
+
+    /**
+     * Returns the name of the letter or tag shown on the 'group' level.
+     * @returns {string}
+     * @private
+     */
+    _getGroupLabel() {
+        if (this.getBrowseMode() !== 'tags') return this.currentGroup;
+        return this.currentGroup === '' ? 'Untagged' : this.currentGroup;
+    }
+
+    /**
+     * Returns the entries of the current level.
+     * @param {boolean} isVR - Whether the entries are for the VR menu, which has no text field and no heading.
+     * @returns {Array<{text: string, data: object, color?: number, cover?: object}>} Entries with empty data are labels
+     *     that do nothing; entries with a `cover` gallery are shown as tiles. VR search results stay rows, to fit above the keyboard.
+     */
+    getMenuItems(isVR) {
+        const back = { text: '< Back', data: { isBack: true }, color: NAVIGATION_COLOR };
+        const items = [];
+        if (this.menuLevel === 'home') {
+            this.getSlideshowItems().forEach(item => items.push({ text: item.text, data: { slideshowAction: item.action }, color: NAVIGATION_COLOR }));
+            if (isVR) items.push({ text: 'Search', data: { isSearch: true }, color: NAVIGATION_COLOR });
+            if (this.controlsCallbacks) items.push({ text: 'Controls', data: { isControls: true }, color: NAVIGATION_COLOR });
+            if (this.comfortCallbacks) items.push({ text: isVR ? 'Comfort' : 'Comfort (VR)', data: { isComfort: true }, color: NAVIGATION_COLOR });
+            items.push({ text: `Browse: ${BROWSE_MODES[this.getBrowseMode()]}`, data: { isBrowseMode: true }, color: NAVIGATION_COLOR });
+
+            // The toggles for the open gallery lead the menu; the sections come before the full list.
+            const libraryItems = this.getLibraryItems();
+            const toggles = libraryItems.filter(item => item.data.isStarToggle || item.data.isFavouriteToggle);
+            const sections = libraryItems.filter(item => !toggles.includes(item));
+            if (sections.length > 0) sections.push({ text: 'All Galleries', data: {}, color: SECTION_COLOR });
+            return toggles.concat(items, sections, this.getBrowseItems());
+        }
+        if (this.menuLevel === 'folder' || this.menuLevel === 'group') {
+            return [back].concat(this.getBrowseItems());
+        }
+        if (this.menuLevel === 'search') {
+            const hasQuery = this.searchQuery.trim() !== '';
+            const results = hasQuery ? this.getSearchResults() : [];
+            if (isVR) {
+                items.push(back);
+                items.push({ text: `Search: ${this.searchQuery}_`, data: {}, color: 0xffff99 });
+                if (!hasQuery) items.push({ text: 'Type a name, title or tag', data: {}, color: 0xaaaaaa });
+            }
+            if (hasQuery && results.length === 0) items.push({ text: 'No galleries match', data: {}, color: 0xaaaaaa });
+            results.slice(0, isVR ? this.VR_SEARCH_RESULTS : results.length)
+                .forEach(gallery => {
+                    const item = { text: this._describeGallery(gallery), data: { galleryName: gallery.name } };
+                    if (!isVR) item.cover = gallery;
+                    items.push(item);
+                });
+            return items;
+        }
+        if (this.menuLevel === 'controls') {
+            return [back].concat(this.getControlsItems());
+        }
+        if (this.menuLevel === 'comfort') {
+            return [back].concat(this.getComfortItems().map(item => ({ text: item.text, data: { comfortAction: item.action } })));
+        }
+        return items;
+    }
+
+    /**
+     * Returns the heading of the 2D menu for the current level.
+     * @returns {string}
+     * @private
+     */
+    _getMenuTitle() {
+        switch (this.menuLevel) {
+            case 'folder': return this._getLeafName(this.currentPath);
+            case 'group': return this.getBrowseMode() === 'tags' ? this._getGroupLabel() : `Category: ${this.currentGroup}`;
+            case 'search': {
+                const count = this.searchQuery.trim() === '' ? 0 : this.getSearchResults().length;
+                return `${count} ${count === 1 ? 'Match' : 'Matches'}`;
+            }
+            case 'controls': return 'Controls';
+            case 'comfort': return 'Comfort (VR)';
+            default: return 'Select a Gallery';
+        }
+    }
+
+    /**
+     * Renders the 2D HTML menu for the current level, with its breadcrumbs.
+     */
+    renderMenu() {
+        this.galleryListElement.innerHTML = '';
+        if (this.searchInputElement && this.searchInputElement.value !== this.searchQuery) this.searchInputElement.value = this.searchQuery;
+        document.querySelector('#menu h2').textContent = this._getMenuTitle();
+
+        if (this.breadcrumbsElement) {
+            this.breadcrumbsElement.innerHTML = '';
+            const crumbs = this.getBreadcrumbs();
+            crumbs.forEach((crumb, i) => {
+                const span = document.createElement('span');
+                span.textContent = crumb.text;
+                if (i < crumbs.length - 1) {
+                    span.className = 'crumb-link';
+                    span.addEventListener('click', () => this.activateItem(crumb.data));
+                    this.breadcrumbsElement.append(span, ' › ');
+                } else {
+                    this.breadcrumbsElement.append(span);
+                }
             });
+            this.breadcrumbsElement.style.display = crumbs.length > 0 ? 'block' : 'none';
         }
+
+        const items = this.getMenuItems(false);
+        const hasTiles = items.some(item => item.cover !== undefined);
+        this.galleryListElement.classList.toggle('grid', hasTiles);
+        this.menuElement.classList.toggle('with-tiles', hasTiles);
+
+        items.forEach(item => {
+            const li = document.createElement('li');
+            if (item.cover !== undefined) {
+                li.className = 'tile';
+                li.title = item.text;
+                const cover = document.createElement('div');
+                cover.className = 'cover';
+                const caption = document.createElement('span');
+                caption.textContent = item.text;
+                li.append(cover, caption);
+                if (item.cover) {
+                    this.getCoverUrl(item.cover).then(url => {
+                        if (url) cover.style.backgroundImage = `url(${JSON.stringify(url)})`;
+                    });
+                }
+            } else {
+                li.textContent = item.text;
+            }
+            if (item.color) li.style.color = `#${item.color.toString(16).padStart(6, '0')}`;
+            if (item.data.isBack) li.style.fontWeight = 'bold';
+            if (Object.keys(item.data).length === 0) li.className = 'label';
+            else li.addEventListener('click', () => this.activateItem(item.data));
+            this.galleryListElement.appendChild(li);
+        });
     }
 
     /**
      * Loads a selected gallery by updating the URL and triggering a reset.
-     * @param {string} galleryName - The name of the gallery folder to load.
+     * @param {string} galleryName - The path of the gallery folder below /images.
+     * @param {string|null} [imageFile=null] - An image to open the gallery at, instead of where the viewer left off.
      */
-    loadGallery(galleryName) {
+    loadGallery(galleryName, imageFile = null) {
         const url = new URL(window.location);
         url.searchParams.set('f', galleryName);
+        // The new gallery opens where the viewer left off (or at `imageFile`), not at the previous gallery's image.
+        url.searchParams.delete('i');
+        url.searchParams.delete('view');
         window.history.pushState({}, '', url);
         this.hideMenu();
         if (this.onGalleryLoadCallback) {
-            this.onGalleryLoadCallback();
+            this.onGalleryLoadCallback(imageFile || null);
         }
     }
 
@@ -192,16 +907,20 @@ export default class GalleryMenu {
         if (artGroup) artGroup.visible = true;
 
         this.menuVisible = false;
-        this.laserPointer.visible = false;
+        this.laserPointers.forEach(laserPointer => { laserPointer.visible = false; });
         this.menuElement.style.display = 'none';
 
-        const vrMenu = this.camera.getObjectByName("VRMenu");
-        if (vrMenu) this.camera.remove(vrMenu);
-        
+        this.vrMenuResources.dispose();
+
         // Reset to top level when menu is closed
-        this.menuLevel = 'letters';
-        this.currentLetter = null;
+        this.menuLevel = 'home';
+        this.currentPath = '';
+        this.currentGroup = null;
+        this.searchQuery = '';
+        if (this.searchInputElement) this.searchInputElement.value = '';
         this.vrMenuScrollGroup = null;
+        this.vrKeyboardGroup = null;
+        this.vrBreadcrumbGroup = null;
     }
 
     /**
@@ -211,40 +930,76 @@ export default class GalleryMenu {
     refreshMenu() {
         const isPresenting = this.renderer.xr.isPresenting;
         if (isPresenting) {
-            const oldMenu = this.camera.getObjectByName("VRMenu");
-            if (oldMenu) this.camera.remove(oldMenu);
-            this.laserPointer.visible = true;
+            this.vrMenuResources.dispose();
+            this.laserPointers.forEach(laserPointer => { laserPointer.visible = true; });
             this.createVRMenu();
         } else {
             this.menuElement.style.display = 'block';
             this.renderMenu();
         }
     }
-    
+
     /**
-     * Updates the laser pointer's raycasting for VR menu interaction.
+     * Updates the laser pointers' raycasting for VR menu interaction.
+     * Every item a tracked pointer hits is highlighted; the last pointer to select decides the highlighted item when both hit one.
      */
     updateLaserPointer() {
         if (!this.vrMenuScrollGroup) return;
 
+        this._getPickableItems().forEach(child => {
+            if (child.isMesh) child.material.color.set(child.userData.isBack ? NAVIGATION_COLOR : 0xffffff);
+        });
+
+        this.selectedItemData = null;
+        // The active pointer goes last, so its item is the one left selected.
+        const pointers = this.pointers.filter(pointer => pointer !== this.activePointer).concat(this.activePointer);
+        pointers.forEach(pointer => {
+            if (!pointer.visible) return;
+            const intersectedObject = this._pickItem(pointer);
+            if (intersectedObject) {
+                intersectedObject.material.color.set(0x00ff00);
+                this.selectedItemData = intersectedObject.userData;
+            }
+        });
+    }
+
+    /**
+     * Finds the menu item a pointer points at.
+     * @param {THREE.XRTargetRaySpace} pointer
+     * @returns {THREE.Mesh|null}
+     * @private
+     */
+    _pickItem(pointer) {
         const tempMatrix = new THREE.Matrix4();
-        tempMatrix.identity().extractRotation(this.controller1.matrixWorld);
-        this.raycaster.ray.origin.setFromMatrixPosition(this.controller1.matrixWorld);
+        tempMatrix.identity().extractRotation(pointer.matrixWorld);
+        this.raycaster.ray.origin.setFromMatrixPosition(pointer.matrixWorld);
         this.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
 
-        this.vrMenuScrollGroup.children.forEach(child => {
-            if (child.isMesh) child.material.color.set(child.userData.isBack ? 0x87CEFA : 0xffffff);
-        });
-        
-        const intersects = this.raycaster.intersectObjects(this.vrMenuScrollGroup.children, true);
+        const intersects = this.raycaster.intersectObjects(this._getPickableItems(), true);
         const intersectedObject = intersects.length > 0 ? intersects[0].object : null;
+        return intersectedObject && intersectedObject.isMesh ? intersectedObject : null;
+    }
 
-        if (intersectedObject && intersectedObject.isMesh) {
-            intersectedObject.material.color.set(0x00ff00);
-            this.selectedItemData = intersectedObject.userData;
-        } else {
-            this.selectedItemData = null;
-        }
+    /**
+     * Returns the meshes of the VR menu that can be pointed at: the list entries, and any keyboard keys and breadcrumbs.
+     * @returns {THREE.Object3D[]}
+     * @private
+     */
+    _getPickableItems() {
+        const fixed = [this.vrKeyboardGroup, this.vrBreadcrumbGroup]
+            .filter(group => group !== null)
+            .flatMap(group => group.children.filter(child => Object.keys(child.userData).length > 0));
+        return this.vrMenuScrollGroup.children.concat(fixed);
+    }
+
+    /**
+     * Returns the text shown for a search result: its path, followed by its title when it has a different one.
+     * @param {{name: string, title: string|null}} gallery
+     * @returns {string}
+     * @private
+     */
+    _describeGallery(gallery) {
+        return gallery.title && gallery.title !== this._getLeafName(gallery.name) ? `${gallery.name} – ${gallery.title}` : gallery.name;
     }
 
     /**
@@ -258,7 +1013,7 @@ export default class GalleryMenu {
         this.vrMenuScrollPosition = Math.max(this.vrMenuScrollBounds.min, Math.min(this.vrMenuScrollBounds.max, this.vrMenuScrollPosition));
         this.vrMenuScrollGroup.position.y = this.vrMenuScrollPosition;
     }
-    
+
     /**
      * Creates the 3D VR menu and attaches it to the camera, rendering the correct level.
      */
@@ -268,35 +1023,48 @@ export default class GalleryMenu {
         this.vrMenuScrollGroup = new THREE.Group();
         menuGroup.add(this.vrMenuScrollGroup);
 
-        const itemsToRender = [];
-        if (this.menuLevel === 'letters') {
-            const letters = Object.keys(this.galleryData).sort();
-            letters.forEach(letter => itemsToRender.push({ text: letter, data: { isLetter: true, letter: letter } }));
-        } else if (this.menuLevel === 'galleries') {
-            itemsToRender.push({ text: '< Back', data: { isBack: true }, color: 0x87CEFA });
-            const galleries = this.galleryData[this.currentLetter];
-            galleries.forEach(name => itemsToRender.push({ text: name, data: { galleryName: name } }));
-        }
+        const itemsToRender = this.getMenuItems(true);
+        const generation = ++this.vrMenuGeneration;
+
+        // Lay out the entries top to bottom: tiles fill rows of the grid, other entries take a row each.
+        const rowHeight = this.VR_TILE_HEIGHT + this.VR_TILE_GAP;
+        let layoutY = 0;
+        let column = 0;
+        const slots = itemsToRender.map(item => {
+            if (item.cover !== undefined) {
+                if (column === 0) layoutY += rowHeight;
+                const x = (column - (this.VR_GRID_COLUMNS - 1) / 2) * (this.VR_TILE_WIDTH + this.VR_TILE_GAP);
+                const y = layoutY - rowHeight / 2;
+                column = (column + 1) % this.VR_GRID_COLUMNS;
+                return { x, y };
+            }
+            column = 0;
+            layoutY += this.VR_MENU_ITEM_HEIGHT;
+            return { x: 0, y: layoutY - this.VR_MENU_ITEM_HEIGHT / 2 };
+        });
 
-        const totalContentHeight = itemsToRender.length * this.VR_MENU_ITEM_HEIGHT;
-        let currentY = totalContentHeight / 2;
+        const totalContentHeight = layoutY;
+        const top = totalContentHeight / 2;
 
-        itemsToRender.forEach(item => {
+        itemsToRender.forEach((item, i) => {
+            if (item.cover !== undefined) {
+                const tile = this._createVRTile(item, generation);
+                tile.position.set(slots[i].x, top - slots[i].y, 0);
+                this.vrMenuScrollGroup.add(tile);
+                return;
+            }
             const canvas = document.createElement('canvas');
             canvas.width = 512; canvas.height = 64;
             const ctx = canvas.getContext('2d');
             ctx.fillStyle = item.color ? `#${item.color.toString(16).padStart(6, '0')}` : 'white';
             ctx.font = 'bold 32px sans-serif';
             ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
-            ctx.fillText(item.text, 256, 32);
-            
+            ctx.fillText(item.text, 256, 32, 496);
+
             const material = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true });
             const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 0.1), material);
             mesh.userData = item.data;
-            
-            currentY -= this.VR_MENU_ITEM_HEIGHT / 2;
-            mesh.position.y = currentY;
-            currentY -= this.VR_MENU_ITEM_HEIGHT / 2;
+            mesh.position.y = top - slots[i].y;
             this.vrMenuScrollGroup.add(mesh);
         });
 
@@ -313,8 +1081,164 @@ export default class GalleryMenu {
         this.vrMenuScrollBounds.max = Math.max(0, halfContentHeight - halfVisibleHeight);
         this.vrMenuScrollBounds.min = -this.vrMenuScrollBounds.max;
         this.vrMenuScrollGroup.position.y = this.vrMenuScrollPosition;
-        
+
+        if (this.menuLevel === 'search') {
+            this.vrKeyboardGroup = this._createVRKeyboard();
+            this.vrKeyboardGroup.position.y = -this.VR_MENU_HEIGHT / 2 - 0.05;
+            menuGroup.add(this.vrKeyboardGroup);
+        } else {
+            this.vrKeyboardGroup = null;
+        }
+
+        const crumbs = this.getBreadcrumbs();
+        if (crumbs.length > 0) {
+            this.vrBreadcrumbGroup = this._createVRBreadcrumbs(crumbs);
+            this.vrBreadcrumbGroup.position.y = this.VR_MENU_HEIGHT / 2 + 0.02 + this.VR_BREADCRUMB_HEIGHT / 2;
+            menuGroup.add(this.vrBreadcrumbGroup);
+        } else {
+            this.vrBreadcrumbGroup = null;
+        }
+
         menuGroup.position.set(0, 0, -2);
-        this.camera.add(menuGroup);
+        this.camera.add(this.vrMenuResources.track(menuGroup));
+    }
+
+    /**
+     * Builds a tile of the VR grid: the cover image with the entry's text below it. The cover is drawn in when it
+     * has loaded, unless the menu has been rebuilt meanwhile; until then the tile shows a grey placeholder.
+     * @param {{text: string, data: object, cover: object|null}} item
+     * @param {number} generation - The `vrMenuGeneration` of the menu being built.
+     * @returns {THREE.Mesh}
+     * @private
+     */
+    _createVRTile(item, generation) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256; canvas.height = 228;
+        const imageHeight = 192;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(0, 0, canvas.width, imageHeight);
+        ctx.fillStyle = '#222222';
+        ctx.fillRect(0, imageHeight, canvas.width, canvas.height - imageHeight);
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 22px sans-serif';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText(item.text, canvas.width / 2, (imageHeight + canvas.height) / 2, canvas.width - 12);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(this.VR_TILE_WIDTH, this.VR_TILE_HEIGHT), material);
+        mesh.userData = item.data;
+
+        if (item.cover) {
+            this.getCoverUrl(item.cover)
+                .then(url => url ? this._loadCoverImage(url) : null)
+                .then(image => {
+                    if (!image || generation !== this.vrMenuGeneration || !this.vrMenuScrollGroup) return;
+                    // Crop the image to fill the picture area, like CSS `object-fit: cover`.
+                    const scale = Math.max(canvas.width / image.width, imageHeight / image.height);
+                    const sourceWidth = canvas.width / scale;
+                    const sourceHeight = imageHeight / scale;
+                    ctx.drawImage(image, (image.width - sourceWidth) / 2, (image.height - sourceHeight) / 2, sourceWidth, sourceHeight, 0, 0, canvas.width, imageHeight);
+                    texture.needsUpdate = true;
+                });
+        }
+        return mesh;
+    }
+
+    /**
+     * Builds the search keyboard of the VR menu, hanging down from its origin.
+     * Each key carries its character (or 'space', 'backspace', 'clear') as `userData.searchKey`.
+     * @returns {THREE.Group}
+     * @private
+     */
+    _createVRKeyboard() {
+        const keyboard = new THREE.Group();
+        keyboard.name = 'VRKeyboard';
+        const labels = { space: 'Space', backspace: '⌫', clear: 'Clear' };
+        const size = this.VR_KEY_SIZE;
+
+        VR_KEYBOARD_ROWS.forEach((row, rowIndex) => {
+            // The editing keys are wider, so that the last row spans the same width as the others.
+            const widths = row.map(key => key === 'space' ? 4 : (labels[key] ? 3 : 1));
+            const units = widths.reduce((sum, width) => sum + width, 0);
+            let x = -units * size / 2;
+            row.forEach((key, i) => {
+                const width = widths[i] * size;
+                const canvas = document.createElement('canvas');
+                canvas.width = 64 * widths[i]; canvas.height = 64;
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#333333';
+                ctx.fillRect(2, 2, canvas.width - 4, 60);
+                ctx.fillStyle = 'white';
+                ctx.font = 'bold 32px sans-serif';
+                ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+                ctx.fillText(labels[key] || key.toUpperCase(), canvas.width / 2, 32, canvas.width - 8);
+
+                const material = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true });
+                const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width * 0.95, size * 0.95), material);
+                mesh.userData = { searchKey: key };
+                mesh.position.set(x + width / 2, -(rowIndex + 0.5) * size, 0);
+                keyboard.add(mesh);
+                x += width;
+            });
+        });
+
+        const background = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.2, VR_KEYBOARD_ROWS.length * size + 0.04),
+            new THREE.MeshBasicMaterial({ color: 0x151515, opacity: 0.8, transparent: true })
+        );
+        background.position.set(0, -VR_KEYBOARD_ROWS.length * size / 2, -0.01);
+        keyboard.add(background);
+        return keyboard;
+    }
+
+    /**
+     * Builds the breadcrumb bar of the VR menu, centred on its origin. Every crumb but the last can be selected.
+     * When the trail is wider than the menu, the crumbs after 'Home' are replaced by '…' from the front.
+     * @param {Array<{text: string, data: object}>} crumbs
+     * @returns {THREE.Group}
+     * @private
+     */
+    _createVRBreadcrumbs(crumbs) {
+        const bar = new THREE.Group();
+        bar.name = 'VRBreadcrumbs';
+        const height = this.VR_BREADCRUMB_HEIGHT;
+        const font = 'bold 28px sans-serif';
+        const measure = document.createElement('canvas').getContext('2d');
+        measure.font = font;
+
+        const labelOf = (list, i) => i < list.length - 1 ? `${list[i].text} ›` : list[i].text;
+        const widthOf = (text) => Math.min(512, Math.ceil(measure.measureText(text).width) + 24) / 64 * height;
+        const totalWidth = (list) => list.reduce((sum, crumb, i) => sum + widthOf(labelOf(list, i)), 0);
+
+        let shown = crumbs;
+        let hidden = 0;
+        while (shown.length > 3 && totalWidth(shown) > 1.2) {
+            hidden++;
+            shown = [crumbs[0], { text: '…', data: {} }].concat(crumbs.slice(hidden + 1));
+        }
+
+        let x = -totalWidth(shown) / 2;
+        shown.forEach((crumb, i) => {
+            const text = labelOf(shown, i);
+            const width = widthOf(text);
+            const isLink = i < shown.length - 1 && Object.keys(crumb.data).length > 0;
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width / height * 64); canvas.height = 64;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = isLink ? `#${NAVIGATION_COLOR.toString(16)}` : '#dddddd';
+            ctx.font = font;
+            ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+            ctx.fillText(text, canvas.width / 2, 32, canvas.width - 8);
+
+            const material = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true });
+            const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+            mesh.userData = isLink ? crumb.data : {};
+            mesh.position.x = x + width / 2;
+            bar.add(mesh);
+            x += width;
+        });
+        return bar;
     }
 }
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * @file Gallery providers: where galleries come from.
+ * A provider lists the galleries it knows of, loads a gallery's manifest and turns each manifest entry into a
+ * texture source. The ArtManager and the GalleryMenu only talk to the registry, which asks the provider that
+ * claims a gallery's name, so other back ends can be added in main.js without touching either class.
+ *
+ * Gallery names are what the `f` URL parameter carries and what the viewing history records, so they must
+ * be unique across providers.
+ */
+
+import { getCoverFile, getGalleryFileUrl } from './Manifest.js';
+
+/**
+ * Base class for gallery providers. Subclasses implement `handles` and `loadManifest`, and override the rest
+ * as needed.
+ */
+export class GalleryProvider {
+    /**
+     * @param {string} id - A short name for log messages, e.g. 'folders'.
+     */
+    constructor(id) {
+        this.id = id;
+    }
+
+    /**
+     * Whether this provider opens the gallery with the given name. Must be implemented by subclasses.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    handles(name) {
+        throw new Error(`${this.constructor.name} does not implement handles().`);
+    }
+
+    /**
+     * Lists the galleries for the menus.
+     * @returns {Promise<{galleries: Array<string|object>, categories?: Object<string, string[]>}>} Entries in the
+     *     form of `galleries.json` (see `normalizeGalleryListEntry`), and optional categories naming galleries.
+     */
+    listGalleries() {
+        return Promise.resolve({ galleries: [] });
+    }
+
+    /**
+     * Loads a gallery's manifest. Must be implemented by subclasses.
+     * @param {string} name - The gallery name.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the download when another gallery is opened.
+     * @param {number} [options.maxImageSize] - The largest image size worth requesting, for providers that can choose.
+     * @param {string} [options.language] - The viewer's language, for providers with translated texts.
+     * @returns {Promise<object|null>} The raw manifest, or null if the gallery was released while loading.
+     */
+    loadManifest(name, options = {}) {
+        return Promise.reject(new Error(`${this.constructor.name} does not implement loadManifest().`));
+    }
+
+    /**
+     * Turns a manifest entry into a source for the TextureStreamer.
+     * @param {string} name - The gallery name.
+     * @param {object} image - The normalized manifest entry.
+     * @returns {{url: string, lowResUrl: string|null, type: string}}
+     */
+    resolveImage(name, image) {
+        return {
+            url: getGalleryFileUrl(name, image.file),
+            lowResUrl: image.thumb ? getGalleryFileUrl(name, image.thumb) : null,
+            type: image.type
+        };
+    }
+
+    /**
+     * Returns what the TextureStreamer should pass its URLs through before loading them (see its `urlResolver`
+     * option), for sources that are not plain URLs.
+     * @param {string} name - The gallery name.
+     * @returns {{resolve: function(string): Promise<string>, release: function(string): void}|null}
+     */
+    getUrlResolver(name) {
+        return null;
+    }
+
+    /**
+     * Finds the image shown on a gallery's menu tile.
+     * @param {{name: string, cover: string|null}} gallery - A normalized gallery list entry.
+     * @returns {Promise<string|null>} The image URL, or null for no cover.
+     */
+    resolveCover(gallery) {
+        return Promise.resolve(gallery.cover ? getGalleryFileUrl(gallery.name, gallery.cover) : null);
+    }
+
+    /**
+     * Frees what was held for a gallery once it is closed, or abandons it while it is still loading.
+     * @param {string} name - The gallery name.
+     */
+    release(name) {}
+}
+
+/**
+ * The galleries in folders below /images, listed by `galleries.json`. The list may also name galleries that
+ * other providers open, such as zip archives and IIIF manifests.
+ */
+export class StaticFolderProvider extends GalleryProvider {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.listUrl='galleries.json'] - The gallery list.
+     */
+    constructor({ listUrl = 'galleries.json' } = {}) {
+        super('folders');
+        this.listUrl = listUrl;
+    }
+
+    /**
+     * Every name is a folder, unless another provider claims it first.
+     * @returns {boolean}
+     */
+    handles(name) {
+        return true;
+    }
+
+    /**
+     * Fetches the gallery list.
+     * @returns {Promise<{galleries: Array<string|object>, categories?: Object<string, string[]>}>}
+     */
+    listGalleries() {
+        return fetch(this.listUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`${this.listUrl} could not be loaded (${response.status} ${response.statusText}).`);
+                return response.json();
+            })
+            .then(data => ({
+                galleries: Array.isArray(data.galleries) ? data.galleries : [data.galleries],
+                categories: data.categories
+            }));
+    }
+
+    /**
+     * Fetches the folder's `manifest.json`.
+     * @param {string} name - The folder below /images.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<object>}
+     */
+    loadManifest(name, { signal } = {}) {
+        return fetch(`images/${name}/manifest.json`, { signal })
+            .then(response => {
+                if (!response.ok) throw new Error(`manifest.json could not be loaded (${response.status} ${response.statusText}).`);
+                return response.json().catch(() => {
+                    throw new Error('manifest.json is not valid JSON.');
+                });
+            });
+    }
+
+    /**
+     * Uses the cover named by the gallery list (written by the Node.js indexer); for other entries, the gallery's
+     * manifest is fetched.
+     * @param {{name: string, cover: string|null}} gallery
+     * @returns {Promise<string|null>}
+     */
+    resolveCover(gallery) {
+        if (gallery.cover) return super.resolveCover(gallery);
+        return fetch(`images/${gallery.name}/manifest.json`)
+            .then(response => response.ok ? response.json() : null)
+            .then(getCoverFile)
+            .then(cover => cover ? getGalleryFileUrl(gallery.name, cover) : null)
+            .catch(() => null);
+    }
+}
+
+/**
+ * The providers in use. A gallery is opened by the first registered provider that handles its name, else by the
+ * default provider; the menus show the galleries of all of them.
+ */
+export class GalleryProviderRegistry {
+    constructor() {
+        this.providers = [];
+        this.defaultProvider = null;
+    }
+
+    /**
+     * Adds a provider. Providers registered earlier take precedence.
+     * @param {GalleryProvider} provider
+     * @param {object} [options]
+     * @param {boolean} [options.isDefault=false] - Whether it opens the galleries no other provider handles.
+     * @returns {GalleryProviderRegistry} This registry, for chaining.
+     */
+    register(provider, { isDefault = false } = {}) {
+        this.providers.push(provider);
+        if (isDefault) this.defaultProvider = provider;
+        return this;
+    }
+
+    /**
+     * Returns the provider that opens a gallery.
+     * @param {string} name - The gallery name.
+     * @returns {GalleryProvider}
+     */
+    getProvider(name) {
+        const provider = this.providers.find(candidate => candidate !== this.defaultProvider && candidate.handles(name));
+        if (provider) return provider;
+        if (!this.defaultProvider) throw new Error(`No gallery provider handles '${name}'.`);
+        return this.defaultProvider;
+    }
+
+    /**
+     * Lists the galleries of every provider, in registration order. A gallery listed twice keeps its first entry,
+     * and categories with the same name are combined. A provider that fails is left out with a warning.
+     * @returns {Promise<{galleries: Array<string|object>, categories: Object<string, string[]>}>}
+     */
+    listGalleries() {
+        return Promise.all(this.providers.map(provider => provider.listGalleries().catch(error => {
+            console.warn(`The '${provider.id}' gallery provider could not list its galleries:`, error);
+            return { galleries: [] };
+        }))).then(lists => {
+            const galleries = [];
+            const names = new Set();
+            const categories = {};
+            lists.forEach(list => {
+                (list.galleries || []).forEach(entry => {
+                    const name = typeof entry === 'string' ? entry : entry && entry.name;
+                    if (typeof name !== 'string' || names.has(name)) return;
+                    names.add(name);
+                    galleries.push(entry);
+                });
+                Object.entries(list.categories || {}).forEach(([category, members]) => {
+                    if (!Array.isArray(members)) return;
+                    categories[category] = (categories[category] || []).concat(members);
+                });
+            });
+            return { galleries, categories };
+        });
+    }
+}
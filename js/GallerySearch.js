@@ -0,0 +1,85 @@
+/**
+ * @file Fuzzy search over the gallery list, used by the search field of the gallery menu.
+ * A query matches a gallery when every word of it matches the gallery's name, title or one of its tags,
+ * either as a substring or as letters in order (so "sprex" finds "Spring Exhibition").
+ */
+
+/**
+ * How much a match in each field counts; the folder name is what the menu shows, so it ranks highest.
+ * @type {{name: number, title: number, tag: number}}
+ */
+const FIELD_WEIGHTS = { name: 1, title: 0.9, tag: 0.8 };
+
+/**
+ * Whether a position in a lower-case text starts a word.
+ * @param {string} text
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isWordStart(text, index) {
+    return index === 0 || !/[\p{L}\p{N}]/u.test(text.charAt(index - 1));
+}
+
+/**
+ * Scores how well a query matches a text. Substrings beat scattered letters, and matches at the start of
+ * the text or of a word beat matches inside a word; shorter texts win ties.
+ * @param {string} query - One search word.
+ * @param {string} text - The text to search in.
+ * @returns {number|null} The score, or null if the letters of the query do not all appear in order.
+ */
+export function fuzzyScore(query, text) {
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+    if (!q) return 0;
+
+    const index = t.indexOf(q);
+    if (index >= 0) {
+        const bonus = index === 0 ? 8 : (isWordStart(t, index) ? 4 : 0);
+        return q.length * 5 + bonus - t.length * 0.01;
+    }
+
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const ch of q) {
+        const found = t.indexOf(ch, from);
+        if (found < 0) return null;
+        score += 1 + (found === previous + 1 ? 2 : 0) + (isWordStart(t, found) ? 2 : 0);
+        previous = found;
+        from = found + 1;
+    }
+    return score - t.length * 0.01;
+}
+
+/**
+ * Finds the galleries matching a query, best first.
+ * @param {Array<{name: string, title: string|null, tags: string[]}>} galleries - Normalized entries of `galleries.json`.
+ * @param {string} query - Words separated by spaces.
+ * @returns {Array<{name: string, title: string|null, tags: string[]}>} The matching galleries; all of them, in order, for an empty query.
+ */
+export function searchGalleries(galleries, query) {
+    const words = query.trim().split(/\s+/).filter(word => word.length > 0);
+    if (words.length === 0) return galleries.slice();
+
+    const results = [];
+    galleries.forEach((gallery, order) => {
+        const fields = [{ text: gallery.name, weight: FIELD_WEIGHTS.name }];
+        if (gallery.title) fields.push({ text: gallery.title, weight: FIELD_WEIGHTS.title });
+        gallery.tags.forEach(tag => fields.push({ text: tag, weight: FIELD_WEIGHTS.tag }));
+
+        let total = 0;
+        for (const word of words) {
+            let best = null;
+            fields.forEach(({ text, weight }) => {
+                const score = fuzzyScore(word, text);
+                if (score !== null && (best === null || score * weight > best)) best = score * weight;
+            });
+            if (best === null) return;
+            total += best;
+        }
+        results.push({ gallery, score: total, order });
+    });
+
+    results.sort((a, b) => (b.score - a.score) || (a.order - b.order));
+    return results.map(result => result.gallery);
+}
@@ -0,0 +1,213 @@
+/**
+ * @file Recognises pinch, swipe and palm-up gestures from WebXR hand tracking.
+ * Joint poses are read from the hand objects of `renderer.xr.getHand`, which Three.js updates every
+ * frame in the player's local space; this module only interprets them. PlayerController turns the
+ * gestures into actions.
+ */
+
+/**
+ * The gestures, as listed in the help text.
+ * @type {string[]}
+ */
+export const HAND_GESTURE_HELP = [
+    'Pinch: Select Menu Item',
+    'Pinch and Drag: Clutch Move',
+    'Swipe Left / Right: Next / Previous Image',
+    'Palm Up: Open / Close Menu'
+];
+
+/**
+ * Follows one tracked hand and reports its gestures.
+ */
+export default class HandGestures {
+    /**
+     * @param {THREE.Group} hand - A hand from `renderer.xr.getHand`, added to the player group.
+     */
+    constructor(hand) {
+        this.hand = hand;
+        // The input source currently driving this hand, or null while no hand is connected.
+        this.source = null;
+        hand.addEventListener('connected', (event) => {
+            if (event.data.hand) this.source = event.data;
+        });
+        hand.addEventListener('disconnected', () => {
+            this.source = null;
+            this._resetState();
+        });
+
+        // --- Gesture thresholds (metres and seconds) ---
+        this.PINCH_START_DISTANCE = 0.015;
+        this.PINCH_END_DISTANCE = 0.025; // Wider than the start distance so a pinch does not flicker.
+        this.SWIPE_DISTANCE = 0.15;
+        this.SWIPE_WINDOW = 0.3;
+        this.SWIPE_COOLDOWN = 0.6;
+        this.PALM_UP_THRESHOLD = 0.8; // Cosine of the angle between the palm and straight up.
+        this.PALM_DOWN_THRESHOLD = 0.3;
+        this.PALM_UP_HOLD = 0.5;
+
+        // Small spheres shown on the joints, since WebXR does not draw the user's hands in VR.
+        this.jointGeometry = new THREE.SphereGeometry(0.008, 8, 6);
+        this.jointMaterial = new THREE.MeshBasicMaterial({ color: 0xcccccc });
+
+        this._resetState();
+    }
+
+    /**
+     * The handedness of the tracked hand.
+     * @returns {'left'|'right'|null}
+     */
+    getHandedness() {
+        return this.source ? this.source.handedness : null;
+    }
+
+    /**
+     * Whether the hand is currently tracked.
+     * @returns {boolean}
+     */
+    isTracking() {
+        return this.source !== null && this.hand.visible && this._getJoint('wrist') !== null;
+    }
+
+    /**
+     * Whether the thumb and index finger are pinched together.
+     * @returns {boolean}
+     */
+    isPinching() {
+        return this.pinching;
+    }
+
+    /**
+     * Returns the point between the thumb and index fingertips, in the player's local space.
+     * @param {THREE.Vector3} out
+     * @returns {THREE.Vector3}
+     */
+    getPinchPosition(out) {
+        const thumb = this._getJoint('thumb-tip');
+        const index = this._getJoint('index-finger-tip');
+        if (!thumb || !index) return out.set(0, 0, 0);
+        return out.copy(thumb.position).add(index.position).multiplyScalar(0.5);
+    }
+
+    /**
+     * Reads the joints and returns the gestures completed this frame.
+     * @param {number} delta - Seconds since the last frame.
+     * @param {THREE.Camera} camera - The XR camera, a child of the player like the hands, used to tell left from right.
+     * @returns {string[]} Any of 'pinchstart', 'pinchend', 'swipeleft', 'swiperight' and 'palmup'.
+     */
+    update(delta, camera) {
+        if (!this.isTracking()) {
+            const gestures = this.pinching ? ['pinchend'] : [];
+            this._resetState();
+            return gestures;
+        }
+        this._addJointMarkers();
+
+        const gestures = [];
+        this.elapsed += delta;
+
+        // --- Pinch ---
+        // A fingertip the runtime lost for a moment leaves the pinch as it was.
+        const thumb = this._getJoint('thumb-tip');
+        const index = this._getJoint('index-finger-tip');
+        if (thumb && index) {
+            const distance = thumb.position.distanceTo(index.position);
+            if (!this.pinching && distance < this.PINCH_START_DISTANCE) {
+                this.pinching = true;
+                gestures.push('pinchstart');
+            } else if (this.pinching && distance > this.PINCH_END_DISTANCE) {
+                this.pinching = false;
+                gestures.push('pinchend');
+            }
+        }
+
+        // --- Palm up ---
+        const palmUp = this._getPalmNormal().y;
+        if (this.palmUpArmed && palmUp > this.PALM_UP_THRESHOLD) {
+            this.palmUpTime += delta;
+            if (this.palmUpTime >= this.PALM_UP_HOLD) {
+                this.palmUpArmed = false;
+                gestures.push('palmup');
+            }
+        } else {
+            this.palmUpTime = 0;
+            // Fire again only after the palm has turned back down.
+            if (palmUp < this.PALM_DOWN_THRESHOLD) this.palmUpArmed = true;
+        }
+
+        // --- Swipe ---
+        // An open hand, palm not up, moving sideways across the view quickly enough.
+        const wrist = this._getJoint('wrist').position;
+        this.wristHistory.push({ time: this.elapsed, position: wrist.clone() });
+        while (this.wristHistory.length > 0 && this.elapsed - this.wristHistory[0].time > this.SWIPE_WINDOW) this.wristHistory.shift();
+
+        if (this.pinching || palmUp > this.PALM_DOWN_THRESHOLD) {
+            this.wristHistory.length = 0;
+        } else if (this.elapsed >= this.swipeCooldownUntil && this.wristHistory.length > 1) {
+            const motion = new THREE.Vector3().subVectors(wrist, this.wristHistory[0].position);
+            const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+            right.y = 0;
+            right.normalize();
+            const sideways = motion.dot(right);
+            const other = Math.sqrt(Math.max(0, motion.lengthSq() - sideways * sideways));
+            if (Math.abs(sideways) > this.SWIPE_DISTANCE && Math.abs(sideways) > other * 2) {
+                gestures.push(sideways < 0 ? 'swipeleft' : 'swiperight');
+                this.swipeCooldownUntil = this.elapsed + this.SWIPE_COOLDOWN;
+                this.wristHistory.length = 0;
+            }
+        }
+
+        return gestures;
+    }
+
+    /**
+     * Clears all gesture state, e.g. when tracking is lost.
+     * @private
+     */
+    _resetState() {
+        this.pinching = false;
+        this.palmUpArmed = false;
+        this.palmUpTime = 0;
+        this.wristHistory = [];
+        this.elapsed = 0;
+        this.swipeCooldownUntil = 0;
+    }
+
+    /**
+     * Returns a joint if it is tracked this frame.
+     * @param {string} name - A WebXR joint name, e.g. 'index-finger-tip'.
+     * @returns {THREE.Group|null}
+     * @private
+     */
+    _getJoint(name) {
+        const joint = this.hand.joints ? this.hand.joints[name] : undefined;
+        return joint && joint.visible ? joint : null;
+    }
+
+    /**
+     * Returns the direction the palm faces, in the player's local space.
+     * @returns {THREE.Vector3} A unit vector, or zero if the joints are not tracked.
+     * @private
+     */
+    _getPalmNormal() {
+        const wrist = this._getJoint('wrist');
+        const index = this._getJoint('index-finger-metacarpal');
+        const pinky = this._getJoint('pinky-finger-metacarpal');
+        if (!wrist || !index || !pinky) return new THREE.Vector3();
+
+        const toIndex = new THREE.Vector3().subVectors(index.position, wrist.position);
+        const toPinky = new THREE.Vector3().subVectors(pinky.position, wrist.position);
+        const normal = new THREE.Vector3().crossVectors(toIndex, toPinky).normalize();
+        // The joints are mirrored on the left hand.
+        return this.getHandedness() === 'left' ? normal.negate() : normal;
+    }
+
+    /**
+     * Adds a marker to every joint that does not have one yet. Three.js creates the joints as they are first seen.
+     * @private
+     */
+    _addJointMarkers() {
+        Object.values(this.hand.joints).forEach(joint => {
+            if (joint.children.length === 0) joint.add(new THREE.Mesh(this.jointGeometry, this.jointMaterial));
+        });
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * @file Reads IIIF Presentation manifests (versions 2 and 3) as galleries.
+ * Each canvas becomes a painting. Images with an IIIF Image API service are requested at a size suited to the
+ * display, with a small version for the low-resolution window; images without one are used as they are.
+ * The labels, summaries (descriptions in version 2), required statements (attributions) and the artist and date
+ * from the metadata become the paintings' info card fields.
+ *
+ * A gallery is an IIIF manifest when its name is an http(s) URL or ends in `.json`; relative names are files
+ * below /images, e.g. `?f=museum/highlights.json`. `IiifProvider` opens them for the gallery provider registry.
+ */
+
+import { MANIFEST_VERSION, getCoverFile } from './Manifest.js';
+import { GalleryProvider } from './GalleryProviders.js';
+
+/**
+ * Metadata labels, in any language the manifest uses, that fill the `artist` and `date` fields.
+ * @type {{artist: RegExp, date: RegExp}}
+ */
+const METADATA_LABELS = {
+    artist: /artist|creator|maker|author|painter|photographer|künstler|artiste|kunstenaar|vervaardiger/i,
+    date: /date|created|datum|dating|datering|année/i
+};
+
+/**
+ * Whether a gallery name refers to an IIIF manifest rather than a folder.
+ * @param {string|null} name - A gallery name, as in the `f` URL parameter or galleries.json.
+ * @returns {boolean}
+ */
+export function isIiifGalleryName(name) {
+    return typeof name === 'string' && (/^https?:\/\//i.test(name) || name.toLowerCase().endsWith('.json'));
+}
+
+/**
+ * Returns the URL an IIIF gallery's manifest is loaded from.
+ * @param {string} name - The gallery name.
+ * @returns {string}
+ */
+export function getIiifManifestUrl(name) {
+    return /^https?:\/\//i.test(name) ? name : `images/${name}`;
+}
+
+/**
+ * Removes the HTML that IIIF allows in labels and values, for drawing as plain text.
+ * @param {string} html
+ * @returns {string}
+ */
+function toPlainText(html) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+    return html
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|quot|apos|nbsp|#39);/g, (match, name) => entities[name])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reads a text value in either version's form: a v3 language map (`{"en": ["..."]}`), a v2 string, a v2
+ * `{"@value", "@language"}` object, or a list of those. The viewer's language is preferred, then English.
+ * @param {*} value
+ * @param {string} language - The preferred language, e.g. 'en' or 'en-gb'.
+ * @returns {string|null}
+ */
+function getText(value, language) {
+    if (value === null || value === undefined) return null;
+    const primary = language.toLowerCase().split('-')[0];
+    if (typeof value === 'string') return toPlainText(value) || null;
+    if (Array.isArray(value)) {
+        const matches = lang => value.find(item => item && typeof item === 'object' && typeof item['@language'] === 'string' &&
+            item['@language'].toLowerCase().startsWith(lang));
+        const chosen = matches(primary) || matches('en') || value[0];
+        return getText(chosen, language);
+    }
+    if (typeof value === 'object') {
+        if ('@value' in value) return getText(value['@value'], language);
+        const keys = Object.keys(value);
+        const key = keys.find(k => k.toLowerCase().startsWith(primary)) || keys.find(k => k.startsWith('en')) ||
+            keys.find(k => k === 'none' || k === '@none') || keys[0];
+        if (key === undefined) return null;
+        const texts = [].concat(value[key]).filter(text => typeof text === 'string').map(toPlainText).filter(Boolean);
+        return texts.length > 0 ? texts.join('; ') : null;
+    }
+    return null;
+}
+
+/**
+ * Returns the id of a resource in either version.
+ * @param {*} resource
+ * @returns {string|null}
+ */
+function getId(resource) {
+    if (typeof resource === 'string') return resource;
+    if (!resource || typeof resource !== 'object') return null;
+    return resource.id || resource['@id'] || null;
+}
+
+/**
+ * Finds the base URL of a resource's IIIF Image API service.
+ * @param {object} resource - An image resource (v2) or annotation body (v3).
+ * @returns {string|null}
+ */
+function getImageService(resource) {
+    const services = [].concat(resource.service || []).filter(service => service && typeof service === 'object');
+    const isImageService = service => /ImageService|iiif\.io\/api\/image/i.test(
+        `${service.type || ''} ${service['@type'] || ''} ${service['@context'] || ''} ${[].concat(service.profile || []).join(' ')}`);
+    const service = services.find(isImageService) || services[0];
+    const id = getId(service);
+    return id ? id.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Builds an Image API request for the whole image, scaled to fit a square box. Servers do not upscale.
+ * @param {string} service - The service's base URL.
+ * @param {number} size - The box size in pixels.
+ * @returns {string}
+ */
+function getImageApiUrl(service, size) {
+    return `${service}/full/!${size},${size}/0/default.jpg`;
+}
+
+/**
+ * Finds the text of the first metadata entry whose label matches.
+ * @param {Array<{label: *, value: *}>} metadata - A canvas's metadata, then the manifest's.
+ * @param {RegExp} pattern
+ * @param {string} language
+ * @returns {string|null}
+ */
+function findMetadata(metadata, pattern, language) {
+    const entry = metadata.find(item => item && pattern.test(getText(item.label, language) || ''));
+    return entry ? getText(entry.value, language) : null;
+}
+
+/**
+ * Returns what a canvas paints: its first image or video, and its kind.
+ * @param {object} canvas
+ * @param {boolean} isVersion3
+ * @returns {{resource: object, type: string}|null}
+ */
+function getPaintedResource(canvas, isVersion3) {
+    let resource;
+    if (isVersion3) {
+        const annotations = [].concat(...[].concat(canvas.items || []).map(page => [].concat(page && page.items || [])));
+        const painting = annotations.find(annotation => annotation && annotation.motivation === 'painting') || annotations[0];
+        resource = painting && painting.body;
+        if (Array.isArray(resource)) resource = resource[0];
+        // A choice of images (e.g. different lighting) shows its first option.
+        if (resource && resource.type === 'Choice') resource = [].concat(resource.items || [])[0];
+    } else {
+        const image = [].concat(canvas.images || [])[0];
+        resource = image && image.resource;
+        if (resource && resource['@type'] === 'oa:Choice') resource = resource.default;
+    }
+    if (!resource || typeof resource !== 'object') return null;
+    const kind = `${resource.type || resource['@type'] || ''}`.toLowerCase();
+    return { resource, type: kind.includes('video') ? 'video' : 'image' };
+}
+
+/**
+ * Converts an IIIF Presentation manifest into a gallery manifest, with absolute image URLs.
+ * @param {object} iiif - The parsed IIIF manifest.
+ * @param {object} [options]
+ * @param {number} [options.maxSize=2048] - The largest width or height requested from an Image API service.
+ * @param {number} [options.thumbSize=512] - The size of the low-resolution versions.
+ * @param {string} [options.language='en'] - The preferred language of the texts.
+ * @returns {{version: number, title: string|null, images: object[]}} A raw manifest, to be normalized like one
+ *     loaded from a folder.
+ */
+export function convertIiifManifest(iiif, { maxSize = 2048, thumbSize = 512, language = 'en' } = {}) {
+    if (!iiif || typeof iiif !== 'object') throw new Error('The IIIF manifest is not a JSON object.');
+    const context = [].concat(iiif['@context'] || []).join(' ');
+    const type = iiif.type || iiif['@type'] || '';
+    if (/Collection/i.test(type)) throw new Error('IIIF collections are not supported; open one of its manifests.');
+
+    const isVersion3 = context.includes('presentation/3') || (!context.includes('presentation/2') && Array.isArray(iiif.items));
+    const canvases = isVersion3
+        ? [].concat(iiif.items || []).filter(item => item && (item.type || 'Canvas') === 'Canvas')
+        : [].concat(...[].concat(iiif.sequences || []).slice(0, 1).map(sequence => [].concat(sequence.canvases || [])));
+    if (!isVersion3 && !Array.isArray(iiif.sequences)) throw new Error('The file is not an IIIF Presentation manifest.');
+
+    const manifestMetadata = [].concat(iiif.metadata || []);
+    const manifestCaption = getText(isVersion3 ? iiif.summary : iiif.description, language);
+    const manifestCredits = getText(isVersion3 ? iiif.requiredStatement && iiif.requiredStatement.value : iiif.attribution, language);
+
+    const images = [];
+    canvases.forEach(canvas => {
+        const painted = getPaintedResource(canvas, isVersion3);
+        if (!painted) return;
+        const service = painted.type === 'image' ? getImageService(painted.resource) : null;
+        const file = service ? getImageApiUrl(service, maxSize) : getId(painted.resource);
+        if (!file) return;
+
+        const thumbnail = getId([].concat(canvas.thumbnail || [])[0]);
+        const metadata = [].concat(canvas.metadata || [], manifestMetadata);
+        const entry = {
+            file,
+            type: painted.type,
+            title: getText(canvas.label, language),
+            artist: findMetadata(metadata, METADATA_LABELS.artist, language),
+            date: findMetadata(metadata, METADATA_LABELS.date, language),
+            caption: getText(isVersion3 ? canvas.summary : canvas.description, language) || manifestCaption,
+            credits: getText(isVersion3 ? canvas.requiredStatement && canvas.requiredStatement.value : canvas.attribution, language) || manifestCredits,
+            thumb: service ? getImageApiUrl(service, thumbSize) : thumbnail,
+            width: Number(canvas.width) || Number(painted.resource.width) || null,
+            height: Number(canvas.height) || Number(painted.resource.height) || null
+        };
+        // Leave out what the manifest does not say, as a hand-written manifest would.
+        Object.keys(entry).forEach(key => {
+            if (entry[key] === null) delete entry[key];
+        });
+        images.push(entry);
+    });
+
+    return { version: MANIFEST_VERSION, title: getText(iiif.label, language), images };
+}
+
+/**
+ * Opens IIIF manifests as galleries. Manifests given to the constructor are listed in the menus; any other
+ * manifest can still be opened by URL, or listed in `galleries.json`.
+ */
+export class IiifProvider extends GalleryProvider {
+    /**
+     * @param {object} [options]
+     * @param {Array<string|object>} [options.manifests=[]] - Manifest URLs to list, or gallery list entries
+     *     (`{name, title, tags}`) whose names are manifest URLs.
+     */
+    constructor({ manifests = [] } = {}) {
+        super('iiif');
+        this.manifests = manifests;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    handles(name) {
+        return isIiifGalleryName(name);
+    }
+
+    /**
+     * @returns {Promise<{galleries: Array<string|object>}>}
+     */
+    listGalleries() {
+        return Promise.resolve({ galleries: this.manifests.slice() });
+    }
+
+    /**
+     * Loads an IIIF manifest and converts it into a gallery manifest.
+     * @param {string} name - The manifest's URL, or its path below /images.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {number} [options.maxImageSize=2048] - The largest width or height requested from image servers.
+     * @param {string} [options.language='en']
+     * @returns {Promise<object>}
+     */
+    loadManifest(name, { signal, maxImageSize = 2048, language = 'en' } = {}) {
+        return this._fetch(name, signal)
+            .then(iiif => convertIiifManifest(iiif, { maxSize: maxImageSize, language }));
+    }
+
+    /**
+     * Shows the gallery's first image, in its low-resolution version.
+     * @param {{name: string, cover: string|null}} gallery
+     * @returns {Promise<string|null>}
+     */
+    resolveCover(gallery) {
+        if (gallery.cover) return super.resolveCover(gallery);
+        return this._fetch(gallery.name)
+            .then(iiif => getCoverFile(convertIiifManifest(iiif)))
+            .catch(() => null);
+    }
+
+    /**
+     * Fetches and parses a manifest.
+     * @param {string} name
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<object>}
+     * @private
+     */
+    _fetch(name, signal) {
+        return fetch(getIiifManifestUrl(name), { signal })
+            .then(response => {
+                if (!response.ok) throw new Error(`The IIIF manifest could not be loaded (${response.status} ${response.statusText}).`);
+                return response.json().catch(() => {
+                    throw new Error('The IIIF manifest is not valid JSON.');
+                });
+            });
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * @file Loads the input binding profiles and resolves which key, controller button or axis triggers each action.
+ * Profiles are JSON files in /bindings/: one for the keyboard and one per controller family, chosen by matching
+ * `XRInputSource.profiles`. Overrides made by the user are layered on top and saved in localStorage.
+ *
+ * Controller bindings are given per hand, as `{ "button": index }` or `{ "axis": index, "invert": bool }`
+ * using the indices of the WebXR `xr-standard` gamepad mapping. One button may carry several actions; the
+ * controller only runs the ones that apply in the current context (e.g. select in the menu, info otherwise).
+ *
+ * Profiles are written for a right-handed user. With the dominant hand set to left, each hand uses the
+ * bindings written for the other one, so the whole layout is mirrored; overrides are mirrored with it.
+ */
+
+import { loadStoredObject, saveStoredObject } from './Storage.js';
+
+/**
+ * Keyboard actions, grouped as they are shown in the help text.
+ * @type {Array<{id: string, label: string, group: string}>}
+ */
+export const KEYBOARD_ACTIONS = [
+    { id: 'moveForward', label: 'Move Forward', group: 'Navigation' },
+    { id: 'moveBackward', label: 'Move Backward', group: 'Navigation' },
+    { id: 'turnLeft', label: 'Turn Left', group: 'Navigation' },
+    { id: 'turnRight', label: 'Turn Right', group: 'Navigation' },
+    { id: 'strafeLeft', label: 'Strafe Left', group: 'Navigation' },
+    { id: 'strafeRight', label: 'Strafe Right', group: 'Navigation' },
+    { id: 'moveUp', label: 'Move Up', group: 'Navigation' },
+    { id: 'moveDown', label: 'Move Down', group: 'Navigation' },
+    { id: 'menuToggle', label: 'Gallery Menu', group: 'Gallery' },
+    { id: 'nextImage', label: 'Next Image', group: 'Gallery' },
+    { id: 'previousImage', label: 'Previous Image', group: 'Gallery' },
+    { id: 'infoToggle', label: 'Toggle Info', group: 'Gallery' },
+    { id: 'activate', label: 'Open 360° View / Play Video', group: 'Gallery' },
+    { id: 'inspectToggle', label: 'Inspect (Wheel / Drag)', group: 'Gallery' },
+    { id: 'slideshowToggle', label: 'Start / Stop Slideshow', group: 'Gallery' },
+    { id: 'starToggle', label: 'Star / Unstar Painting', group: 'Gallery' },
+    { id: 'back', label: 'Close 360° View / Inspect', group: 'Gallery' },
+    { id: 'videoPlayPause', label: 'Play / Pause Video', group: 'Gallery' },
+    { id: 'videoSeekBack', label: 'Seek Video Back', group: 'Gallery' },
+    { id: 'videoSeekForward', label: 'Seek Video Forward', group: 'Gallery' },
+    { id: 'videoMute', label: 'Mute / Unmute Video', group: 'Gallery' }
+];
+
+/**
+ * Controller actions. Axis actions are read continuously; the others are buttons.
+ * `bothHands` actions need the button held on both controllers and are always rebound on both.
+ * @type {Array<{id: string, label: string, axis?: boolean, bothHands?: boolean}>}
+ */
+export const CONTROLLER_ACTIONS = [
+    { id: 'move', label: 'Move / Teleport / Scroll Menu', axis: true },
+    { id: 'turn', label: 'Turn', axis: true },
+    { id: 'scrollX', label: 'Seek / Pan / Scroll', axis: true },
+    { id: 'scrollY', label: 'Pan / Zoom / Scroll', axis: true },
+    { id: 'menuToggle', label: 'Gallery Menu' },
+    { id: 'menuSelect', label: 'Select Menu Item', bothHands: true },
+    { id: 'infoToggle', label: 'Toggle Info' },
+    { id: 'clutch', label: 'Clutch Move' },
+    { id: 'nextImage', label: 'Next Image' },
+    { id: 'previousImage', label: 'Previous Image' },
+    { id: 'activate', label: 'Play Video / 360° View' },
+    { id: 'zoomModifier', label: 'Hold to Zoom' },
+    { id: 'inspectToggle', label: 'Inspect Painting' },
+    { id: 'videoMute', label: 'Mute Video' },
+    { id: 'starToggle', label: 'Star Painting' },
+    { id: 'twoHandZoom', label: 'Two-Hand Zoom', bothHands: true },
+    { id: 'consoleToggle', label: 'Toggle Console' },
+    { id: 'guideToggle', label: 'Toggle This Guide' }
+];
+
+/**
+ * The localStorage key holding the user's overrides.
+ * @type {string}
+ */
+const STORAGE_KEY = 'xr-gallery.input-bindings';
+
+/**
+ * Display names for keys whose `KeyboardEvent.key` is not readable as-is.
+ * @type {Object<string, string>}
+ */
+const KEY_NAMES = {
+    ' ': 'Space', enter: 'Enter', escape: 'Esc', tab: 'Tab', backspace: 'Backspace',
+    arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→', shift: 'Shift', control: 'Ctrl', alt: 'Alt'
+};
+
+/**
+ * Holds the binding profiles and the user's overrides.
+ */
+export default class InputBindings {
+    /**
+     * @param {string} [baseUrl='bindings/'] - Where the profile JSON files are served from.
+     */
+    constructor(baseUrl = 'bindings/') {
+        this.baseUrl = baseUrl;
+        this.keyboardProfile = null;
+        this.controllerProfiles = [];
+        this.fallbackProfile = null;
+        this.profileCache = new Map();
+        this.overrides = this._loadOverrides();
+    }
+
+    /**
+     * Fetches the profile index and every profile it lists.
+     * @returns {Promise<void>}
+     */
+    load() {
+        const fetchJson = (file) => fetch(this.baseUrl + file).then(response => {
+            if (!response.ok) throw new Error(`Failed to load ${file}: ${response.status}`);
+            return response.json();
+        });
+
+        return fetchJson('index.json')
+            .then(index => Promise.all([
+                fetchJson(index.keyboard),
+                Promise.all(index.controllers.map(fetchJson)),
+                fetchJson(index.fallback)
+            ]))
+            .then(([keyboard, controllers, fallback]) => {
+                this.keyboardProfile = keyboard;
+                this.controllerProfiles = controllers;
+                this.fallbackProfile = fallback;
+                this.profileCache.clear();
+            });
+    }
+
+    /**
+     * Whether the profiles have been loaded.
+     * @returns {boolean}
+     */
+    isLoaded() {
+        return this.keyboardProfile !== null;
+    }
+
+    // --- Keyboard ---
+
+    /**
+     * Returns the keys bound to each keyboard action, with the user's overrides applied.
+     * @returns {Object<string, string[]>} Lower-case `KeyboardEvent.key` values per action id.
+     */
+    getKeyboardBindings() {
+        const defaults = this.keyboardProfile ? this.keyboardProfile.bindings : {};
+        const bindings = {};
+        KEYBOARD_ACTIONS.forEach(({ id }) => {
+            const keys = id in this.overrides.keyboard ? this.overrides.keyboard[id] : defaults[id];
+            bindings[id] = Array.isArray(keys) ? keys : (keys ? [keys] : []);
+        });
+        return bindings;
+    }
+
+    /**
+     * Binds a key to a keyboard action, taking it away from any other action.
+     * @param {string} action - The action id.
+     * @param {string} key - A lower-case `KeyboardEvent.key` value.
+     */
+    bindKey(action, key) {
+        Object.entries(this.getKeyboardBindings()).forEach(([other, keys]) => {
+            if (other !== action && keys.includes(key)) this.overrides.keyboard[other] = keys.filter(k => k !== key);
+        });
+        this.overrides.keyboard[action] = [key];
+        this._saveOverrides();
+    }
+
+    /**
+     * Formats a key for display.
+     * @param {string} key - A lower-case `KeyboardEvent.key` value.
+     * @returns {string}
+     */
+    formatKey(key) {
+        if (KEY_NAMES[key]) return KEY_NAMES[key];
+        return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    // --- Controllers ---
+
+    /**
+     * Chooses the profile for a controller from its WebXR input profile ids, most specific first.
+     * @param {string[]} inputProfiles - `XRInputSource.profiles`.
+     * @returns {object|null} The profile, or null until the profiles have loaded.
+     */
+    findControllerProfile(inputProfiles) {
+        if (!this.isLoaded()) return null;
+        const cacheKey = inputProfiles.join('|');
+        if (!this.profileCache.has(cacheKey)) {
+            const candidates = [...this.controllerProfiles, this.fallbackProfile];
+            let match = null;
+            for (const id of inputProfiles) {
+                match = candidates.find(profile => profile.profiles.includes(id));
+                if (match) break;
+            }
+            this.profileCache.set(cacheKey, match || this.fallbackProfile);
+        }
+        return this.profileCache.get(cacheKey);
+    }
+
+    /**
+     * Returns the profile to describe before any controller has connected.
+     * @returns {object|null}
+     */
+    getDefaultControllerProfile() {
+        return this.controllerProfiles[0] || this.fallbackProfile;
+    }
+
+    /**
+     * Returns the user's dominant hand.
+     * @returns {'left'|'right'}
+     */
+    getDominantHand() {
+        return this.overrides.dominantHand;
+    }
+
+    /**
+     * Sets the user's dominant hand, mirroring the controller bindings when it is left.
+     * @param {'left'|'right'} hand
+     */
+    setDominantHand(hand) {
+        this.overrides.dominantHand = hand === 'left' ? 'left' : 'right';
+        this._saveOverrides();
+    }
+
+    /**
+     * Returns the bindings of one hand of a controller profile, with the user's overrides applied.
+     * @param {object} profile - A controller profile.
+     * @param {string} hand - 'left' or 'right'.
+     * @returns {Object<string, {button?: number, axis?: number, invert?: boolean}|null>} Unbound actions map to null.
+     */
+    getControllerBindings(profile, hand) {
+        const role = this._getRole(hand);
+        const defaults = profile[role] ? profile[role].bindings : {};
+        const overrides = (this.overrides.controllers[profile.id] || {})[role] || {};
+        return { ...defaults, ...overrides };
+    }
+
+    /**
+     * Binds a controller button to an action, moving the action off the other hand.
+     * @param {object} profile - The controller profile the button belongs to.
+     * @param {string} hand - 'left' or 'right'.
+     * @param {string} action - The action id.
+     * @param {number} button - The gamepad button index.
+     */
+    bindButton(profile, hand, action, button) {
+        const definition = CONTROLLER_ACTIONS.find(({ id }) => id === action);
+        const overrides = this.overrides.controllers[profile.id] || (this.overrides.controllers[profile.id] = { left: {}, right: {} });
+        const otherHand = hand === 'left' ? 'right' : 'left';
+
+        overrides[this._getRole(hand)][action] = { button };
+        if (definition && definition.bothHands) overrides[this._getRole(otherHand)][action] = { button };
+        else if (this.getControllerBindings(profile, otherHand)[action]) overrides[this._getRole(otherHand)][action] = null;
+        this._saveOverrides();
+    }
+
+    /**
+     * Returns the name of a button or axis on one hand of a profile.
+     * @param {object} profile
+     * @param {string} hand - 'left' or 'right'.
+     * @param {{button?: number, axis?: number}} binding
+     * @returns {string}
+     */
+    getInputLabel(profile, hand, binding) {
+        const labels = profile[hand] || {};
+        if (binding.axis !== undefined) return (labels.axes || {})[binding.axis] || `Axis ${binding.axis}`;
+        return (labels.buttons || {})[binding.button] || `Button ${binding.button}`;
+    }
+
+    // --- Overrides ---
+
+    /**
+     * Discards every override, returning to the profiles' defaults. The dominant hand is kept.
+     */
+    resetOverrides() {
+        this.overrides = { keyboard: {}, controllers: {}, dominantHand: this.overrides.dominantHand };
+        this._saveOverrides();
+    }
+
+    // --- Descriptions for help text and menus ---
+
+    /**
+     * Describes the keyboard bindings in display sections.
+     * @returns {Array<{title: string, items: string[]}>}
+     */
+    describeKeyboard() {
+        const bindings = this.getKeyboardBindings();
+        const sections = [];
+        KEYBOARD_ACTIONS.forEach(({ id, label, group }) => {
+            if (bindings[id].length === 0) return;
+            let section = sections.find(s => s.title === group);
+            if (!section) sections.push(section = { title: group, items: [] });
+            section.items.push(`${bindings[id].map(key => this.formatKey(key)).join('/')}: ${label}`);
+        });
+        return sections;
+    }
+
+    /**
+     * Describes a controller profile in display sections, one per hand, listing every input with its actions.
+     * @param {object} profile - A controller profile.
+     * @returns {Array<{title: string, items: string[]}>}
+     */
+    describeController(profile) {
+        return ['left', 'right'].map(hand => {
+            const bindings = this.getControllerBindings(profile, hand);
+            const inputs = new Map();
+            CONTROLLER_ACTIONS.forEach(({ id, label }) => {
+                const binding = bindings[id];
+                if (!binding) return;
+                const key = binding.axis !== undefined ? `axis${binding.axis}` : `button${binding.button}`;
+                if (!inputs.has(key)) inputs.set(key, { binding, labels: [] });
+                inputs.get(key).labels.push(label);
+            });
+
+            // Buttons first, in index order, then the axes.
+            const order = ({ binding }) => (binding.axis !== undefined ? 100 + binding.axis : binding.button);
+            const items = [...inputs.values()]
+                .sort((a, b) => order(a) - order(b))
+                .map(({ binding, labels }) => `${this.getInputLabel(profile, hand, binding)}: ${labels.join(' / ')}`);
+            return { title: `${hand === 'left' ? 'Left' : 'Right'} Controller`, items };
+        });
+    }
+
+    /**
+     * Describes where a single action is bound, e.g. "Thumbstick Click (Left)" or "M".
+     * @param {string} action - The action id.
+     * @param {object|null} profile - A controller profile, or null for the keyboard.
+     * @returns {string|null} The description, or null if the action is unbound.
+     */
+    describeAction(action, profile) {
+        if (!profile) {
+            const keys = this.getKeyboardBindings()[action] || [];
+            return keys.length > 0 ? keys.map(key => this.formatKey(key)).join('/') : null;
+        }
+        const places = ['left', 'right']
+            .filter(hand => this.getControllerBindings(profile, hand)[action])
+            .map(hand => `${this.getInputLabel(profile, hand, this.getControllerBindings(profile, hand)[action])} (${hand === 'left' ? 'Left' : 'Right'})`);
+        return places.length > 0 ? places.join(' / ') : null;
+    }
+
+    /**
+     * Returns which hand of the profiles a physical hand plays: the same one, or the other when left-handed.
+     * @param {string} hand - 'left' or 'right'.
+     * @returns {string}
+     * @private
+     */
+    _getRole(hand) {
+        if (this.overrides.dominantHand !== 'left') return hand;
+        return hand === 'left' ? 'right' : 'left';
+    }
+
+    /**
+     * Loads the user's overrides from localStorage.
+     * @returns {{keyboard: object, controllers: object, dominantHand: string}}
+     * @private
+     */
+    _loadOverrides() {
+        const stored = loadStoredObject(STORAGE_KEY, 'input binding overrides');
+        if (!stored) return { keyboard: {}, controllers: {}, dominantHand: 'right' };
+        return {
+            keyboard: stored.keyboard || {},
+            controllers: stored.controllers || {},
+            dominantHand: stored.dominantHand === 'left' ? 'left' : 'right'
+        };
+    }
+
+    /**
+     * Saves the user's overrides to localStorage.
+     * @private
+     */
+    _saveOverrides() {
+        saveStoredObject(STORAGE_KEY, this.overrides, 'input binding overrides');
+    }
+}
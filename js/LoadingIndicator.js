@@ -0,0 +1,35 @@
+/**
+ * @file A small panel at the top of the view that shows how far a gallery has loaded.
+ * It reads "Loading gallery…" while the manifest is fetched, then "Loading n of N" with a bar as the
+ * painting textures arrive, and counts the images that failed.
+ */
+
+import ProgressPanel from './ProgressPanel.js';
+
+/**
+ * Draws the loading progress on a panel above the centre of the view.
+ */
+export default class LoadingIndicator extends ProgressPanel {
+    /**
+     * @param {THREE.PerspectiveCamera} camera - The camera the panel is attached to.
+     */
+    constructor(camera) {
+        super(camera, { name: 'LoadingIndicator', width: 320, height: 56, size: 0.3, y: 0.32 });
+    }
+
+    /**
+     * Redraws the panel, creating it if needed.
+     * @param {{loaded: number, failed: number, total: number}|null} progress - The texture progress, or null while
+     *     the manifest is still loading.
+     */
+    update(progress) {
+        let label = 'Loading gallery…';
+        let fraction = 0;
+        if (progress) {
+            label = `Loading ${progress.loaded} of ${progress.total}`;
+            if (progress.failed > 0) label += ` · ${progress.failed} failed`;
+            fraction = progress.total > 0 ? (progress.loaded + progress.failed) / progress.total : 1;
+        }
+        this.draw(label, fraction, progress && progress.failed > 0 ? '#ff9f43' : '#28a745');
+    }
+}
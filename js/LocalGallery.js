@@ -0,0 +1,213 @@
+/**
+ * @file Ad-hoc galleries from files on this computer, dropped onto the page or chosen with a file picker.
+ * Nothing is uploaded: the files are shown through blob URLs created as their textures load, and the manifest
+ * is built in the browser from the images and videos, in natural order. A `manifest.json` among the files is
+ * used if there is one, as for zip archives.
+ *
+ * The gallery is named `local:` followed by the folder's name, e.g. `local:Holiday`, so it can be opened from the
+ * menus and the URL like any other. The files are only held while the page is open; after a reload they have to
+ * be chosen again.
+ */
+
+import { getMediaType, isIgnoredPath, findGalleryFiles, createFileListManifest } from './Manifest.js';
+import { GalleryProvider } from './GalleryProviders.js';
+import ObjectUrlCache from './ObjectUrlCache.js';
+
+/**
+ * The start of every local gallery name.
+ * @type {string}
+ */
+export const LOCAL_GALLERY_PREFIX = 'local:';
+
+/**
+ * Reads a dropped file or folder, including everything below the folder.
+ * @param {FileSystemEntry} entry
+ * @param {string} folder - The path of the folder the entry is in, with a trailing slash ('' at the top).
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+function readEntry(entry, folder) {
+    if (entry.isFile) {
+        return new Promise((resolve, reject) => entry.file(file => resolve([{ file, path: folder + file.name }]), reject));
+    }
+    if (!entry.isDirectory) return Promise.resolve([]);
+
+    // Folders are listed in batches; an empty batch ends the listing.
+    const reader = entry.createReader();
+    const children = [];
+    const readAll = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject)).then(batch => {
+        if (batch.length === 0) return children;
+        children.push(...batch);
+        return readAll();
+    });
+    return readAll()
+        .then(entries => Promise.all(entries.map(child => readEntry(child, `${folder}${entry.name}/`))))
+        .then(lists => [].concat(...lists));
+}
+
+/**
+ * Collects the files of a drop, walking into dropped folders.
+ * @param {DataTransfer} dataTransfer - The drop event's data.
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+export function readDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+    const entries = items.map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+    // Browsers without folder access hand over the files only.
+    if (entries.length === 0 || entries.some(entry => !entry)) return Promise.resolve(readPickedFiles(dataTransfer.files));
+    return Promise.all(entries.map(entry => readEntry(entry, ''))).then(lists => [].concat(...lists));
+}
+
+/**
+ * Collects the files chosen with a file input; folders chosen with `webkitdirectory` keep their paths.
+ * @param {FileList} fileList
+ * @returns {Array<{file: File, path: string}>}
+ */
+export function readPickedFiles(fileList) {
+    return Array.from(fileList || []).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+/**
+ * Opens the local gallery, holding the files chosen last.
+ */
+export class LocalFilesProvider extends GalleryProvider {
+    constructor() {
+        super('local');
+        this.name = null;
+        this.title = null;
+        // Files by their path in the gallery, and the manifest among them, if any.
+        this.files = new Map();
+        this.manifestFile = null;
+        this.mediaFiles = [];
+        this.objectUrls = new ObjectUrlCache();
+        // Passed to the TextureStreamer, which resolves the painting URLs through it.
+        this.urlResolver = {
+            resolve: url => this._resolveUrl(url),
+            release: url => this._releaseUrl(url)
+        };
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    handles(name) {
+        return name.startsWith(LOCAL_GALLERY_PREFIX);
+    }
+
+    /**
+     * Replaces the local gallery with the given files. Hidden files and macOS resource forks are ignored; when all
+     * the images sit in one folder (or next to a `manifest.json`), that folder is the gallery.
+     * @param {Array<{file: File, path: string}>} entries - From `readDroppedFiles` or `readPickedFiles`.
+     * @returns {string} The gallery's name.
+     * @throws {Error} If there is no image or video among the files.
+     */
+    setFiles(entries) {
+        const { root, manifestPath, mediaFiles } = findGalleryFiles(entries.map(({ path }) => path));
+        if (mediaFiles.length === 0) throw new Error('There are no images or videos among the files.');
+
+        this.dispose();
+        entries.filter(({ path }) => path.startsWith(root) && !isIgnoredPath(path))
+            .forEach(({ file, path }) => this.files.set(path.substring(root.length), file));
+        this.manifestFile = manifestPath ? this.files.get(manifestPath.substring(root.length)) : null;
+        this.mediaFiles = mediaFiles;
+
+        const folder = root.split('/').filter(Boolean).pop();
+        this.title = folder || 'Local files';
+        this.name = LOCAL_GALLERY_PREFIX + this.title;
+        return this.name;
+    }
+
+    /**
+     * Lists the local gallery, once files have been chosen.
+     * @returns {Promise<{galleries: string[]}>}
+     */
+    listGalleries() {
+        return Promise.resolve({ galleries: this.name ? [this.name] : [] });
+    }
+
+    /**
+     * Builds the manifest from the files, or reads the one among them.
+     * @param {string} name
+     * @returns {Promise<object>}
+     */
+    loadManifest(name) {
+        if (name !== this.name) {
+            return Promise.reject(new Error('The local files are no longer open; drop or choose them again.'));
+        }
+        if (!this.manifestFile) {
+            return Promise.resolve(createFileListManifest(this.mediaFiles, this.title));
+        }
+        return this.manifestFile.text()
+            .then(text => JSON.parse(text))
+            .catch(() => {
+                throw new Error('manifest.json among the files is not valid JSON.');
+            });
+    }
+
+    /**
+     * Paintings are addressed below the gallery name, e.g. 'local:Holiday/001.jpg', and resolved to blob URLs.
+     * @param {string} name
+     * @param {object} image
+     * @returns {{url: string, lowResUrl: string|null, type: string}}
+     */
+    resolveImage(name, image) {
+        return {
+            url: `${name}/${image.file}`,
+            lowResUrl: image.thumb ? `${name}/${image.thumb}` : null,
+            type: image.type
+        };
+    }
+
+    /**
+     * @param {string} name
+     * @returns {{resolve: function(string): Promise<string>, release: function(string): void}|null}
+     */
+    getUrlResolver(name) {
+        return name === this.name ? this.urlResolver : null;
+    }
+
+    /**
+     * Shows the first image on the gallery's menu tile. Its blob URL lasts until other files are chosen.
+     * @param {{name: string}} gallery
+     * @returns {Promise<string|null>}
+     */
+    resolveCover(gallery) {
+        const first = this.mediaFiles.find(file => getMediaType(file) === 'image');
+        if (gallery.name !== this.name || !first) return Promise.resolve(null);
+        return this._resolveUrl(`${this.name}/${first}`);
+    }
+
+    /**
+     * Turns a painting URL into a blob URL of the file.
+     * @param {string} url - E.g. 'local:Holiday/001.jpg'.
+     * @returns {Promise<string>}
+     * @private
+     */
+    _resolveUrl(url) {
+        const prefix = `${this.name}/`;
+        const file = url.startsWith(prefix) ? this.files.get(url.substring(prefix.length)) : null;
+        if (!file) return Promise.reject(new Error(`'${url}' is not among the local files.`));
+        return this.objectUrls.acquire(url, () => Promise.resolve(file));
+    }
+
+    /**
+     * Releases a blob URL obtained from `_resolveUrl` once nothing uses it anymore.
+     * @param {string} url - The painting URL that was resolved.
+     * @private
+     */
+    _releaseUrl(url) {
+        this.objectUrls.release(url);
+    }
+
+    /**
+     * Forgets the files and releases every blob URL.
+     */
+    dispose() {
+        this.objectUrls.clear();
+        this.files.clear();
+        this.manifestFile = null;
+        this.mediaFiles = [];
+        this.name = null;
+        this.title = null;
+    }
+}
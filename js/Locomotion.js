@@ -0,0 +1,236 @@
+/**
+ * @file Comfort options for moving around in VR: teleporting instead of gliding, snap turning, and a
+ * vignette that narrows the view during smooth motion. PlayerController applies them; this module holds
+ * the remembered settings and draws the teleport arc and the vignette.
+ */
+
+import { loadStoredObject, saveStoredObject } from './Storage.js';
+
+/**
+ * Ways of moving with the thumbstick.
+ * @type {string[]}
+ */
+export const MOVEMENT_MODES = ['smooth', 'teleport'];
+
+/**
+ * The degree steps offered for snap turning.
+ * @type {number[]}
+ */
+export const SNAP_TURN_ANGLES = [15, 30, 45, 90];
+
+/**
+ * The localStorage key holding the settings.
+ * @type {string}
+ */
+const STORAGE_KEY = 'xr-gallery.locomotion';
+
+/**
+ * The remembered comfort settings.
+ */
+export default class LocomotionSettings {
+    constructor() {
+        // Defaults keep the original behaviour: smooth movement and turning, no vignette.
+        this.movement = 'smooth';
+        this.turn = 'smooth';
+        this.snapAngle = 30;
+        this.vignette = false;
+        this._load();
+    }
+
+    /**
+     * Returns the settings as a plain object.
+     * @returns {{movement: string, turn: string, snapAngle: number, vignette: boolean}}
+     */
+    get() {
+        return { movement: this.movement, turn: this.turn, snapAngle: this.snapAngle, vignette: this.vignette };
+    }
+
+    /**
+     * Switches to the next movement mode.
+     */
+    cycleMovement() {
+        this.movement = MOVEMENT_MODES[(MOVEMENT_MODES.indexOf(this.movement) + 1) % MOVEMENT_MODES.length];
+        this._save();
+    }
+
+    /**
+     * Steps through smooth turning and then each snap angle.
+     */
+    cycleTurn() {
+        if (this.turn === 'smooth') {
+            this.turn = 'snap';
+            this.snapAngle = SNAP_TURN_ANGLES[0];
+        } else {
+            const next = SNAP_TURN_ANGLES.indexOf(this.snapAngle) + 1;
+            if (next >= SNAP_TURN_ANGLES.length) this.turn = 'smooth';
+            else this.snapAngle = SNAP_TURN_ANGLES[next];
+        }
+        this._save();
+    }
+
+    /**
+     * Turns the comfort vignette on or off.
+     */
+    toggleVignette() {
+        this.vignette = !this.vignette;
+        this._save();
+    }
+
+    /**
+     * Loads the settings from localStorage, keeping the defaults for anything missing or invalid.
+     * @private
+     */
+    _load() {
+        const stored = loadStoredObject(STORAGE_KEY, 'locomotion settings');
+        if (!stored) return;
+        if (MOVEMENT_MODES.includes(stored.movement)) this.movement = stored.movement;
+        if (stored.turn === 'smooth' || stored.turn === 'snap') this.turn = stored.turn;
+        if (SNAP_TURN_ANGLES.includes(stored.snapAngle)) this.snapAngle = stored.snapAngle;
+        if (typeof stored.vignette === 'boolean') this.vignette = stored.vignette;
+    }
+
+    /**
+     * Saves the settings to localStorage.
+     * @private
+     */
+    _save() {
+        saveStoredObject(STORAGE_KEY, this.get(), 'locomotion settings');
+    }
+}
+
+/**
+ * A parabolic pointer from a controller onto the floor, with a ring where it lands.
+ * Everything is computed in the player's local space, where the floor is at y = 0.
+ */
+export class TeleportArc {
+    /**
+     * @param {THREE.Group} player - The player group; the arc is drawn inside it.
+     */
+    constructor(player) {
+        this.SEGMENTS = 40;
+        this.LAUNCH_SPEED = 7; // Metres per second; sets how far the arc reaches.
+        this.GRAVITY = 9.8;
+        this.TIME_STEP = 0.05;
+        this.VALID_COLOR = 0x00ff88;
+        this.INVALID_COLOR = 0xff4444;
+
+        // The landing point, or null if the arc does not reach the floor.
+        this.target = null;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((this.SEGMENTS + 1) * 3), 3));
+        this.line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: this.VALID_COLOR }));
+        this.line.frustumCulled = false;
+
+        this.marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.2, 0.25, 32).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: this.VALID_COLOR, side: THREE.DoubleSide })
+        );
+
+        this.group = new THREE.Group();
+        this.group.name = 'TeleportArc';
+        this.group.add(this.line, this.marker);
+        this.group.visible = false;
+        player.add(this.group);
+    }
+
+    /**
+     * Whether the arc is shown.
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.group.visible;
+    }
+
+    /**
+     * Shows the arc from a controller and finds where it lands.
+     * @param {THREE.XRTargetRaySpace} controller - A target ray, a child of the player.
+     */
+    update(controller) {
+        const origin = controller.position;
+        const velocity = new THREE.Vector3(0, 0, -1).applyQuaternion(controller.quaternion).multiplyScalar(this.LAUNCH_SPEED);
+        const positions = this.line.geometry.attributes.position;
+        const point = new THREE.Vector3();
+
+        this.target = null;
+        let count = 0;
+        for (let i = 0; i <= this.SEGMENTS; i++) {
+            const t = i * this.TIME_STEP;
+            point.copy(origin).addScaledVector(velocity, t);
+            point.y -= 0.5 * this.GRAVITY * t * t;
+            if (point.y <= 0 && i > 0) {
+                // Land exactly on the floor, between this sample and the previous one.
+                const previous = new THREE.Vector3().fromBufferAttribute(positions, i - 1);
+                point.lerpVectors(previous, point, previous.y / (previous.y - point.y));
+                this.target = point.clone();
+            }
+            positions.setXYZ(i, point.x, point.y, point.z);
+            count = i + 1;
+            if (this.target) break;
+        }
+        positions.needsUpdate = true;
+        this.line.geometry.setDrawRange(0, count);
+
+        const color = this.target ? this.VALID_COLOR : this.INVALID_COLOR;
+        this.line.material.color.set(color);
+        this.marker.material.color.set(color);
+        this.marker.visible = this.target !== null;
+        if (this.target) this.marker.position.copy(this.target);
+        this.group.visible = true;
+    }
+
+    /**
+     * Hides the arc.
+     * @returns {THREE.Vector3|null} Where it landed when hidden, in the player's local space, or null.
+     */
+    hide() {
+        const target = this.group.visible ? this.target : null;
+        this.group.visible = false;
+        this.target = null;
+        return target;
+    }
+}
+
+/**
+ * Darkens the edges of the view while the player glides or turns smoothly.
+ */
+export class ComfortVignette {
+    /**
+     * @param {THREE.PerspectiveCamera} camera - The camera the vignette is attached to.
+     */
+    constructor(camera) {
+        this.MAX_OPACITY = 0.95;
+        this.FADE_SPEED = 4; // Opacity change per second.
+        this.opacity = 0;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 256;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createRadialGradient(128, 128, 40, 128, 128, 90);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 256, 256);
+
+        const material = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true, opacity: 0, depthTest: false, depthWrite: false });
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(0.6, 0.6), material);
+        this.mesh.name = 'ComfortVignette';
+        this.mesh.renderOrder = 20;
+        this.mesh.position.set(0, 0, -0.15);
+        this.mesh.visible = false;
+        camera.add(this.mesh);
+    }
+
+    /**
+     * Fades the vignette towards a strength.
+     * @param {number} delta - Seconds since the last frame.
+     * @param {number} strength - From 0 (no motion) to 1 (full speed).
+     */
+    update(delta, strength) {
+        const target = THREE.MathUtils.clamp(strength, 0, 1) * this.MAX_OPACITY;
+        const step = this.FADE_SPEED * delta;
+        this.opacity = target > this.opacity ? Math.min(target, this.opacity + step) : Math.max(target, this.opacity - step);
+        this.mesh.material.opacity = this.opacity;
+        this.mesh.visible = this.opacity > 0.01;
+    }
+}
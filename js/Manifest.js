@@ -0,0 +1,285 @@
+/**
+ * @file Defines the gallery manifest schema and normalizes manifests into a single shape.
+ * This module has no Three.js dependency so that it can also be used by the Node.js tooling.
+ *
+ * Version 1 (legacy): { "images": ["a.jpg", "b.jpg"] }
+ * Version 2:          { "version": 2, "title": "...", "tags": ["..."], "cover": "b.jpg", "images": ["a.jpg", { "file": "b.jpg", "title": "...", ... }] }
+ *
+ * In version 2, every entry of `images` may be either a plain filename string or an object with
+ * a required `file` property and any of the optional metadata fields listed in `METADATA_FIELDS`.
+ * Entries may also be videos; they are recognised by extension or by an explicit `"type": "video"`.
+ * The gallery-level `title` and `tags` are copied into `galleries.json` so that the menu can search them, and
+ * so is the image shown on the gallery's menu tile (see `getCoverFile`).
+ */
+
+/**
+ * The manifest schema version written by the tooling.
+ * @type {number}
+ */
+export const MANIFEST_VERSION = 2;
+
+/**
+ * File extensions (lower case, with the dot) of still images.
+ * @type {string[]}
+ */
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+/**
+ * File extensions (lower case, with the dot) of videos that browsers can play.
+ * @type {string[]}
+ */
+export const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.m4v', '.mov'];
+
+/**
+ * Determines the media type of a file from its extension.
+ * @param {string} filename
+ * @returns {'image'|'video'|null} The media type, or null if the file is not supported.
+ */
+export function getMediaType(filename) {
+    const dot = filename.lastIndexOf('.');
+    const extension = dot >= 0 ? filename.substring(dot).toLowerCase() : '';
+    if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    return null;
+}
+
+/**
+ * Sorts names naturally and case-insensitively, so that '2.jpg' comes before '10.jpg'. The gallery menu, the
+ * built manifests and the Node.js indexer all use this order.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareNames(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Whether a file is left out of galleries built from a set of files: hidden files and folders, and macOS
+ * resource forks.
+ * @param {string} path - A path with forward slashes.
+ * @returns {boolean}
+ */
+export function isIgnoredPath(path) {
+    return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+/**
+ * Finds the deepest folder that contains all the given files.
+ * @param {string[]} names - Paths with forward slashes, such as zip entry names.
+ * @returns {string} The folder with a trailing slash, or '' when the files share none.
+ */
+function getCommonFolder(names) {
+    if (names.length === 0) return '';
+    let common = names[0].split('/').slice(0, -1);
+    names.forEach(entryName => {
+        const parts = entryName.split('/').slice(0, -1);
+        let i = 0;
+        while (i < common.length && i < parts.length && common[i] === parts[i]) i++;
+        common = common.slice(0, i);
+    });
+    return common.length > 0 ? `${common.join('/')}/` : '';
+}
+
+/**
+ * Finds the gallery among a set of files, such as the entries of a zip archive or files dropped onto the page.
+ * The files usually hold a single folder; the gallery is the folder with the manifest, else the one holding all
+ * the images and videos. Ignored paths (see `isIgnoredPath`) are skipped.
+ * @param {string[]} paths - Paths with forward slashes.
+ * @returns {{root: string, manifestPath: string|null, mediaFiles: string[]}} The gallery folder (with a trailing
+ *     slash, or ''), the path of its `manifest.json` if there is one, and the images and videos below the folder,
+ *     relative to it and in natural order.
+ */
+export function findGalleryFiles(paths) {
+    const usable = paths.filter(path => !isIgnoredPath(path));
+    const manifests = usable.filter(path => path === 'manifest.json' || path.endsWith('/manifest.json'))
+        .sort((a, b) => a.split('/').length - b.split('/').length);
+    const manifestPath = manifests.length > 0 ? manifests[0] : null;
+
+    const mediaPaths = usable.filter(path => getMediaType(path) !== null);
+    const root = manifestPath
+        ? manifestPath.substring(0, manifestPath.length - 'manifest.json'.length)
+        : getCommonFolder(mediaPaths);
+    const mediaFiles = mediaPaths
+        .filter(path => path.startsWith(root))
+        .map(path => path.substring(root.length))
+        .sort(compareNames);
+    return { root, manifestPath, mediaFiles };
+}
+
+/**
+ * Builds the manifest of a gallery that has none, listing its images and videos.
+ * @param {string[]} mediaFiles - From `findGalleryFiles`; files in subfolders are listed by their path, e.g. 'day-2/004.jpg'.
+ * @param {string|null} [title=null] - The gallery's title.
+ * @returns {{version: number, title?: string, images: string[]}}
+ */
+export function createFileListManifest(mediaFiles, title = null) {
+    const manifest = { version: MANIFEST_VERSION };
+    if (title) manifest.title = title;
+    manifest.images = mediaFiles.slice();
+    return manifest;
+}
+
+/**
+ * Optional per-image metadata fields, in the order they are displayed on the info card.
+ * @type {string[]}
+ */
+export const METADATA_FIELDS = ['title', 'artist', 'date', 'caption', 'alt', 'credits'];
+
+/**
+ * Whether a manifest's `file` or `thumb` is a URL of its own rather than a path in the gallery folder,
+ * as in galleries read from IIIF manifests.
+ * @param {string} file
+ * @returns {boolean}
+ */
+export function isExternalFile(file) {
+    return /^[a-z][a-z\d+.-]*:/i.test(file) || file.startsWith('/');
+}
+
+/**
+ * Returns the URL of a gallery's file.
+ * @param {string} galleryName - The gallery folder below /images.
+ * @param {string} file - A `file` or `thumb` from the manifest.
+ * @returns {string}
+ */
+export function getGalleryFileUrl(galleryName, file) {
+    return isExternalFile(file) ? file : `images/${galleryName}/${file}`;
+}
+
+/**
+ * Returns the filename of a raw manifest entry, or null if the entry is invalid.
+ * @param {string|object} entry - A raw entry from `manifest.images`.
+ * @returns {string|null}
+ */
+export function getEntryFile(entry) {
+    if (typeof entry === 'string') return entry;
+    if (entry && typeof entry === 'object' && typeof entry.file === 'string') return entry.file;
+    return null;
+}
+
+/**
+ * Converts a raw manifest entry into a normalized image descriptor.
+ * Besides the metadata fields, an entry may carry asset hints that are not displayed:
+ * `type` ('image' or 'video', normally derived from the extension),
+ * `projection` ('equirectangular' for 360° panoramas, 'flat' to opt out of detection by aspect ratio),
+ * `thumb` (a low-resolution version of the image or a poster frame for a video, relative to the gallery folder),
+ * and `width`/`height` (the pixel size, used to size placeholders before the image loads).
+ * @param {string|object} entry - A raw entry from `manifest.images`.
+ * @returns {object|null} An object with `file`, every metadata field and every asset hint (null when absent), or null if invalid.
+ */
+export function normalizeImageEntry(entry) {
+    const file = getEntryFile(entry);
+    if (!file) return null;
+
+    const image = { file };
+    METADATA_FIELDS.forEach(field => {
+        const value = typeof entry === 'object' ? entry[field] : null;
+        image[field] = (value === undefined || value === null || value === '') ? null : String(value);
+    });
+    const declaredType = typeof entry === 'object' ? entry.type : null;
+    image.type = (declaredType === 'video' || declaredType === 'image') ? declaredType : (getMediaType(file) || 'image');
+    const projection = typeof entry === 'object' ? entry.projection : null;
+    image.projection = (projection === 'equirectangular' || projection === 'flat') ? projection : null;
+    image.thumb = typeof entry === 'object' && typeof entry.thumb === 'string' ? entry.thumb : null;
+    image.width = typeof entry === 'object' ? Number(entry.width) || null : null;
+    image.height = typeof entry === 'object' ? Number(entry.height) || null : null;
+    return image;
+}
+
+/**
+ * Returns the non-empty strings of a `tags` value, or an empty list if it is not an array.
+ * @param {*} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return tags.filter(tag => typeof tag === 'string' && tag.trim() !== '').map(tag => tag.trim());
+}
+
+/**
+ * Chooses the image shown on a gallery's menu tile. The manifest's `cover` names it; when that is a listed
+ * entry with a `thumb`, the thumbnail is used instead. Without a `cover`, the first image (or the first entry
+ * with a thumbnail) is used.
+ * @param {object|null} manifest - The parsed `manifest.json` contents.
+ * @returns {string|null} The file, relative to the gallery folder, or null if the gallery has no image to show.
+ */
+export function getCoverFile(manifest) {
+    if (!manifest || typeof manifest !== 'object') return null;
+    const images = (Array.isArray(manifest.images) ? manifest.images : []).map(normalizeImageEntry).filter(image => image !== null);
+    const hasPicture = image => image.thumb !== null || image.type === 'image';
+
+    if (typeof manifest.cover === 'string' && manifest.cover !== '') {
+        const chosen = images.find(image => image.file === manifest.cover);
+        // A cover that is not listed, such as a dedicated 'cover.jpg', is used as it is.
+        if (!chosen) return manifest.cover;
+        if (hasPicture(chosen)) return chosen.thumb || chosen.file;
+    }
+    const first = images.find(hasPicture);
+    return first ? (first.thumb || first.file) : null;
+}
+
+/**
+ * Builds the `galleries.json` entry of a gallery: its folder name, or an object that also carries the
+ * manifest's title, tags and cover when it has any.
+ * @param {string} name - The gallery folder name.
+ * @param {object|null} manifest - The parsed `manifest.json` contents.
+ * @returns {string|{name: string, title?: string, tags?: string[], cover?: string}}
+ */
+export function createGalleryListEntry(name, manifest) {
+    const title = manifest && typeof manifest.title === 'string' && manifest.title !== '' ? manifest.title : null;
+    const tags = normalizeTags(manifest ? manifest.tags : null);
+    const cover = getCoverFile(manifest);
+    if (!title && tags.length === 0 && !cover) return name;
+    const entry = { name };
+    if (title) entry.title = title;
+    if (tags.length) entry.tags = tags;
+    if (cover) entry.cover = cover;
+    return entry;
+}
+
+/**
+ * Converts an entry of `galleries.json` into a single shape.
+ * @param {string|object} entry - A folder name, or an object with `name` and optional `title`, `tags` and `cover`.
+ * @returns {{name: string, title: string|null, tags: string[], cover: string|null}|null} The entry, or null if it is invalid.
+ */
+export function normalizeGalleryListEntry(entry) {
+    if (typeof entry === 'string') return { name: entry, title: null, tags: [], cover: null };
+    if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string') return null;
+    return {
+        name: entry.name,
+        title: typeof entry.title === 'string' && entry.title !== '' ? entry.title : null,
+        tags: normalizeTags(entry.tags),
+        cover: typeof entry.cover === 'string' && entry.cover !== '' ? entry.cover : null
+    };
+}
+
+/**
+ * Normalizes a parsed manifest of any supported version.
+ * Invalid entries are skipped with a warning rather than failing the whole gallery.
+ * @param {object} raw - The parsed `manifest.json` contents.
+ * @returns {{version: number, title: string|null, tags: string[], images: object[]}}
+ */
+export function normalizeManifest(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Manifest is not a JSON object.');
+    }
+    if (raw.version !== undefined && raw.version > MANIFEST_VERSION) {
+        console.warn(`Manifest version ${raw.version} is newer than supported version ${MANIFEST_VERSION}.`);
+    }
+
+    const rawImages = Array.isArray(raw.images) ? raw.images : [];
+    const images = [];
+    rawImages.forEach((entry, i) => {
+        const image = normalizeImageEntry(entry);
+        if (image) images.push(image);
+        else console.warn(`Skipping invalid manifest entry at index ${i}.`);
+    });
+
+    return {
+        ...raw,
+        version: raw.version || 1,
+        title: typeof raw.title === 'string' ? raw.title : null,
+        tags: normalizeTags(raw.tags),
+        images
+    };
+}
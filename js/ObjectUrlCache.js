@@ -0,0 +1,63 @@
+/**
+ * @file Reference-counted blob URLs, for paintings read from zip archives and local files. Each file gets one URL
+ * however many loads use it, and the URL is revoked when the last of them releases it.
+ */
+
+/**
+ * Hands out blob URLs by key, such as a painting URL, and revokes them once they are no longer used.
+ */
+export default class ObjectUrlCache {
+    constructor() {
+        // Blob URLs handed out, with how many loads use each.
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns the blob URL for a key, creating the blob the first time it is asked for.
+     * @param {string} key
+     * @param {function(): Promise<Blob>} createBlob - Reads the file; only called when the key has no URL yet.
+     * @returns {Promise<string>}
+     */
+    acquire(key, createBlob) {
+        const tracked = this.entries.get(key);
+        if (tracked) {
+            tracked.users++;
+            return tracked.promise;
+        }
+        const promise = createBlob().then(blob => {
+            const objectUrl = URL.createObjectURL(blob);
+            // The URL may have been released while the blob was being read.
+            if (this.entries.get(key) !== entry) URL.revokeObjectURL(objectUrl);
+            else entry.objectUrl = objectUrl;
+            return objectUrl;
+        });
+        const entry = { promise, users: 1, objectUrl: null };
+        this.entries.set(key, entry);
+        // A failed entry can be retried.
+        promise.catch(() => {
+            if (this.entries.get(key) === entry) this.entries.delete(key);
+        });
+        return promise;
+    }
+
+    /**
+     * Releases a blob URL obtained from `acquire` once nothing uses it anymore.
+     * @param {string} key
+     */
+    release(key) {
+        const entry = this.entries.get(key);
+        if (!entry || --entry.users > 0) return;
+        this.entries.delete(key);
+        if (entry.objectUrl) URL.revokeObjectURL(entry.objectUrl);
+    }
+
+    /**
+     * Revokes every blob URL, whether or not it is still used.
+     */
+    clear() {
+        this.entries.forEach(entry => {
+            if (entry.objectUrl) URL.revokeObjectURL(entry.objectUrl);
+        });
+        this.entries.clear();
+    }
+}
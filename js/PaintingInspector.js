@@ -0,0 +1,205 @@
+/**
+ * @file Brings a single painting in front of the viewer for a closer look, with zoom and pan.
+ * The painting mesh is moved out of its slot into a stand in front of the camera and animated
+ * back into the slot when the inspection ends.
+ */
+
+/**
+ * Lifts one painting at a time out of the gallery and lets the user zoom and pan it.
+ */
+export default class PaintingInspector {
+    /**
+     * @param {THREE.Scene} scene - The main scene; the stand is added here so that turning does not move it.
+     * @param {THREE.PerspectiveCamera} camera - The camera the painting is brought in front of.
+     */
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+
+        // The stand is placed in front of the viewer when a painting is opened; the painting is its child.
+        this.stand = new THREE.Group();
+        this.stand.name = 'InspectStand';
+
+        this.painting = null;
+        this.home = null;
+        this.zoom = 1;
+        this.pan = new THREE.Vector2();
+
+        // A painting animating back into its slot after the inspection ended.
+        this.returning = null;
+
+        // --- Viewing parameters (metres) ---
+        this.VIEW_DISTANCE = 1.2;
+        this.MAX_WIDTH = 1.4;
+        this.MAX_HEIGHT = 1.0;
+        this.MIN_ZOOM = 1;
+        this.MAX_ZOOM = 8;
+        this.LERP_FACTOR = 0.2;
+    }
+
+    /**
+     * Whether a painting is currently being inspected.
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.painting !== null;
+    }
+
+    /**
+     * Moves a painting out of its slot and in front of the camera, facing the viewer.
+     * @param {THREE.Mesh} painting - The painting mesh. Its parent is its slot in the gallery.
+     */
+    open(painting) {
+        if (this.isActive()) this.close(true);
+        this._finishReturn();
+
+        this.home = {
+            parent: painting.parent,
+            position: painting.position.clone(),
+            quaternion: painting.quaternion.clone(),
+            scale: painting.scale.clone()
+        };
+        this.painting = painting;
+        this.zoom = 1;
+        this.pan.set(0, 0);
+
+        // Stand upright in front of the viewer at eye height, whatever the head's pitch.
+        const cameraPosition = new THREE.Vector3();
+        const forward = new THREE.Vector3();
+        this.camera.getWorldPosition(cameraPosition);
+        this.camera.getWorldDirection(forward);
+        forward.y = 0;
+        if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+        forward.normalize();
+        this.stand.position.copy(cameraPosition).addScaledVector(forward, this.VIEW_DISTANCE);
+        this.stand.lookAt(cameraPosition);
+        this.scene.add(this.stand);
+        this.stand.updateMatrixWorld(true);
+
+        // `attach` keeps the painting where it is; update() then animates it onto the stand.
+        this.stand.attach(painting);
+    }
+
+    /**
+     * Ends the inspection and sends the painting back to its slot.
+     * @param {boolean} [immediate=false] - Put the painting back at once instead of animating it.
+     */
+    close(immediate = false) {
+        if (this.isActive()) {
+            this.home.parent.attach(this.painting);
+            this.returning = { painting: this.painting, home: this.home };
+            this.painting = null;
+            this.home = null;
+            this.scene.remove(this.stand);
+        }
+        if (immediate) this._finishReturn();
+    }
+
+    /**
+     * Zooms the inspected painting about the centre of the view.
+     * @param {number} factor - The zoom multiplier (above 1 zooms in).
+     */
+    zoomBy(factor) {
+        if (!this.isActive() || !(factor > 0)) return;
+        const zoom = THREE.MathUtils.clamp(this.zoom * factor, this.MIN_ZOOM, this.MAX_ZOOM);
+        // Scale the pan too, so the point in the middle of the view stays there.
+        this.pan.multiplyScalar(zoom / this.zoom);
+        this.zoom = zoom;
+        this._clampPan();
+    }
+
+    /**
+     * Moves the inspected painting sideways and up or down.
+     * @param {number} dx - Metres to the viewer's right.
+     * @param {number} dy - Metres up.
+     */
+    panBy(dx, dy) {
+        if (!this.isActive()) return;
+        this.pan.x += dx;
+        this.pan.y += dy;
+        this._clampPan();
+    }
+
+    /**
+     * Records the new resting size of a painting that was refitted to a newly loaded texture,
+     * so that it is inspected, and later returned, at the right size.
+     * The painting keeps its current animated scale; update() eases it to the new one.
+     * @param {THREE.Mesh} painting - The painting that was just refitted.
+     * @param {THREE.Vector3} previousScale - The scale the painting had before it was refitted.
+     */
+    handleRefit(painting, previousScale) {
+        const entry = painting === this.painting ? this : (this.returning && this.returning.painting === painting ? this.returning : null);
+        if (!entry) return;
+        entry.home.scale.copy(painting.scale);
+        painting.scale.copy(previousScale);
+        if (entry === this) this._clampPan();
+    }
+
+    /**
+     * Animates the inspected painting towards its zoom and pan, and a returning painting towards its slot.
+     * Call once per frame.
+     */
+    update() {
+        if (this.isActive()) {
+            const scale = this._getViewScale();
+            this._ease(this.painting, new THREE.Vector3(this.pan.x, this.pan.y, 0), new THREE.Quaternion(), new THREE.Vector3(scale.x, scale.y, 1));
+        }
+
+        if (this.returning) {
+            const { painting, home } = this.returning;
+            this._ease(painting, home.position, home.quaternion, home.scale);
+            if (painting.position.distanceToSquared(home.position) < 1e-6 && painting.scale.distanceToSquared(home.scale) < 1e-6) {
+                this._finishReturn();
+            }
+        }
+    }
+
+    /**
+     * Snaps a returning painting into its slot.
+     * @private
+     */
+    _finishReturn() {
+        if (!this.returning) return;
+        const { painting, home } = this.returning;
+        painting.position.copy(home.position);
+        painting.quaternion.copy(home.quaternion);
+        painting.scale.copy(home.scale);
+        this.returning = null;
+    }
+
+    /**
+     * Returns the width and height of the inspected painting at the current zoom.
+     * At zoom 1 the painting is as large as fits the comfortable viewing area.
+     * @returns {THREE.Vector2}
+     * @private
+     */
+    _getViewScale() {
+        const { x: width, y: height } = this.home.scale;
+        const fit = Math.min(this.MAX_WIDTH / width, this.MAX_HEIGHT / height);
+        return new THREE.Vector2(width, height).multiplyScalar(fit * this.zoom);
+    }
+
+    /**
+     * Keeps the painting's edges from being panned past the centre of the view.
+     * @private
+     */
+    _clampPan() {
+        const size = this._getViewScale();
+        this.pan.x = THREE.MathUtils.clamp(this.pan.x, -size.x / 2, size.x / 2);
+        this.pan.y = THREE.MathUtils.clamp(this.pan.y, -size.y / 2, size.y / 2);
+    }
+
+    /**
+     * Moves an object part of the way towards a local transform.
+     * @param {THREE.Object3D} object
+     * @param {THREE.Vector3} position
+     * @param {THREE.Quaternion} quaternion
+     * @param {THREE.Vector3} scale
+     * @private
+     */
+    _ease(object, position, quaternion, scale) {
+        object.position.lerp(position, this.LERP_FACTOR);
+        object.quaternion.slerp(quaternion, this.LERP_FACTOR);
+        object.scale.lerp(scale, this.LERP_FACTOR);
+    }
+}
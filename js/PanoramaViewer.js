@@ -0,0 +1,98 @@
+/**
+ * @file Displays a 360° equirectangular image as an inside-out sphere around the viewer.
+ * While a panorama is open the gallery is hidden and the scene background is made opaque, so the
+ * panorama also covers the camera passthrough in AR. Closing it restores both.
+ */
+
+import ResourceTracker from './ResourceTracker.js';
+
+/**
+ * The tolerance used when detecting panoramas from their 2:1 aspect ratio.
+ * @type {number}
+ */
+const ASPECT_TOLERANCE = 0.03;
+
+/**
+ * Checks whether an image size looks like an equirectangular panorama (width twice the height).
+ * @param {number} width
+ * @param {number} height
+ * @returns {boolean}
+ */
+export function isEquirectangularSize(width, height) {
+    return height > 0 && Math.abs(width / height - 2) <= 2 * ASPECT_TOLERANCE;
+}
+
+/**
+ * Shows one panorama at a time around the camera.
+ */
+export default class PanoramaViewer {
+    /**
+     * @param {THREE.Scene} scene - The main scene; the sphere is added here so that turning does not turn it.
+     * @param {THREE.PerspectiveCamera} camera - The camera the sphere is centred on.
+     */
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.sphere = null;
+        this.hiddenObjects = [];
+        this.previousBackground = null;
+        this.resources = new ResourceTracker();
+        this.SPHERE_RADIUS = 50;
+    }
+
+    /**
+     * Whether a panorama is currently open.
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.sphere !== null;
+    }
+
+    /**
+     * Opens a panorama, centring it on the camera with the middle of the image straight ahead.
+     * @param {THREE.Texture} texture - The equirectangular texture. It is not owned or disposed by the viewer.
+     * @param {THREE.Object3D[]} objectsToHide - Objects hidden while the panorama is open (e.g. the art group).
+     */
+    open(texture, objectsToHide = []) {
+        if (this.isActive()) this.close();
+
+        const geometry = new THREE.SphereGeometry(this.SPHERE_RADIUS, 64, 32);
+        // Flip the sphere inside out so the image is seen, unmirrored, from within.
+        geometry.scale(-1, 1, 1);
+        // Tracked before the map is assigned so that closing the viewer leaves the gallery's texture alone.
+        const material = new THREE.MeshBasicMaterial({ depthWrite: false });
+        this.sphere = this.resources.track(new THREE.Mesh(geometry, material));
+        material.map = texture;
+        this.sphere.name = 'PanoramaSphere';
+        this.sphere.renderOrder = -1;
+
+        // The centre of the image lies on the sphere's -X axis; turn it towards the current view direction.
+        const forward = new THREE.Vector3();
+        this.camera.getWorldDirection(forward);
+        this.sphere.rotation.y = Math.atan2(forward.z, -forward.x);
+        this.camera.getWorldPosition(this.sphere.position);
+        this.scene.add(this.sphere);
+
+        this.hiddenObjects = objectsToHide.filter(object => object && object.visible);
+        this.hiddenObjects.forEach(object => { object.visible = false; });
+
+        // Keep whatever background the session uses (a colour in VR, none in AR) to restore it later.
+        this.previousBackground = this.scene.background;
+        this.scene.background = new THREE.Color(0x000000);
+    }
+
+    /**
+     * Closes the panorama and restores the gallery and the background.
+     */
+    close() {
+        if (!this.isActive()) return;
+
+        this.resources.dispose();
+        this.sphere = null;
+
+        this.hiddenObjects.forEach(object => { object.visible = true; });
+        this.hiddenObjects = [];
+        this.scene.background = this.previousBackground;
+        this.previousBackground = null;
+    }
+}
@@ -3,8 +3,15 @@
  * This class translates keyboard presses and controller inputs into player navigation
  * and triggers actions via a callback system.
  * v2.1 - Restored functionality by simplifying controller logic and fixing handedness detection.
+ * v3.0 - Keys, buttons and axes are looked up in remappable binding profiles (see InputBindings.js).
+ * v3.1 - Hand tracking: pinch, swipe and palm-up gestures (see HandGestures.js).
+ * v3.2 - Comfort options: teleport, snap turn and a vignette (see Locomotion.js).
  */
 
+import InputBindings, { KEYBOARD_ACTIONS, CONTROLLER_ACTIONS } from './InputBindings.js';
+import HandGestures, { HAND_GESTURE_HELP } from './HandGestures.js';
+import LocomotionSettings, { TeleportArc, ComfortVignette } from './Locomotion.js';
+
 /**
  * Handles all user input for player navigation and interaction.
  */
@@ -24,45 +31,102 @@ export default class PlayerController {
         this.callbacks = callbacks;
         this.controllerGuide = null;
 
-        // Defines button names and their corresponding index numbers.
-        // If mappings change, you only need to update the numbers here.
-        this.mapping = {
-            trigger: 0,
-            grip: 1,
-            thumbstickClick: 3,
-            buttonX: 4, // X on Left Controller, A on Right Controller
-            buttonY: 5  // Y on Left Controller, B on Right Controller
-        };
+        // Remember which input source drives each target ray, since the renderer's order need not match handedness.
+        [controller1, controller2].forEach(controller => {
+            controller.addEventListener('connected', (event) => { controller.userData.inputSource = event.data; });
+            controller.addEventListener('disconnected', () => { controller.userData.inputSource = null; });
+        });
+
+        // Maps keys, controller buttons and axes to actions. The profiles are JSON files in /bindings/.
+        this.bindings = new InputBindings();
+        // The profile of the connected controllers, or null before any has connected.
+        this.activeProfile = null;
+        this.bindings.load()
+            .then(() => this.notifyBindingsChange())
+            .catch(error => console.error('Could not load input bindings:', error));
 
         // --- Movement parameters ---
         this.moveSpeed = 3.0;
         this.rotationSpeed = 1.0;
         this.mouseSensitivity = 0.002;
 
+        // --- Comfort options (VR only) ---
+        this.locomotion = new LocomotionSettings();
+        this.teleportArc = new TeleportArc(player);
+        this.vignette = new ComfortVignette(camera);
+        // A snap turn fires once per push of the stick; it re-arms when the stick returns to the centre.
+        this.snapTurnArmed = true;
+        // Set when the player jumped this frame (teleport or snap turn), which is not motion the vignette should react to.
+        this.jumped = false;
+
         // --- Mouse Look State ---
         this.isDragging = false;
 
         // --- State for keyboard input ---
-        this.keys = { w: false, s: false, a: false, d: false, q: false, e: false, r: false, f: false, ',': false, '.': false, m: false, escape: false, i: false };
-        
+        // Lower-case `KeyboardEvent.key` values of the keys currently held.
+        this.pressedKeys = new Set();
+
         // --- State for button presses (to prevent continuous firing) ---
-        this.commaKeyPressed = false;
-        this.periodKeyPressed = false;
-        this.mKeyPressed = false;
-        this.iKeyPressed = false;
-        this.menuButtonPressed = false;
-        this.consoleButtonPressed = false;
-        this.triggerButtonPressed = false;
-        this.bButtonPressed = false;
+        // Actions held in the previous frame; button actions only fire on the frame they are pressed.
+        this.previousActions = new Set();
+        // Buttons held in the previous frame, per hand, to detect new presses.
+        this.previousButtons = {};
+
+        // --- State for rebinding ---
+        // Called with the next key or button pressed, instead of running its action.
+        this.captureCallback = null;
+        // After a controller button is captured, input is ignored until every button is released.
+        this.waitForRelease = false;
+
+        // Seconds seeked per key press, and per second of full thumbstick deflection.
+        this.videoSeekStep = 5;
+        this.videoSeekSpeed = 10;
+
+        // --- Inspect mode parameters ---
+        this.inspectPanSpeed = 0.6; // Metres per second of full thumbstick deflection.
+        this.inspectZoomSpeed = 1.5; // Zoom doubles roughly every half second of full deflection.
+        this.inspectDragSensitivity = 0.0015; // Metres per pixel of mouse drag.
+        this.inspectWheelSensitivity = 0.001;
 
         // --- State for XR controller "clutch" movement ---
         this.isClutching = false;
+        // The controller or hand holding the clutch, and a function writing its world position into a vector.
+        this.clutchOwner = null;
+        this.getClutchPosition = null;
         this.clutchStartPlayerPosition = new THREE.Vector3();
         this.clutchStartControllerPosition = new THREE.Vector3();
         this.clutchTargetPlayerPosition = new THREE.Vector3();
-        
+
         this.controllerInfoVisible = false;
 
+        // While locked (e.g. inside a panorama) the player can look and turn but not move.
+        this.movementLocked = false;
+
+        // --- State for inspecting a painting ---
+        this.inspecting = false;
+        // Distance between the controllers in the previous frame of a two-handed pull, or null.
+        this.twoHandedDistance = null;
+
+        // --- State for hand tracking ---
+        this.handGestures = [];
+
+        // Keyboard actions that fire once per press.
+        this.keyCommands = {
+            nextImage: () => this.callbacks.onNextImage(),
+            previousImage: () => this.callbacks.onPrevImage(),
+            menuToggle: () => this.callbacks.onMenuToggle(),
+            infoToggle: () => this.callbacks.onInfoToggle(),
+            activate: () => this.callbacks.onActivate(),
+            inspectToggle: () => this.callbacks.onInspectToggle(),
+            slideshowToggle: () => this.callbacks.onSlideshowToggle(),
+            starToggle: () => this.callbacks.onStarToggle(),
+            back: () => this.callbacks.onBack(),
+            videoPlayPause: () => this.callbacks.onVideoPlayPause(),
+            videoSeekBack: () => this.callbacks.onVideoSeek(-this.videoSeekStep),
+            videoSeekForward: () => this.callbacks.onVideoSeek(this.videoSeekStep),
+            videoMute: () => this.callbacks.onVideoMuteToggle()
+        };
+
         // NOTE: Event listeners in the constructor were removed as they were unreliable
         // with controller handedness swaps. All input is now handled in the update loop.
     }
@@ -75,6 +139,62 @@ export default class PlayerController {
         this.controllerGuide = guide;
     }
 
+    /**
+     * Returns the comfort settings.
+     * @returns {{movement: string, turn: string, snapAngle: number, vignette: boolean}}
+     */
+    getLocomotionSettings() {
+        return this.locomotion.get();
+    }
+
+    /**
+     * Switches between smooth movement and teleporting.
+     */
+    cycleMovementMode() {
+        this.locomotion.cycleMovement();
+        this.teleportArc.hide();
+    }
+
+    /**
+     * Steps through smooth turning and the snap turn angles.
+     */
+    cycleTurnMode() {
+        this.locomotion.cycleTurn();
+    }
+
+    /**
+     * Turns the comfort vignette on or off.
+     */
+    toggleVignette() {
+        this.locomotion.toggleVignette();
+    }
+
+    /**
+     * Sets the tracked hands to read gestures from.
+     * @param {...THREE.Group} hands - Hands from `renderer.xr.getHand`, added to the player group.
+     */
+    setHands(...hands) {
+        this.handGestures = hands.map(hand => new HandGestures(hand));
+    }
+
+    /**
+     * Locks or unlocks player translation. Turning stays available while locked.
+     * @param {boolean} locked
+     */
+    setMovementLocked(locked) {
+        this.movementLocked = locked;
+        if (locked) this._endClutch(this.clutchOwner);
+    }
+
+    /**
+     * Switches the controls between normal navigation and zooming/panning an inspected painting.
+     * @param {boolean} inspecting
+     */
+    setInspecting(inspecting) {
+        this.inspecting = inspecting;
+        if (!inspecting) this.twoHandedDistance = null;
+    }
+
     /**
      * Toggles the visibility of the in-VR controller guide.
      */
@@ -82,13 +202,115 @@ export default class PlayerController {
         this.controllerInfoVisible = !this.controllerInfoVisible;
     }
 
+    /**
+     * Returns the controller profile in use, or the default one before any controller has connected.
+     * @returns {object|null} Null until the profiles have loaded.
+     */
+    getControllerProfile() {
+        return this.activeProfile || this.bindings.getDefaultControllerProfile();
+    }
+
+    /**
+     * Describes the active bindings for help text.
+     * @param {boolean} isVR - Describe the controllers rather than the keyboard.
+     * @returns {{sections: Array<{title: string, items: string[]}>, menuHint: string|null}}
+     */
+    describeControls(isVR) {
+        if (!this.bindings.isLoaded()) return { sections: [], menuHint: null };
+        const profile = isVR ? this.getControllerProfile() : null;
+        const menuBinding = this.bindings.describeAction('menuToggle', profile);
+        return {
+            sections: profile ? [...this.bindings.describeController(profile), { title: 'Hands', items: HAND_GESTURE_HELP }] : this.bindings.describeKeyboard(),
+            menuHint: menuBinding ? `Press ${menuBinding} to open the gallery menu` : null
+        };
+    }
+
+    /**
+     * Lists the actions that can be rebound, with where each is bound now.
+     * Controller axes are not listed; only buttons can be captured.
+     * @param {boolean} isVR - List controller actions rather than keyboard actions.
+     * @returns {Array<{action: string, label: string, binding: string|null}>}
+     */
+    getRebindableActions(isVR) {
+        if (!this.bindings.isLoaded()) return [];
+        const profile = isVR ? this.getControllerProfile() : null;
+        const actions = isVR ? CONTROLLER_ACTIONS.filter(({ axis }) => !axis) : KEYBOARD_ACTIONS;
+        return actions.map(({ id, label }) => ({ action: id, label, binding: this.bindings.describeAction(id, profile) }));
+    }
+
+    /**
+     * Waits for the next key or controller button and binds it to an action.
+     * @param {string} action - The action id.
+     * @param {boolean} isVR - Bind a controller button rather than a key.
+     * @param {function(boolean): void} [onDone] - Called with whether a binding was made. Esc cancels.
+     */
+    rebindAction(action, isVR, onDone) {
+        this.captureCallback = (input) => {
+            let bound = false;
+            if (input && input.key !== undefined && !isVR) {
+                this.bindings.bindKey(action, input.key);
+                bound = true;
+            } else if (input && input.profile && isVR) {
+                this.bindings.bindButton(input.profile, input.hand, action, input.button);
+                bound = true;
+            }
+            if (bound) this.notifyBindingsChange();
+            if (onDone) onDone(bound);
+        };
+    }
+
+    /**
+     * Whether the next key or button press will be captured for rebinding.
+     * @returns {boolean}
+     */
+    isCapturingInput() {
+        return this.captureCallback !== null;
+    }
+
+    /**
+     * Returns the user's dominant hand.
+     * @returns {'left'|'right'}
+     */
+    getDominantHand() {
+        return this.bindings.getDominantHand();
+    }
+
+    /**
+     * Switches the dominant hand, mirroring which hand does what on the controllers.
+     */
+    toggleDominantHand() {
+        this.bindings.setDominantHand(this.bindings.getDominantHand() === 'left' ? 'right' : 'left');
+        this.notifyBindingsChange();
+    }
+
+    /**
+     * Returns every binding to the profiles' defaults.
+     */
+    resetBindings() {
+        this.bindings.resetOverrides();
+        this.notifyBindingsChange();
+    }
+
+    /**
+     * Tells listeners that the bindings, or the profile they are read from, have changed.
+     */
+    notifyBindingsChange() {
+        if (this.callbacks.onBindingsChange) this.callbacks.onBindingsChange();
+    }
+
     /**
      * Handles key down events.
      * @param {KeyboardEvent} e - The keyboard event.
      */
     handleKeyDown(e) {
         const key = e.key.toLowerCase();
-        if (this.keys[key] !== undefined) this.keys[key] = true;
+        if (this.captureCallback) {
+            e.preventDefault();
+            this._finishCapture(key === 'escape' ? null : { key });
+            return;
+        }
+        if (!e.repeat) this.callbacks.onInteraction();
+        this.pressedKeys.add(key);
     }
 
     /**
@@ -96,8 +318,7 @@ export default class PlayerController {
      * @param {KeyboardEvent} e - The keyboard event.
      */
     handleKeyUp(e) {
-        const key = e.key.toLowerCase();
-        if (this.keys[key] !== undefined) this.keys[key] = false;
+        this.pressedKeys.delete(e.key.toLowerCase());
     }
 
     /**
@@ -120,12 +341,29 @@ export default class PlayerController {
      */
     handleMouseMove(event) {
         if (!this.isDragging) return;
+        this.callbacks.onInteraction();
+
+        // While inspecting, dragging moves the painting with the mouse instead of looking around.
+        if (this.inspecting) {
+            this.callbacks.onInspectPan(event.movementX * this.inspectDragSensitivity, -event.movementY * this.inspectDragSensitivity);
+            return;
+        }
 
         this.player.rotation.y -= event.movementX * this.mouseSensitivity;
         this.camera.rotation.x -= event.movementY * this.mouseSensitivity;
         this.camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.rotation.x));
     }
 
+    /**
+     * Handles mouse wheel events, zooming the inspected painting.
+     * @param {WheelEvent} event - The wheel event.
+     */
+    handleWheel(event) {
+        this.callbacks.onInteraction();
+        if (!this.inspecting) return;
+        this.callbacks.onInspectZoom(Math.exp(-event.deltaY * this.inspectWheelSensitivity));
+    }
+
     /**
      * Per-frame update logic for the PlayerController.
      * @param {number} delta - The time delta since the last frame.
@@ -137,31 +375,30 @@ export default class PlayerController {
         const moveVector = new THREE.Vector3();
         let rotationAmount = 0;
 
-        if (currentSession) { 
-            // Simplified loop to process controllers based on their actual, live handedness.
-            // This correctly calls the handler for the appropriate hand every frame.
-            for (const source of currentSession.inputSources) {
-                if (!source.gamepad) continue;
-
-                if (source.handedness === 'left') {
-                    const forwardDirection = new THREE.Vector3();
-                    this.camera.getWorldDirection(forwardDirection);
-                    forwardDirection.y = 0;
-                    forwardDirection.normalize();
-                    rotationAmount = this.handleLeftController(delta, source.gamepad, forwardDirection, moveVector, rotationAmount, isMenuVisible, isConsoleVisible);
-                } else if (source.handedness === 'right') {
-                    this.handleRightController(delta, source.gamepad, isConsoleVisible);
-                }
+        if (currentSession) {
+            const startPosition = this.player.position.clone();
+            const startYaw = this.player.rotation.y;
+            this.jumped = false;
+            const controllers = this.readControllers(currentSession);
+
+            if (this.captureCallback || this.waitForRelease) {
+                this.handleCapture(controllers);
+            } else {
+                // Interaction is reported before the buttons act, so that the press which starts the slideshow does not also pause it.
+                const interacted = controllers.some(c => c.newPresses.some(Boolean) || c.gamepad.axes.some(value => Math.abs(value) > 0.2));
+                if (interacted) this.callbacks.onInteraction();
+
+                rotationAmount = this.handleControllerActions(delta, controllers, moveVector, rotationAmount, isMenuVisible, isConsoleVisible);
             }
+            this.handleHandGestures(delta, isMenuVisible);
+            if (this.isClutching) this._applyClutch();
+            this._applyMovement(moveVector, rotationAmount);
+            this._updateVignette(delta, startPosition, startYaw);
         } else { // Desktop controls
             rotationAmount = this.handleDesktopControls(delta, moveVector, rotationAmount);
-        }
-
-        if (moveVector.lengthSq() > 0) {
-            this.player.position.add(moveVector);
-        }
-        if (rotationAmount !== 0) {
-             this.player.rotation.y += rotationAmount;
+            this._applyMovement(moveVector, rotationAmount);
+            this.teleportArc.hide();
+            this.vignette.update(delta, 0);
         }
 
         if (this.controllerGuide) {
@@ -171,128 +408,248 @@ export default class PlayerController {
     }
 
     /**
-     * Handles all inputs from the left XR controller.
+     * Reads every handed controller with a gamepad, along with the bindings of its profile.
+     * Controllers are processed by their actual, live handedness, which survives handedness swaps.
+     * @param {XRSession} session - The active WebXR session.
+     * @returns {Array<object>} Per controller: `hand`, `gamepad`, `profile`, `bindings`, `pressed` and `newPresses` (per button), and its scene `object`.
+     */
+    readControllers(session) {
+        const controllers = [];
+        for (const source of session.inputSources) {
+            // Tracked hands may expose a gamepad too; they are read as gestures instead.
+            if (!source.gamepad || source.hand || (source.handedness !== 'left' && source.handedness !== 'right')) continue;
+
+            const hand = source.handedness;
+            const profile = this.bindings.findControllerProfile(source.profiles);
+            const pressed = source.gamepad.buttons.map(button => button.pressed);
+            const previous = this.previousButtons[hand] || [];
+            this.previousButtons[hand] = pressed;
+
+            controllers.push({
+                hand,
+                gamepad: source.gamepad,
+                profile,
+                bindings: profile ? this.bindings.getControllerBindings(profile, hand) : {},
+                pressed,
+                newPresses: pressed.map((isPressed, i) => isPressed && !previous[i]),
+                object: this._getTargetRay(source)
+            });
+        }
+
+        // The guide and welcome message describe the profile actually in use.
+        const profile = controllers.length > 0 ? controllers[0].profile : null;
+        if (profile && profile !== this.activeProfile) {
+            this.activeProfile = profile;
+            this.notifyBindingsChange();
+        }
+        return controllers;
+    }
+
+    /**
+     * Runs every bound controller action that applies in the current context.
      * @param {number} delta - Frame time delta.
-     * @param {Gamepad} gamepad - The gamepad object for the controller.
-     * @param {THREE.Vector3} forwardDirection - The player's current forward direction.
+     * @param {Array<object>} controllers - The controllers from `readControllers`.
      * @param {THREE.Vector3} moveVector - The vector to apply movement to.
      * @param {number} rotationAmount - The amount to apply rotation by.
      * @param {boolean} isMenuVisible - Whether the menu is currently visible.
      * @param {boolean} isConsoleVisible - Whether the console is currently visible.
      * @returns {number} The calculated rotation amount.
      */
-    handleLeftController(delta, gamepad, forwardDirection, moveVector, rotationAmount, isMenuVisible, isConsoleVisible) {
-        const axes = gamepad.axes;
-        const buttons = gamepad.buttons;
-        
-        const joystickTurn = axes[2] || 0;
-        const joystickVertical = -axes[3] || 0; 
-
-        const triggerValue = buttons[this.mapping.trigger]?.pressed || false;
-        const gripValue = buttons[this.mapping.grip]?.pressed || false;
-        
-        const leftHandObject = this.controller1;
-
-        const gripEngaged = gripValue;
-        if (gripEngaged && !this.isClutching) {
-            this.isClutching = true;
-            this.clutchStartPlayerPosition.copy(this.player.position);
-            leftHandObject.parent.localToWorld(this.clutchStartControllerPosition.setFromMatrixPosition(leftHandObject.matrix));
-        } else if (!gripEngaged && this.isClutching) {
-            this.isClutching = false;
+    handleControllerActions(delta, controllers, moveVector, rotationAmount, isMenuVisible, isConsoleVisible) {
+        // Collect the controllers holding each button action, and the strongest value of each axis action.
+        const held = new Map();
+        const axes = {};
+        const axisControllers = {};
+        controllers.forEach(controller => {
+            Object.entries(controller.bindings).forEach(([action, binding]) => {
+                if (!binding) return;
+                if (binding.axis !== undefined) {
+                    const value = (controller.gamepad.axes[binding.axis] || 0) * (binding.invert ? -1 : 1);
+                    if (Math.abs(value) > Math.abs(axes[action] || 0)) {
+                        axes[action] = value;
+                        axisControllers[action] = controller;
+                    }
+                } else if (controller.pressed[binding.button]) {
+                    if (!held.has(action)) held.set(action, []);
+                    held.get(action).push(controller);
+                }
+            });
+        });
+        const previousActions = this.previousActions;
+        const justPressed = (action) => held.has(action) && !previousActions.has(action);
+        this.previousActions = new Set(held.keys());
+
+        const forwardDirection = new THREE.Vector3();
+        this.camera.getWorldDirection(forwardDirection);
+        forwardDirection.y = 0;
+        forwardDirection.normalize();
+
+        // Clutch movement follows whichever controller holds the clutch.
+        const clutchHolder = held.has('clutch') && !this.movementLocked ? held.get('clutch')[0] : null;
+        if (clutchHolder && !this.isClutching) {
+            const object = clutchHolder.object;
+            this._startClutch(object, out => object.parent.localToWorld(out.setFromMatrixPosition(object.matrix)));
+        } else if (!clutchHolder) {
+            controllers.forEach(controller => this._endClutch(controller.object));
         }
 
-        if (this.isClutching) {
-            const currentControllerPosition = new THREE.Vector3();
-            leftHandObject.parent.localToWorld(currentControllerPosition.setFromMatrixPosition(leftHandObject.matrix));
-            const motionDelta = new THREE.Vector3().subVectors(this.clutchStartControllerPosition, currentControllerPosition);
-            this.clutchTargetPlayerPosition.copy(this.clutchStartPlayerPosition).add(motionDelta);
-            this.player.position.lerp(this.clutchTargetPlayerPosition, 0.1);
+        const { movement, turn: turnMode, snapAngle } = this.locomotion.get();
+        const move = axes.move || 0;
+        if (movement === 'teleport' && !isMenuVisible && !isConsoleVisible && !this.isClutching && !this.movementLocked) {
+            this.handleTeleport(move, axisControllers.move);
         } else {
-            if (isMenuVisible) {
-                if (Math.abs(joystickVertical) > 0.2) this.callbacks.onVRMenuScroll(joystickVertical * delta);
-            } else if (!isConsoleVisible) {
-                if (Math.abs(joystickVertical) > 0.2) moveVector.add(forwardDirection.clone().multiplyScalar(joystickVertical * this.moveSpeed * delta));
-            }
-        }
-        
-        if (Math.abs(joystickTurn) > 0.2 && !isConsoleVisible) {
-            rotationAmount -= joystickTurn * this.rotationSpeed * delta;
+            this.teleportArc.hide();
         }
-        
-        // This restores the trigger's dual functionality for menu selection and info toggle.
-        const triggerPressed = triggerValue && !this.triggerButtonPressed;
-        if (triggerPressed) {
-            this.triggerButtonPressed = true;
+        if (!this.isClutching) {
             if (isMenuVisible) {
-                this.callbacks.onMenuItemSelect();
-            } else {
-                this.callbacks.onInfoToggle();
+                if (Math.abs(move) > 0.2) this.callbacks.onVRMenuScroll(move * delta);
+            } else if (!isConsoleVisible && movement === 'smooth') {
+                if (Math.abs(move) > 0.2) moveVector.add(forwardDirection.clone().multiplyScalar(move * this.moveSpeed * delta));
             }
-        } else if (!triggerValue) {
-            this.triggerButtonPressed = false;
         }
-        
-        const hardwareMenuButton = buttons[this.mapping.thumbstickClick]?.pressed || false;
-        if (hardwareMenuButton && !this.menuButtonPressed) {
-            this.menuButtonPressed = true;
-            this.callbacks.onMenuToggle();
-        } else if (!hardwareMenuButton) {
-            this.menuButtonPressed = false;
+
+        const turn = axes.turn || 0;
+        if (!isConsoleVisible && turnMode === 'snap') {
+            if (this.snapTurnArmed && Math.abs(turn) > 0.7) {
+                this.snapTurnArmed = false;
+                this._turnAroundHead(-Math.sign(turn) * THREE.MathUtils.degToRad(snapAngle));
+            } else if (Math.abs(turn) < 0.3) {
+                this.snapTurnArmed = true;
+            }
+        } else if (Math.abs(turn) > 0.2 && !isConsoleVisible) {
+            rotationAmount -= turn * this.rotationSpeed * delta;
         }
 
-        const prevButton = buttons[this.mapping.buttonY]?.pressed || false;
-        if (prevButton && !this.periodKeyPressed) {
-            this.periodKeyPressed = true;
-            this.callbacks.onPrevImage();
-        } else if (!prevButton) {
-            this.periodKeyPressed = false;
+        const scrollX = axes.scrollX || 0;
+        const scrollY = axes.scrollY || 0;
+        if (isConsoleVisible) {
+            if (Math.abs(scrollX) > 0.1 || Math.abs(scrollY) > 0.1) {
+                this.callbacks.onConsoleScroll(scrollX * 500 * delta, scrollY * 500 * delta);
+            }
+        } else if (this.inspecting) {
+            // The stick looks around the painting; with the zoom modifier held, pushing it forward zooms in.
+            if (held.has('zoomModifier')) {
+                if (Math.abs(scrollY) > 0.2) this.callbacks.onInspectZoom(Math.exp(scrollY * this.inspectZoomSpeed * delta));
+            } else if (Math.abs(scrollX) > 0.2 || Math.abs(scrollY) > 0.2) {
+                this.callbacks.onInspectPan(-scrollX * this.inspectPanSpeed * delta, -scrollY * this.inspectPanSpeed * delta);
+            }
+        } else if (Math.abs(scrollX) > 0.2) {
+            // With the console hidden, the stick seeks through the target video.
+            this.callbacks.onVideoSeek(scrollX * this.videoSeekSpeed * delta);
         }
-        
-        const nextButton = buttons[this.mapping.buttonX]?.pressed || false;
-        if (nextButton && !this.commaKeyPressed) {
-            this.commaKeyPressed = true;
-            this.callbacks.onNextImage();
-        } else if (!nextButton) {
-            this.commaKeyPressed = false;
+
+        // Actions sharing a button take turns by context: the default triggers select in the menu, and
+        // outside it toggle the info card or activate; activate and mute give way to zooming while inspecting.
+        if (isMenuVisible) {
+            // Select with whichever hand pressed, pointing with that hand's ray.
+            const selecting = controllers.find(controller => controller.bindings.menuSelect && controller.newPresses[controller.bindings.menuSelect.button]);
+            if (selecting) this.callbacks.onMenuItemSelect(selecting.object);
         }
+        if (justPressed('infoToggle') && !isMenuVisible) this.callbacks.onInfoToggle();
+        if (justPressed('menuToggle')) this.callbacks.onMenuToggle();
+        if (justPressed('nextImage')) this.callbacks.onNextImage();
+        if (justPressed('previousImage')) this.callbacks.onPrevImage();
+        if (justPressed('activate') && !isMenuVisible && !this.inspecting) this.callbacks.onActivate();
+        if (justPressed('videoMute') && !this.inspecting) this.callbacks.onVideoMuteToggle();
+        if (justPressed('inspectToggle')) this.callbacks.onInspectToggle();
+        if (justPressed('starToggle') && !isMenuVisible) this.callbacks.onStarToggle();
+        if (justPressed('consoleToggle')) this.callbacks.onConsoleToggle();
+        if (justPressed('guideToggle')) this.callbacks.onControllerInfoToggle();
+
+        this.handleTwoHandedZoom(held.get('twoHandZoom') || []);
 
         return rotationAmount;
     }
 
     /**
-     * Handles all inputs from the right XR controller.
+     * Aims the teleport arc while the stick is pushed forward, and teleports to where it lands when the stick is released.
+     * Aiming at nothing (the arc is red) and letting go cancels.
+     * @param {number} move - The value of the move axis; forward is positive.
+     * @param {object} [controller] - The controller the move axis was read from, which the arc starts at.
+     */
+    handleTeleport(move, controller) {
+        const aiming = controller && (move > 0.6 || (this.teleportArc.isActive() && move > 0.2));
+        if (aiming) {
+            this.teleportArc.update(controller.object);
+        } else if (this.teleportArc.isActive()) {
+            const target = this.teleportArc.hide();
+            if (target) this._teleportTo(target);
+        }
+    }
+
+    /**
+     * Turns hand gestures into actions: pinch selects in the menu and clutches outside it,
+     * a sideways swipe changes the image and turning the palm up toggles the menu.
      * @param {number} delta - Frame time delta.
-     * @param {Gamepad} gamepad - The gamepad object for the controller.
-     * @param {boolean} isConsoleVisible - Whether the console is currently visible.
+     * @param {boolean} isMenuVisible - Whether the menu is currently visible.
      */
-    handleRightController(delta, gamepad, isConsoleVisible) {
-        const axes = gamepad.axes;
-        const buttons = gamepad.buttons;
+    handleHandGestures(delta, isMenuVisible) {
+        const updates = this.handGestures.map(hand => ({ hand, gestures: hand.update(delta, this.camera) }));
+        if (updates.some(({ gestures }) => gestures.length > 0)) this.callbacks.onInteraction();
+
+        updates.forEach(({ hand, gestures }) => {
+            gestures.forEach(gesture => {
+                if (gesture === 'pinchstart') {
+                    if (isMenuVisible) {
+                        // Select what this hand's ray points at.
+                        this.callbacks.onMenuItemSelect(this._getTargetRay(hand.source));
+                    } else if (!this.isClutching && !this.movementLocked) {
+                        this._startClutch(hand, out => this.player.localToWorld(hand.getPinchPosition(out)));
+                    }
+                } else if (gesture === 'pinchend') {
+                    this._endClutch(hand);
+                } else if (gesture === 'swipeleft' && !isMenuVisible) {
+                    this.callbacks.onNextImage();
+                } else if (gesture === 'swiperight' && !isMenuVisible) {
+                    this.callbacks.onPrevImage();
+                } else if (gesture === 'palmup') {
+                    this.callbacks.onMenuToggle();
+                }
+            });
+        });
+    }
 
-        if (isConsoleVisible) {
-            const scrollX = axes[2] || 0;
-            const scrollY = -axes[3] || 0;
-            if (Math.abs(scrollX) > 0.1 || Math.abs(scrollY) > 0.1) {
-                this.callbacks.onConsoleScroll(scrollX * 500 * delta, scrollY * 500 * delta);
+    /**
+     * Hands the next newly pressed controller button to the pending rebind, then waits until every button is released.
+     * @param {Array<object>} controllers - The controllers from `readControllers`.
+     */
+    handleCapture(controllers) {
+        if (this.captureCallback) {
+            for (const controller of controllers) {
+                const button = controller.newPresses.indexOf(true);
+                if (button >= 0 && controller.profile) {
+                    this.waitForRelease = true;
+                    this._finishCapture({ hand: controller.hand, button, profile: controller.profile });
+                    break;
+                }
             }
+        } else if (!controllers.some(controller => controller.pressed.some(Boolean))) {
+            this.waitForRelease = false;
+            // Buttons still count as held from before the capture; forget them so nothing fires on release.
+            this.previousActions.clear();
         }
+    }
 
-        const aButton = buttons[this.mapping.buttonX]?.pressed || false;
-        if (aButton && !this.consoleButtonPressed) {
-            this.consoleButtonPressed = true;
-            this.callbacks.onConsoleToggle();
-        } else if (!aButton) {
-            this.consoleButtonPressed = false;
+    /**
+     * Zooms the inspected painting while both hands hold the two-handed zoom, by how far they move apart or together.
+     * @param {Array<object>} holders - The controllers holding the two-handed zoom binding.
+     */
+    handleTwoHandedZoom(holders) {
+        if (!this.inspecting || holders.length < 2) {
+            this.twoHandedDistance = null;
+            return;
         }
 
-        const bButton = buttons[this.mapping.buttonY]?.pressed || false;
-        if (bButton && !this.bButtonPressed) {
-            this.bButtonPressed = true;
-            this.callbacks.onControllerInfoToggle();
-        } else if (!bButton) {
-            this.bButtonPressed = false;
+        const firstPosition = new THREE.Vector3();
+        const secondPosition = new THREE.Vector3();
+        holders[0].object.getWorldPosition(firstPosition);
+        holders[1].object.getWorldPosition(secondPosition);
+        const distance = firstPosition.distanceTo(secondPosition);
+
+        if (this.twoHandedDistance !== null && this.twoHandedDistance > 0.01) {
+            this.callbacks.onInspectZoom(distance / this.twoHandedDistance);
         }
+        this.twoHandedDistance = distance;
     }
 
     /**
@@ -303,6 +660,9 @@ export default class PlayerController {
      * @returns {number} The calculated rotation amount.
      */
     handleDesktopControls(delta, moveVector, rotationAmount) {
+        const keyBindings = this.bindings.getKeyboardBindings();
+        const held = new Set(Object.keys(keyBindings).filter(action => keyBindings[action].some(key => this.pressedKeys.has(key))));
+
         const forwardDirection = new THREE.Vector3();
         this.camera.getWorldDirection(forwardDirection);
         forwardDirection.y = 0;
@@ -310,25 +670,136 @@ export default class PlayerController {
 
         const rightDirection = new THREE.Vector3();
         rightDirection.crossVectors(forwardDirection, new THREE.Vector3(0, 1, 0));
-        
-        if (this.keys.w) moveVector.add(forwardDirection.clone().multiplyScalar(this.moveSpeed * delta));
-        if (this.keys.s) moveVector.add(forwardDirection.clone().multiplyScalar(-this.moveSpeed * delta));
-        if (this.keys.q) moveVector.add(rightDirection.clone().multiplyScalar(-this.moveSpeed * delta));
-        if (this.keys.e) moveVector.add(rightDirection.clone().multiplyScalar(this.moveSpeed * delta));
-        if (this.keys.a) rotationAmount += this.rotationSpeed * delta; 
-        if (this.keys.d) rotationAmount -= this.rotationSpeed * delta;
-        if (this.keys.r) this.player.position.y += this.moveSpeed * delta;
-        if (this.keys.f) this.player.position.y -= this.moveSpeed * delta;
-
-        if (this.keys['.'] && !this.periodKeyPressed) { this.periodKeyPressed = true; this.callbacks.onNextImage(); } 
-        else if (!this.keys['.']) { this.periodKeyPressed = false; }
-        if (this.keys[','] && !this.commaKeyPressed) { this.commaKeyPressed = true; this.callbacks.onPrevImage(); } 
-        else if (!this.keys[',']) { this.commaKeyPressed = false; }
-        if (this.keys.m && !this.mKeyPressed) { this.mKeyPressed = true; this.callbacks.onMenuToggle(); } 
-        else if (!this.keys.m) { this.mKeyPressed = false; }
-        if (this.keys.i && !this.iKeyPressed) { this.iKeyPressed = true; this.callbacks.onInfoToggle(); } 
-        else if (!this.keys.i) { this.iKeyPressed = false; }
-        
+
+        if (held.has('moveForward')) moveVector.add(forwardDirection.clone().multiplyScalar(this.moveSpeed * delta));
+        if (held.has('moveBackward')) moveVector.add(forwardDirection.clone().multiplyScalar(-this.moveSpeed * delta));
+        if (held.has('strafeLeft')) moveVector.add(rightDirection.clone().multiplyScalar(-this.moveSpeed * delta));
+        if (held.has('strafeRight')) moveVector.add(rightDirection.clone().multiplyScalar(this.moveSpeed * delta));
+        if (held.has('turnLeft')) rotationAmount += this.rotationSpeed * delta;
+        if (held.has('turnRight')) rotationAmount -= this.rotationSpeed * delta;
+        if (held.has('moveUp') && !this.movementLocked) this.player.position.y += this.moveSpeed * delta;
+        if (held.has('moveDown') && !this.movementLocked) this.player.position.y -= this.moveSpeed * delta;
+
+        Object.entries(this.keyCommands).forEach(([action, command]) => {
+            if (held.has(action) && !this.previousActions.has(action)) command();
+        });
+        this.previousActions = held;
+
         return rotationAmount;
     }
+
+    /**
+     * Starts moving the player with a controller or hand, like grabbing and pulling the world.
+     * @param {object} owner - The controller object or `HandGestures` holding the clutch.
+     * @param {function(THREE.Vector3): THREE.Vector3} getPosition - Writes the owner's current world position into a vector.
+     * @private
+     */
+    _startClutch(owner, getPosition) {
+        this.isClutching = true;
+        this.clutchOwner = owner;
+        this.getClutchPosition = getPosition;
+        this.clutchStartPlayerPosition.copy(this.player.position);
+        getPosition(this.clutchStartControllerPosition);
+    }
+
+    /**
+     * Stops the clutch if it is held by the given owner.
+     * @param {object} owner
+     * @private
+     */
+    _endClutch(owner) {
+        if (!this.isClutching || this.clutchOwner !== owner) return;
+        this.isClutching = false;
+        this.clutchOwner = null;
+        this.getClutchPosition = null;
+    }
+
+    /**
+     * Moves the player opposite to the clutch owner's motion since the clutch started.
+     * @private
+     */
+    _applyClutch() {
+        const currentControllerPosition = this.getClutchPosition(new THREE.Vector3());
+        const motionDelta = new THREE.Vector3().subVectors(this.clutchStartControllerPosition, currentControllerPosition);
+        this.clutchTargetPlayerPosition.copy(this.clutchStartPlayerPosition).add(motionDelta);
+        this.player.position.lerp(this.clutchTargetPlayerPosition, 0.1);
+    }
+
+    /**
+     * Applies the frame's smooth movement and turning.
+     * @param {THREE.Vector3} moveVector
+     * @param {number} rotationAmount
+     * @private
+     */
+    _applyMovement(moveVector, rotationAmount) {
+        if (moveVector.lengthSq() > 0 && !this.movementLocked) {
+            this.player.position.add(moveVector);
+        }
+        if (rotationAmount !== 0) {
+             this.player.rotation.y += rotationAmount;
+        }
+    }
+
+    /**
+     * Moves the player so that their head is above a point on the floor.
+     * @param {THREE.Vector3} target - The point, in the player's local space.
+     * @private
+     */
+    _teleportTo(target) {
+        // The head is usually not above the player's origin in room-scale VR, so move by the head's offset from the target.
+        const offset = new THREE.Vector3(target.x - this.camera.position.x, 0, target.z - this.camera.position.z);
+        this.player.position.add(offset.applyQuaternion(this.player.quaternion));
+        this.jumped = true;
+    }
+
+    /**
+     * Turns the player about their head rather than the player's origin, so that the view turns in place.
+     * @param {number} angle - Radians, anticlockwise seen from above.
+     * @private
+     */
+    _turnAroundHead(angle) {
+        const head = this.camera.position.clone().applyQuaternion(this.player.quaternion).add(this.player.position);
+        this.player.rotation.y += angle;
+        this.player.position.copy(head).sub(this.camera.position.clone().applyQuaternion(this.player.quaternion));
+        this.jumped = true;
+    }
+
+    /**
+     * Shows the vignette in proportion to how fast the player moved or turned this frame, if it is enabled.
+     * @param {number} delta - Frame time delta.
+     * @param {THREE.Vector3} startPosition - The player's position at the start of the frame.
+     * @param {number} startYaw - The player's rotation about y at the start of the frame.
+     * @private
+     */
+    _updateVignette(delta, startPosition, startYaw) {
+        let strength = 0;
+        if (this.locomotion.vignette && !this.jumped && delta > 0) {
+            const speed = this.player.position.distanceTo(startPosition) / delta;
+            const turnRate = Math.abs(this.player.rotation.y - startYaw) / delta;
+            strength = Math.max(speed / this.moveSpeed, turnRate / this.rotationSpeed);
+        }
+        this.vignette.update(delta, strength);
+    }
+
+    /**
+     * Returns the target ray object the renderer drives with an input source.
+     * @param {XRInputSource} source
+     * @returns {THREE.XRTargetRaySpace}
+     * @private
+     */
+    _getTargetRay(source) {
+        const match = [this.controller1, this.controller2].find(controller => controller.userData.inputSource === source);
+        return match || (source.handedness === 'left' ? this.controller1 : this.controller2);
+    }
+
+    /**
+     * Ends a capture started by `rebindAction`.
+     * @param {object|null} input - The captured key (`{key}`) or button (`{hand, button, profile}`), or null if cancelled.
+     * @private
+     */
+    _finishCapture(input) {
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+        callback(input);
+    }
 }
@@ -0,0 +1,86 @@
+/**
+ * @file A small heads-up panel attached to the camera, with a line of text over a progress bar.
+ * The slideshow countdown and the loading progress are drawn on one each.
+ */
+
+import ResourceTracker from './ResourceTracker.js';
+
+/**
+ * Draws a label and a progress bar on a canvas panel in front of the camera. The panel is created on the first
+ * draw and freed by `hide`.
+ */
+export default class ProgressPanel {
+    /**
+     * @param {THREE.PerspectiveCamera} camera - The camera the panel is attached to.
+     * @param {object} options
+     * @param {string} options.name - The panel's object name.
+     * @param {number} options.width - The canvas width in pixels.
+     * @param {number} options.height - The canvas height in pixels.
+     * @param {number} options.size - The panel's width in metres, one metre in front of the camera.
+     * @param {number} options.y - The panel's height above (or below) the centre of the view, in metres.
+     */
+    constructor(camera, { name, width, height, size, y }) {
+        this.camera = camera;
+        this.name = name;
+        this.size = size;
+        this.y = y;
+        this.resources = new ResourceTracker();
+        this.panel = null;
+        this.lastDrawn = null;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+    }
+
+    /**
+     * Redraws the panel, creating it if needed.
+     * @param {string} label
+     * @param {number} fraction - How much of the bar is filled, from 0 to 1.
+     * @param {string} color - The bar's CSS colour.
+     */
+    draw(label, fraction, color) {
+        if (!this.panel) this._createPanel();
+
+        // The bar is drawn in 64 steps, so the texture is only re-uploaded when something visible changes.
+        const key = `${label}|${Math.round(fraction * 64)}|${color}`;
+        if (key === this.lastDrawn) return;
+        this.lastDrawn = key;
+
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(20, 20, 20, 0.75)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = color;
+        ctx.fillRect(0, height - 8, width * fraction, 8);
+        ctx.fillStyle = 'white';
+        ctx.font = '24px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, width / 2, (height - 8) / 2, width - 16);
+        this.panel.material.map.needsUpdate = true;
+    }
+
+    /**
+     * Removes the panel and frees its resources.
+     */
+    hide() {
+        this.resources.dispose();
+        this.panel = null;
+        this.lastDrawn = null;
+    }
+
+    /**
+     * Creates the panel, with the canvas's proportions.
+     * @private
+     */
+    _createPanel() {
+        const material = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(this.canvas), transparent: true, depthTest: false });
+        this.panel = new THREE.Mesh(new THREE.PlaneGeometry(this.size, this.size * this.canvas.height / this.canvas.width), material);
+        this.panel.name = this.name;
+        this.panel.renderOrder = 10;
+        this.panel.position.set(0, this.y, -1);
+        this.camera.add(this.resources.track(this.panel));
+    }
+}
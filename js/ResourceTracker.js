@@ -0,0 +1,100 @@
+/**
+ * @file Tracks the GPU resources (geometries, materials and textures) created by a module so they
+ * can be freed together. Three.js does not release GPU memory when objects are merely removed from
+ * the scene; `dispose()` must be called on each resource.
+ */
+
+/**
+ * Owns a set of Three.js resources and disposes them on request.
+ */
+export default class ResourceTracker {
+    constructor() {
+        this.resources = new Set();
+        // Tracked objects that should be detached from their parents when disposed.
+        this.roots = new Set();
+    }
+
+    /**
+     * Starts tracking a resource. Objects are traversed so that every geometry, material and texture
+     * they use is tracked as well.
+     * @param {THREE.Object3D|THREE.Material|THREE.Texture|THREE.BufferGeometry} resource
+     * @returns {*} The same resource, for chaining.
+     */
+    track(resource) {
+        if (!resource) return resource;
+        if (resource.isObject3D) this.roots.add(resource);
+        this._collect(resource).forEach(item => this.resources.add(item));
+        return resource;
+    }
+
+    /**
+     * Disposes a single tracked resource (and, for an object, everything it uses) right away.
+     * @param {THREE.Object3D|THREE.Material|THREE.Texture|THREE.BufferGeometry} resource
+     */
+    release(resource) {
+        if (!resource) return;
+        if (resource.isObject3D) {
+            this.roots.delete(resource);
+            if (resource.parent) resource.parent.remove(resource);
+        }
+        this._collect(resource).forEach(item => {
+            if (this.resources.delete(item)) item.dispose();
+        });
+    }
+
+    /**
+     * Detaches every tracked object from its parent and disposes every tracked resource.
+     */
+    dispose() {
+        this.roots.forEach(object => {
+            if (object.parent) object.parent.remove(object);
+        });
+        this.resources.forEach(item => item.dispose());
+        this.roots.clear();
+        this.resources.clear();
+    }
+
+    /**
+     * Returns how many resources of each kind are currently tracked.
+     * @returns {{geometries: number, materials: number, textures: number}}
+     */
+    getCounts() {
+        const counts = { geometries: 0, materials: 0, textures: 0 };
+        this.resources.forEach(item => {
+            if (item.isBufferGeometry) counts.geometries++;
+            else if (item.isMaterial) counts.materials++;
+            else if (item.isTexture) counts.textures++;
+        });
+        return counts;
+    }
+
+    /**
+     * Gathers the disposable resources used by a resource.
+     * @param {*} resource
+     * @returns {Array<THREE.BufferGeometry|THREE.Material|THREE.Texture>}
+     * @private
+     */
+    _collect(resource) {
+        const items = [];
+        const addMaterial = (material) => {
+            items.push(material);
+            // Any texture slot (map, alphaMap, envMap...) is a property holding a texture.
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) items.push(value);
+            });
+        };
+
+        if (resource.isObject3D) {
+            resource.traverse(object => {
+                if (object.geometry) items.push(object.geometry);
+                if (Array.isArray(object.material)) object.material.forEach(addMaterial);
+                else if (object.material) addMaterial(object.material);
+            });
+        } else if (resource.isMaterial) {
+            addMaterial(resource);
+        } else if (resource.isTexture || resource.isBufferGeometry) {
+            items.push(resource);
+        }
+        return items;
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * @file Auto-advance timing for the gallery, and the countdown shown while it runs.
+ * The slideshow only decides which image comes next and when; ArtManager moves the gallery.
+ */
+
+import ProgressPanel from './ProgressPanel.js';
+
+/**
+ * The orders in which a slideshow can visit the images.
+ * @type {string[]}
+ */
+export const SLIDESHOW_ORDERS = ['sequential', 'shuffle', 'pingpong'];
+
+/**
+ * Advances through a gallery on a timer.
+ */
+export default class Slideshow {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.dwell=8] - Seconds each image is shown.
+     * @param {string} [options.order='sequential'] - One of `SLIDESHOW_ORDERS`.
+     * @param {number} [options.resumeDelay=15] - Seconds the slideshow pauses after user input; 0 disables pausing.
+     */
+    constructor({ dwell = 8, order = 'sequential', resumeDelay = 15 } = {}) {
+        this.MIN_DWELL = 1;
+        this.dwell = Math.max(this.MIN_DWELL, dwell);
+        this.order = SLIDESHOW_ORDERS.includes(order) ? order : 'sequential';
+        this.resumeDelay = Math.max(0, resumeDelay);
+
+        this.running = false;
+        this.elapsed = 0;
+        this.pausedFor = 0;
+        this.lastIndex = -1;
+        this.direction = 1;
+        this.shuffleQueue = [];
+    }
+
+    /**
+     * Whether the slideshow is running (it may still be paused).
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Whether the timer is held by recent user input.
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.pausedFor > 0;
+    }
+
+    /**
+     * Starts the slideshow from the image currently shown.
+     */
+    start() {
+        this.running = true;
+        this.restart();
+    }
+
+    /**
+     * Stops the slideshow.
+     */
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Restarts the countdown and the order, e.g. when a different gallery is loaded.
+     */
+    restart() {
+        this.elapsed = 0;
+        this.pausedFor = 0;
+        this.lastIndex = -1;
+        this.direction = 1;
+        this.shuffleQueue = [];
+    }
+
+    /**
+     * Changes the time each image is shown.
+     * @param {number} seconds
+     */
+    setDwell(seconds) {
+        this.dwell = Math.max(this.MIN_DWELL, seconds);
+    }
+
+    /**
+     * Changes the order of the images.
+     * @param {string} order - One of `SLIDESHOW_ORDERS`.
+     */
+    setOrder(order) {
+        if (!SLIDESHOW_ORDERS.includes(order)) return;
+        this.order = order;
+        this.shuffleQueue = [];
+    }
+
+    /**
+     * Holds the timer for a while after the user has interacted with the gallery.
+     */
+    notifyInteraction() {
+        if (!this.running || this.resumeDelay === 0) return;
+        this.pausedFor = this.resumeDelay;
+        this.elapsed = 0;
+    }
+
+    /**
+     * Returns the fraction of the current image's dwell time that has passed.
+     * @returns {number} A value from 0 to 1.
+     */
+    getProgress() {
+        return Math.min(1, this.elapsed / this.dwell);
+    }
+
+    /**
+     * Returns the seconds left before the next image, not counting any pause.
+     * @returns {number}
+     */
+    getRemainingTime() {
+        return Math.max(0, this.dwell - this.elapsed);
+    }
+
+    /**
+     * Advances the timer.
+     * @param {number} delta - Seconds since the last frame.
+     * @param {number} currentIndex - The index of the image currently shown.
+     * @param {number} count - The number of images in the gallery.
+     * @param {boolean} [held=false] - Whether something else (e.g. an open menu) holds the slideshow.
+     * @returns {number|null} The index to show next, or null to stay on the current image.
+     */
+    update(delta, currentIndex, count, held = false) {
+        if (!this.running || count < 2) return null;
+
+        // The image was changed by hand; give it a full dwell time.
+        if (currentIndex !== this.lastIndex) {
+            this.lastIndex = currentIndex;
+            this.elapsed = 0;
+        }
+        if (held) return null;
+        if (this.pausedFor > 0) {
+            this.pausedFor = Math.max(0, this.pausedFor - delta);
+            return null;
+        }
+
+        this.elapsed += delta;
+        if (this.elapsed < this.dwell) return null;
+
+        const next = this._getNextIndex(currentIndex, count);
+        this.lastIndex = next;
+        this.elapsed = 0;
+        return next;
+    }
+
+    /**
+     * Picks the next image according to the order.
+     * @param {number} currentIndex
+     * @param {number} count
+     * @returns {number}
+     * @private
+     */
+    _getNextIndex(currentIndex, count) {
+        if (this.order === 'pingpong') {
+            if (currentIndex + this.direction >= count || currentIndex + this.direction < 0) this.direction = -this.direction;
+            return currentIndex + this.direction;
+        }
+
+        if (this.order === 'shuffle') {
+            this.shuffleQueue = this.shuffleQueue.filter(index => index < count && index !== currentIndex);
+            if (this.shuffleQueue.length === 0) {
+                // Visit every other image once, in random order, before any repeats.
+                for (let i = 0; i < count; i++) {
+                    if (i !== currentIndex) this.shuffleQueue.push(i);
+                }
+                for (let i = this.shuffleQueue.length - 1; i > 0; i--) {
+                    const j = Math.floor(Math.random() * (i + 1));
+                    [this.shuffleQueue[i], this.shuffleQueue[j]] = [this.shuffleQueue[j], this.shuffleQueue[i]];
+                }
+            }
+            return this.shuffleQueue.shift();
+        }
+
+        return (currentIndex + 1) % count;
+    }
+}
+
+/**
+ * A small heads-up panel under the view showing the time left on the current image.
+ */
+export class SlideshowIndicator extends ProgressPanel {
+    /**
+     * @param {THREE.PerspectiveCamera} camera - The camera the panel is attached to.
+     */
+    constructor(camera) {
+        super(camera, { name: 'SlideshowIndicator', width: 256, height: 48, size: 0.25, y: -0.32 });
+    }
+
+    /**
+     * Redraws the panel, creating it if needed.
+     * @param {Slideshow} slideshow - The slideshow to show the state of.
+     */
+    update(slideshow) {
+        const progress = slideshow.isPaused() ? 0 : slideshow.getProgress();
+        const label = slideshow.isPaused() ? 'Slideshow paused' : `Next in ${Math.ceil(slideshow.getRemainingTime())} s`;
+        this.draw(label, progress, '#007bff');
+    }
+}
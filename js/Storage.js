@@ -0,0 +1,34 @@
+/**
+ * @file Reads and writes the settings and history kept in localStorage. Storage can be unavailable (e.g. in
+ * private browsing) or hold something unreadable; both are reported with a warning and never stop the gallery.
+ */
+
+/**
+ * Reads a JSON object from localStorage.
+ * @param {string} key - The localStorage key.
+ * @param {string} description - What is stored, for the warning, e.g. 'viewing history'.
+ * @returns {object|null} The stored object, or null if there is none or it cannot be read.
+ */
+export function loadStoredObject(key, description) {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(key));
+        if (stored && typeof stored === 'object') return stored;
+    } catch (error) {
+        console.warn(`Ignoring unreadable ${description}:`, error.message);
+    }
+    return null;
+}
+
+/**
+ * Writes a value to localStorage as JSON.
+ * @param {string} key - The localStorage key.
+ * @param {*} value
+ * @param {string} description - What is stored, for the warning, e.g. 'viewing history'.
+ */
+export function saveStoredObject(key, value, description) {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${description}:`, error.message);
+    }
+}
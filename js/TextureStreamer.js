@@ -0,0 +1,270 @@
+/**
+ * @file Loads painting textures on demand within a window around the target image.
+ * Textures close to the target are loaded at full resolution, a wider band may use low-resolution
+ * versions, and everything further away is released so large galleries stay within memory limits.
+ * Loads are limited in number and ordered by distance, favouring the direction the user is moving.
+ */
+
+import { loadVideoTexture, disposeMediaTexture } from './VideoMedia.js';
+
+/**
+ * Schedules, tracks and releases the textures of one gallery.
+ */
+export default class TextureStreamer {
+    /**
+     * @param {THREE.TextureLoader} textureLoader - The loader used for every texture.
+     * @param {object} [options]
+     * @param {number} [options.windowRadius=Infinity] - Images within this many steps of the target are loaded at full resolution.
+     * @param {number} [options.lowResWindowRadius=0] - Images within this many steps use their low-resolution version, if any.
+     * @param {number} [options.maxConcurrent=4] - The maximum number of textures loading at once.
+     * @param {number} [options.releaseMargin=2] - Extra steps outside a window before a texture is released, to avoid thrashing.
+     * @param {{resolve: function(string): Promise<string>, release: function(string): void}} [options.urlResolver] - Turns
+     *        source URLs into loadable ones (e.g. blob URLs for files inside an archive) and is told when a texture
+     *        no longer needs its URL.
+     */
+    constructor(textureLoader, options = {}) {
+        this.textureLoader = textureLoader;
+        this.windowRadius = options.windowRadius !== undefined ? options.windowRadius : Infinity;
+        this.lowResWindowRadius = options.lowResWindowRadius || 0;
+        this.maxConcurrent = options.maxConcurrent || 4;
+        this.releaseMargin = options.releaseMargin !== undefined ? options.releaseMargin : 2;
+        this.urlResolver = options.urlResolver || null;
+
+        this.sources = [];
+        this.handlers = {};
+        this.states = [];
+        this.inFlight = 0;
+        this.targetIndex = -1;
+        this.direction = 1;
+        this.disposed = false;
+    }
+
+    /**
+     * Whether only part of the gallery is kept in memory.
+     * @returns {boolean}
+     */
+    isWindowed() {
+        return this.windowRadius !== Infinity;
+    }
+
+    /**
+     * Returns how many textures (of either resolution) are currently held.
+     * @returns {number}
+     */
+    getLoadedCount() {
+        return this.states.filter(state => state.texture).length;
+    }
+
+    /**
+     * Reports how far the images that should be shown now (those within the windows around the target) have loaded.
+     * @returns {{loaded: number, failed: number, total: number}} An image counts as failed when the resolution it
+     *     needs could not be loaded.
+     */
+    getProgress() {
+        const progress = { loaded: 0, failed: 0, total: 0 };
+        if (this.targetIndex < 0) return progress;
+        this.states.forEach((state, i) => {
+            const desired = this._desiredLevel(i);
+            if (desired === 'none') return;
+            progress.total++;
+            if (state.level === desired || state.level === 'full') progress.loaded++;
+            else if (state.failedLevels.has(desired)) progress.failed++;
+        });
+        return progress;
+    }
+
+    /**
+     * Sets the images to stream and the handlers notified as textures come and go.
+     * @param {Array<{url: string, lowResUrl: (string|null), type: (string|undefined)}>} sources - One entry per painting.
+     *        Sources of type 'video' are loaded as video textures; their `lowResUrl` is a still poster image.
+     * @param {object} handlers
+     * @param {function(number, THREE.Texture, string): void} handlers.onLoad - Called with the index, texture and level ('low' or 'full').
+     * @param {function(number): void} handlers.onRelease - Called before the texture of an index is disposed.
+     * @param {function(number, string, *): void} [handlers.onError] - Called with the index, URL and error when a load fails.
+     */
+    setSources(sources, handlers) {
+        this.sources = sources;
+        this.handlers = handlers;
+        this.states = sources.map(() => ({ level: 'none', texture: null, url: null, pending: null, failedLevels: new Set() }));
+        this.targetIndex = -1;
+    }
+
+    /**
+     * Moves the window to a new target image and schedules loads and releases accordingly.
+     * Cheap to call every frame: nothing happens unless the target changed.
+     * @param {number} index - The index of the target image.
+     */
+    setTarget(index) {
+        if (index === this.targetIndex || this.sources.length === 0) return;
+
+        if (this.targetIndex >= 0) {
+            const step = this._signedDistance(this.targetIndex, index);
+            if (step !== 0) this.direction = Math.sign(step);
+        }
+        this.targetIndex = index;
+        this._releaseOutOfRange();
+        this._schedule();
+    }
+
+    /**
+     * Releases every texture and ignores any load that is still in flight.
+     */
+    dispose() {
+        this.disposed = true;
+        this.states.forEach((state, i) => this._release(i));
+        this.sources = [];
+        this.states = [];
+    }
+
+    /**
+     * The shortest signed number of steps from one index to another, wrapping around the gallery.
+     * @private
+     */
+    _signedDistance(from, to) {
+        const count = this.sources.length;
+        let d = (to - from) % count;
+        if (d > count / 2) d -= count;
+        if (d < -count / 2) d += count;
+        return d;
+    }
+
+    /**
+     * The resolution an image should have, given its distance from the target.
+     * @private
+     */
+    _desiredLevel(index, margin = 0) {
+        const distance = Math.abs(this._signedDistance(this.targetIndex, index));
+        if (distance <= this.windowRadius + margin) return 'full';
+        if (this.sources[index].lowResUrl && distance <= this.lowResWindowRadius + margin) return 'low';
+        return 'none';
+    }
+
+    /**
+     * Lower values load first. Images ahead of the user cost half as much as those behind.
+     * @private
+     */
+    _priority(index) {
+        const d = this._signedDistance(this.targetIndex, index);
+        return Math.sign(d) === this.direction ? Math.abs(d) : Math.abs(d) * 2;
+    }
+
+    /**
+     * @private
+     */
+    _releaseOutOfRange() {
+        this.states.forEach((state, i) => {
+            if (state.level === 'none') return;
+            const desired = this._desiredLevel(i, this.releaseMargin);
+            if (desired === 'none' || (desired === 'low' && state.level === 'full')) {
+                this._release(i);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _release(index) {
+        const state = this.states[index];
+        if (!state || !state.texture) return;
+        if (this.handlers.onRelease) this.handlers.onRelease(index);
+        this._disposeTexture(state.texture, state.url);
+        state.texture = null;
+        state.url = null;
+        state.level = 'none';
+    }
+
+    /**
+     * Disposes a texture and lets the URL resolver know its URL, if it still holds one, is no longer used.
+     * @private
+     */
+    _disposeTexture(texture, url) {
+        disposeMediaTexture(texture);
+        if (this.urlResolver && url) this.urlResolver.release(url);
+    }
+
+    /**
+     * Starts as many of the most urgent loads as the concurrency limit allows.
+     * @private
+     */
+    _schedule() {
+        if (this.disposed) return;
+
+        const candidates = [];
+        this.states.forEach((state, i) => {
+            if (state.pending) return;
+            const desired = this._desiredLevel(i);
+            if (desired === 'full' && state.level !== 'full' && !state.failedLevels.has('full')) {
+                candidates.push({ index: i, level: 'full' });
+            } else if (desired === 'low' && state.level === 'none' && !state.failedLevels.has('low')) {
+                candidates.push({ index: i, level: 'low' });
+            }
+        });
+        candidates.sort((a, b) => this._priority(a.index) - this._priority(b.index));
+
+        for (const candidate of candidates) {
+            if (this.inFlight >= this.maxConcurrent) break;
+            this._load(candidate.index, candidate.level);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _load(index, level) {
+        const state = this.states[index];
+        const source = this.sources[index];
+        const url = level === 'full' ? source.url : source.lowResUrl;
+        state.pending = level;
+        this.inFlight++;
+
+        const isVideo = level === 'full' && source.type === 'video';
+        const loadMedia = isVideo
+            ? loadVideoTexture
+            : (loadUrl, onLoad, onError) => this.textureLoader.load(loadUrl, onLoad, undefined, onError);
+        const load = this.urlResolver
+            ? (sourceUrl, onLoad, onError) => this.urlResolver.resolve(sourceUrl)
+                .then(loadUrl => loadMedia(loadUrl, onLoad, onError), onError)
+            : loadMedia;
+
+        load(
+            url,
+            (texture) => {
+                this.inFlight--;
+                // The gallery may have been switched while this texture was loading.
+                if (this.disposed || this.states[index] !== state) {
+                    this._disposeTexture(texture, url);
+                    return;
+                }
+                state.pending = null;
+
+                const desired = this._desiredLevel(index, this.releaseMargin);
+                const stillWanted = desired === 'full' || (desired === 'low' && level === 'low');
+                if (!stillWanted) {
+                    this._disposeTexture(texture, url);
+                } else {
+                    const previous = state.texture;
+                    const previousUrl = state.url;
+                    state.texture = texture;
+                    state.level = level;
+                    // Images are decoded by now; only videos keep reading from their URL.
+                    state.url = isVideo ? url : null;
+                    if (!isVideo && this.urlResolver) this.urlResolver.release(url);
+                    this.handlers.onLoad(index, texture, level);
+                    // A low-resolution texture is kept until its replacement is on screen.
+                    if (previous) this._disposeTexture(previous, previousUrl);
+                }
+                this._schedule();
+            },
+            (error) => {
+                this.inFlight--;
+                if (this.urlResolver) this.urlResolver.release(url);
+                if (this.disposed || this.states[index] !== state) return;
+                state.pending = null;
+                state.failedLevels.add(level);
+                if (this.handlers.onError) this.handlers.onError(index, url, error);
+                this._schedule();
+            }
+        );
+    }
+}
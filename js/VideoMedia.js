@@ -0,0 +1,69 @@
+/**
+ * @file Helpers for showing video files as painting textures.
+ * Videos are loaded into detached `<video>` elements that start muted and looping, so the
+ * browser allows them to autoplay once the painting becomes the target.
+ */
+
+/**
+ * Loads a video and wraps it in a texture once its first frame is available.
+ * Mirrors the callback signature of `THREE.TextureLoader.load`.
+ * @param {string} url - The video URL.
+ * @param {function(THREE.VideoTexture): void} onLoad - Called with the texture when the video can be shown.
+ * @param {function(*): void} [onError] - Called if the video cannot be loaded.
+ */
+export function loadVideoTexture(url, onLoad, onError) {
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    const cleanup = () => {
+        video.removeEventListener('loadeddata', handleLoaded);
+        video.removeEventListener('error', handleError);
+    };
+    const handleLoaded = () => {
+        cleanup();
+        onLoad(new THREE.VideoTexture(video));
+    };
+    const handleError = () => {
+        cleanup();
+        releaseVideoElement(video);
+        if (onError) onError(video.error);
+    };
+
+    video.addEventListener('loadeddata', handleLoaded);
+    video.addEventListener('error', handleError);
+    video.src = url;
+    video.load();
+}
+
+/**
+ * Stops a video element and lets the browser free its decoder and buffers.
+ * @param {HTMLVideoElement} video
+ */
+export function releaseVideoElement(video) {
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+}
+
+/**
+ * Disposes a texture, first releasing the video behind it if it is a video texture.
+ * @param {THREE.Texture} texture
+ */
+export function disposeMediaTexture(texture) {
+    if (texture.isVideoTexture) releaseVideoElement(texture.image);
+    texture.dispose();
+}
+
+/**
+ * Returns the pixel size of the image or video behind a texture.
+ * @param {HTMLImageElement|HTMLVideoElement} element
+ * @returns {{width: number, height: number}}
+ */
+export function getMediaSize(element) {
+    if (element.videoWidth) return { width: element.videoWidth, height: element.videoHeight };
+    return { width: element.naturalWidth || element.width, height: element.naturalHeight || element.height };
+}
@@ -0,0 +1,147 @@
+/**
+ * @file Remembers what the viewer has looked at, in localStorage: the galleries opened most recently, the last
+ * image viewed in each gallery (where the gallery resumes), favourite galleries and starred paintings.
+ * Images are remembered by file name, so that reordering a manifest does not lose them.
+ */
+
+import { loadStoredObject, saveStoredObject } from './Storage.js';
+
+/**
+ * The localStorage key holding the history.
+ * @type {string}
+ */
+const STORAGE_KEY = 'xr-gallery.history';
+
+/**
+ * How many galleries the "Recent" list keeps.
+ * @type {number}
+ */
+const MAX_RECENT = 6;
+
+/**
+ * Holds the viewing history and saves every change.
+ */
+export default class ViewingHistory {
+    constructor() {
+        this.data = this._load();
+    }
+
+    /**
+     * Records that an image is being viewed: it becomes the gallery's resume point, and the gallery moves to the
+     * front of the recent list.
+     * @param {string} gallery - The gallery's path below /images.
+     * @param {string} file - The image file, as listed in the manifest.
+     */
+    recordView(gallery, file) {
+        if (this.data.lastImage[gallery] === file && this.data.recent[0] === gallery) return;
+        this.data.lastImage[gallery] = file;
+        this.data.recent = [gallery, ...this.data.recent.filter(name => name !== gallery)].slice(0, MAX_RECENT);
+        this._save();
+    }
+
+    /**
+     * Returns the image last viewed in a gallery.
+     * @param {string} gallery
+     * @returns {string|null} The image file, or null if the gallery has not been viewed.
+     */
+    getLastImage(gallery) {
+        return this.data.lastImage[gallery] || null;
+    }
+
+    /**
+     * Returns the galleries viewed most recently, most recent first.
+     * @returns {string[]}
+     */
+    getRecent() {
+        return this.data.recent.slice();
+    }
+
+    /**
+     * Returns the favourite galleries, in the order they were added.
+     * @returns {string[]}
+     */
+    getFavourites() {
+        return this.data.favourites.slice();
+    }
+
+    /**
+     * @param {string} gallery
+     * @returns {boolean}
+     */
+    isFavourite(gallery) {
+        return this.data.favourites.includes(gallery);
+    }
+
+    /**
+     * Adds a gallery to the favourites, or removes it.
+     * @param {string} gallery
+     * @returns {boolean} Whether the gallery is a favourite now.
+     */
+    toggleFavourite(gallery) {
+        const favourite = !this.isFavourite(gallery);
+        if (favourite) this.data.favourites.push(gallery);
+        else this.data.favourites = this.data.favourites.filter(name => name !== gallery);
+        this._save();
+        return favourite;
+    }
+
+    /**
+     * Returns the starred paintings, most recently starred first.
+     * @returns {Array<{gallery: string, file: string, title: string|null, picture: string|null}>} `picture` is the file
+     *     to show as a preview (the image, or the thumbnail of a video), if there is one.
+     */
+    getStarred() {
+        return this.data.starred.slice();
+    }
+
+    /**
+     * @param {string} gallery
+     * @param {string} file
+     * @returns {boolean}
+     */
+    isStarred(gallery, file) {
+        return this.data.starred.some(star => star.gallery === gallery && star.file === file);
+    }
+
+    /**
+     * Stars a painting, or removes its star.
+     * @param {string} gallery
+     * @param {{file: string, title: string|null, thumb: string|null, type: string}} image - The normalized manifest entry.
+     * @returns {boolean} Whether the painting is starred now.
+     */
+    toggleStar(gallery, image) {
+        const starred = !this.isStarred(gallery, image.file);
+        if (starred) {
+            const picture = image.thumb || (image.type === 'image' ? image.file : null);
+            this.data.starred.unshift({ gallery, file: image.file, title: image.title || null, picture });
+        } else {
+            this.data.starred = this.data.starred.filter(star => star.gallery !== gallery || star.file !== image.file);
+        }
+        this._save();
+        return starred;
+    }
+
+    /**
+     * Loads the history from localStorage.
+     * @returns {{recent: string[], lastImage: Object<string, string>, favourites: string[], starred: object[]}}
+     * @private
+     */
+    _load() {
+        const stored = loadStoredObject(STORAGE_KEY, 'viewing history');
+        if (!stored) return { recent: [], lastImage: {}, favourites: [], starred: [] };
+        return {
+            recent: Array.isArray(stored.recent) ? stored.recent : [],
+            lastImage: stored.lastImage && typeof stored.lastImage === 'object' ? stored.lastImage : {},
+            favourites: Array.isArray(stored.favourites) ? stored.favourites : [],
+            starred: Array.isArray(stored.starred) ? stored.starred.filter(star => star && star.gallery && star.file) : []
+        };
+    }
+
+    /**
+     * Saves the history to localStorage.
+     * @private
+     */
+    _save() {
+        saveStoredObject(STORAGE_KEY, this.data, 'viewing history');
+    }
+}
@@ -49,7 +49,7 @@ const WebXRButton = {
                 vrButton.disabled = !supported;
                 if (supported) {
                     vrButton.onclick = () => {
-                        const sessionInit = { optionalFeatures: ['local-floor', 'bounded-floor'] };
+                        const sessionInit = { optionalFeatures: ['local-floor', 'bounded-floor', 'hand-tracking'] };
                         navigator.xr.requestSession('immersive-vr', sessionInit).then(onSessionStarted);
                     };
                 }
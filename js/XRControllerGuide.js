@@ -1,12 +1,19 @@
 /**
  * Creates and manages a simple text-based guide for WebXR controllers.
+ * The guide lists whatever the active binding profile maps, so it follows remapped buttons.
  */
 export default class XRControllerGuide {
     /**
      * @param {THREE.Group} controllerGrip The controller grip to attach the guide to.
+     * @param {Array<{title: string, items: string[]}>} sections The sections to list, e.g. from `PlayerController.describeControls`.
      */
-    constructor(controllerGrip) {
-        this.guidePanel = this._createGuidePanel();
+    constructor(controllerGrip, sections) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 1024;
+
+        // The texture is created by setSections, once the canvas has its size.
+        const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide, transparent: true });
+        this.guidePanel = new THREE.Mesh(new THREE.PlaneGeometry(0.5, 0.5), material);
         this.guidePanel.visible = false; // Start hidden
         
         // Position the panel relative to the controller
@@ -14,18 +21,32 @@ export default class XRControllerGuide {
         this.guidePanel.rotation.x = -0.5;
 
         controllerGrip.add(this.guidePanel);
+        this.setSections(sections);
     }
 
-    _createGuidePanel() {
-        const canvas = document.createElement('canvas');
+    /**
+     * Redraws the guide with new content. The panel grows or shrinks to fit it.
+     * @param {Array<{title: string, items: string[]}>} sections
+     */
+    setSections(sections) {
+        const canvas = this.canvas;
         const ctx = canvas.getContext('2d');
-        const canvasWidth = 1024;
-        const canvasHeight = 768;
+        const canvasWidth = canvas.width;
         const padding = 40;
         const lineHeight = 60;
 
-        canvas.width = canvasWidth;
-        canvas.height = canvasHeight;
+        const contentHeight = sections.reduce((height, section) => height + lineHeight * (1.7 + section.items.length), 0);
+        const canvasHeight = Math.max(256, Math.ceil(padding * 2 + contentHeight));
+        const material = this.guidePanel.material;
+        if (canvas.height !== canvasHeight || !material.map) {
+            canvas.height = canvasHeight;
+            // WebGL2 allocates a texture's storage once, at its first size, so a resized canvas needs a new texture.
+            if (material.map) material.map.dispose();
+            material.map = new THREE.CanvasTexture(canvas);
+            material.needsUpdate = true;
+        } else {
+            ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+        }
 
         // Panel Background
         ctx.fillStyle = "rgba(20, 20, 20, 0.85)";
@@ -39,44 +60,26 @@ export default class XRControllerGuide {
         ctx.textAlign = 'left';
         ctx.textBaseline = 'top';
 
-        const controls = [
-            { title: 'Left Controller', font: 'bold 50px sans-serif', items: [
-                'Thumbstick: Move / Turn / Scroll Menu',
-                'Thumbstick Click: Open/Close Menu',
-                'Trigger: Toggle Info / Select Menu Item',
-                'Grip: Clutch Move',
-                'X Button: Next Image',
-                'Y Button: Previous Image',
-            ]},
-            { title: 'Right Controller', font: 'bold 50px sans-serif', items: [
-                'A Button: Toggle In-VR Console',
-                'Thumbstick: Scroll In-VR Console',
-            ]}
-        ];
-
         let yPos = padding;
 
-        controls.forEach(controlSet => {
+        sections.forEach(controlSet => {
             // Draw Title
-            ctx.font = controlSet.font;
+            ctx.font = 'bold 50px sans-serif';
             ctx.fillText(controlSet.title, padding, yPos);
             yPos += lineHeight * 1.2;
 
             // Draw Items
             ctx.font = '40px sans-serif';
             controlSet.items.forEach(item => {
-                ctx.fillText(`• ${item}`, padding + 20, yPos);
+                ctx.fillText(`• ${item}`, padding + 20, yPos, canvasWidth - padding * 2 - 20);
                 yPos += lineHeight;
             });
             yPos += lineHeight * 0.5; // Extra space between sections
         });
 
-
-        const texture = new THREE.CanvasTexture(canvas);
-        const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide, transparent: true });
-        const panelMesh = new THREE.Mesh(new THREE.PlaneGeometry(0.5, 0.375), material);
-        
-        return panelMesh;
+        // Keep the text the same size on the panel however many lines there are.
+        this.guidePanel.scale.y = canvasHeight / canvasWidth;
+        material.map.needsUpdate = true;
     }
 
     show() {
@@ -0,0 +1,283 @@
+/**
+ * @file Opens a `.zip` archive as a gallery, in the browser, without extracting it first.
+ * The archive is downloaded once; its central directory lists the images, and each image is decompressed into a
+ * blob only when its texture is needed, then released with the texture. A `manifest.json` inside the archive is
+ * used if there is one; otherwise the manifest is built from the image files, in natural order.
+ * Deflated entries are decompressed with the browser's `DecompressionStream`.
+ * `ZipArchiveProvider` opens archive galleries for the gallery provider registry.
+ */
+
+import { findGalleryFiles, createFileListManifest } from './Manifest.js';
+import { GalleryProvider } from './GalleryProviders.js';
+import ObjectUrlCache from './ObjectUrlCache.js';
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Content types by file extension, so that videos play from their blobs.
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime'
+};
+
+/**
+ * Whether a gallery name refers to a zip archive rather than a folder.
+ * @param {string|null} name - A gallery name, as in the `f` URL parameter or galleries.json.
+ * @returns {boolean}
+ */
+export function isZipGalleryName(name) {
+    return typeof name === 'string' && name.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Reads the entries of a ZIP archive from its central directory.
+ * @param {ArrayBuffer} buffer - The complete archive.
+ * @returns {Map<string, {method: number, compressedSize: number, localHeaderOffset: number}>} Files by name; folders
+ *     are left out.
+ */
+function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    // The end record is 22 bytes plus an optional comment of up to 65535 bytes.
+    let eocd = -1;
+    for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 22 - 0xffff); offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            eocd = offset;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('The file is not a zip archive.');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff || entryCount === 0xffff) throw new Error('ZIP64 archives are not supported.');
+
+    const utf8 = new TextDecoder('utf-8');
+    const latin1 = new TextDecoder('latin1');
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) throw new Error(`The archive is corrupt (entry ${i}).`);
+        const flags = view.getUint16(offset + 8, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        // Bit 11 marks UTF-8 names; anything else is treated as Latin-1, which is close enough to CP437 for file names.
+        const nameBytes = new Uint8Array(buffer, offset + 46, nameLength);
+        const name = ((flags & 0x800) ? utf8 : latin1).decode(nameBytes).replace(/\\/g, '/');
+
+        if (!name.endsWith('/')) {
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localHeaderOffset: view.getUint32(offset + 42, true)
+            });
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * A gallery read from a zip archive. Also resolves the painting URLs of the gallery to blob URLs for the
+ * TextureStreamer (see its `urlResolver` option).
+ */
+export default class ZipGallery {
+    /**
+     * Downloads and opens an archive.
+     * @param {string} url - The archive's URL, e.g. 'images/Holiday.zip'. Paintings are addressed below it, as if it
+     *     were a folder: 'images/Holiday.zip/001.jpg'.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the download.
+     * @returns {Promise<ZipGallery>}
+     */
+    static open(url, { signal } = {}) {
+        const name = url.substring(url.lastIndexOf('/') + 1);
+        return fetch(url, { signal })
+            .then(response => {
+                if (!response.ok) throw new Error(`${name} could not be loaded (${response.status} ${response.statusText}).`);
+                return response.arrayBuffer();
+            })
+            .then(buffer => {
+                try {
+                    return new ZipGallery(url, buffer);
+                } catch (error) {
+                    throw new Error(`${name} could not be read: ${error.message}`);
+                }
+            });
+    }
+
+    /**
+     * @param {string} url - The archive's URL.
+     * @param {ArrayBuffer} buffer - The complete archive.
+     */
+    constructor(url, buffer) {
+        this.baseUrl = `${url}/`;
+        this.buffer = buffer;
+        this.entries = readZipEntries(buffer);
+        this.objectUrls = new ObjectUrlCache();
+
+        const { root, manifestPath, mediaFiles } = findGalleryFiles(Array.from(this.entries.keys()));
+        this.root = root;
+        this.manifestEntry = manifestPath;
+        this.mediaFiles = mediaFiles;
+    }
+
+    /**
+     * Returns the gallery's manifest: the archive's own, or one listing its images and videos.
+     * @returns {Promise<object>} The raw manifest, to be normalized like one loaded from a folder.
+     */
+    getManifest() {
+        if (!this.manifestEntry) return Promise.resolve(createFileListManifest(this.mediaFiles));
+        return this._readEntry(this.manifestEntry)
+            .then(bytes => JSON.parse(new TextDecoder('utf-8').decode(bytes)))
+            .catch(() => {
+                throw new Error('manifest.json in the archive is not valid JSON.');
+            });
+    }
+
+    /**
+     * Resolves a painting URL below the archive to a blob URL, decompressing the file.
+     * @param {string} url - E.g. 'images/Holiday.zip/001.jpg'.
+     * @returns {Promise<string>}
+     */
+    resolve(url) {
+        const file = url.startsWith(this.baseUrl) ? url.substring(this.baseUrl.length) : url;
+        const entryName = this.root + file;
+        if (!this.entries.has(entryName)) return Promise.reject(new Error(`'${file}' is not in the archive.`));
+
+        const dot = entryName.lastIndexOf('.');
+        const type = CONTENT_TYPES[entryName.substring(dot).toLowerCase()] || '';
+        return this.objectUrls.acquire(url, () => this._readEntry(entryName).then(bytes => new Blob([bytes], { type })));
+    }
+
+    /**
+     * Releases a blob URL obtained from `resolve` once nothing uses it anymore.
+     * @param {string} url - The painting URL that was resolved.
+     */
+    release(url) {
+        this.objectUrls.release(url);
+    }
+
+    /**
+     * Releases every blob URL and the archive itself.
+     */
+    dispose() {
+        this.objectUrls.clear();
+        this.entries.clear();
+        this.buffer = null;
+    }
+
+    /**
+     * Reads and decompresses one entry.
+     * @param {string} entryName
+     * @returns {Promise<Uint8Array|ArrayBuffer>}
+     * @private
+     */
+    _readEntry(entryName) {
+        const entry = this.entries.get(entryName);
+        if (!entry || !this.buffer) return Promise.reject(new Error(`'${entryName}' is not in the archive.`));
+        const view = new DataView(this.buffer);
+        const offset = entry.localHeaderOffset;
+        if (view.getUint32(offset, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+            return Promise.reject(new Error(`The archive is corrupt at '${entryName}'.`));
+        }
+        // The local header repeats the name and may carry a different extra field.
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = new Uint8Array(this.buffer, dataStart, entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) return Promise.resolve(data);
+        if (entry.method === METHOD_DEFLATE) {
+            if (typeof DecompressionStream === 'undefined') {
+                return Promise.reject(new Error('This browser cannot decompress zip archives.'));
+            }
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).arrayBuffer();
+        }
+        return Promise.reject(new Error(`Unsupported compression method ${entry.method} for '${entryName}'.`));
+    }
+}
+
+/**
+ * Opens the galleries whose names end in `.zip`, archives in /images. They are listed by `galleries.json`.
+ * One archive is kept open at a time, for the gallery being shown.
+ */
+export class ZipArchiveProvider extends GalleryProvider {
+    constructor() {
+        super('zip');
+        this.archive = null;
+        this.archiveName = null;
+        // Counts the archives requested, so that one arriving after it was released is dropped.
+        this.openCount = 0;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    handles(name) {
+        return isZipGalleryName(name);
+    }
+
+    /**
+     * Downloads the archive and reads its manifest. The archive is kept to resolve the painting URLs.
+     * @param {string} name - The archive's name below /images.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<object|null>}
+     */
+    loadManifest(name, { signal } = {}) {
+        this.release(this.archiveName);
+        const openCount = ++this.openCount;
+        return ZipGallery.open(`images/${name}`, { signal }).then(archive => {
+            if (openCount !== this.openCount) {
+                archive.dispose();
+                return null;
+            }
+            this.archive = archive;
+            this.archiveName = name;
+            return archive.getManifest();
+        });
+    }
+
+    /**
+     * Painting URLs below the archive are turned into blob URLs by the open archive.
+     * @param {string} name
+     * @returns {ZipGallery|null}
+     */
+    getUrlResolver(name) {
+        return name === this.archiveName ? this.archive : null;
+    }
+
+    /**
+     * Covers inside archives would need the whole archive downloaded, so archive galleries have none.
+     * @returns {Promise<null>}
+     */
+    resolveCover(gallery) {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Closes the archive, or drops it if it is still downloading.
+     * @param {string} name
+     */
+    release(name) {
+        this.openCount++;
+        if (!this.archive) return;
+        this.archive.dispose();
+        this.archive = null;
+        this.archiveName = null;
+    }
+}
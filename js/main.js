@@ -10,18 +10,26 @@ import WebXRButton from './WebXRButton.js';
 import ArtManager from './ArtManager.js';
 import PlayerController from './PlayerController.js';
 import GalleryMenu from './GalleryMenu.js';
+import CoViewingSession, { getCoViewingOptions, getSeatOffset } from './CoViewing.js';
+import { GalleryProviderRegistry, StaticFolderProvider } from './GalleryProviders.js';
+import { ZipArchiveProvider } from './ZipGallery.js';
+import { IiifProvider } from './IiifManifest.js';
+import { LocalFilesProvider, readDroppedFiles, readPickedFiles } from './LocalGallery.js';
 
 // Core Three.js components
 let camera, scene, renderer, clock, textureLoader;
 
 // Player and XR controller objects
-let player, controller1, controller2, controllerGrip1, controllerGrip2;
+let player, controller1, controller2, controllerGrip1, controllerGrip2, hand1, hand2;
 
 // Application state and modules
 let currentSession = null;
 let controllerGuide = null;
 let inVRConsole = null;
 let artManager, playerController, galleryMenu;
+let galleryProviders, localFiles;
+let dropMessageTimer = null;
+let coViewing = null;
 
 /**
  * The default height of the player in the virtual world, used for camera positioning and artwork placement.
@@ -72,10 +80,54 @@ function init() {
     // --- Module Instantiation ---
     // The main script acts as an orchestrator, passing necessary components and callbacks to each module.
     inVRConsole = new InVRConsole(camera);
-    artManager = new ArtManager(scene, camera, renderer, textureLoader, PLAYER_HEIGHT);
-    galleryMenu = new GalleryMenu(camera, renderer, controller1, () => {
-        artManager.resetGallery();
+    // Galleries are opened by the first provider that claims their name; folders below /images are the default.
+    // Further back ends are registered here, and their galleries appear in the menus alongside the others.
+    // Local files come first: their names start with a prefix, and a dropped folder called e.g. 'Scans.zip' must
+    // not be taken for an archive.
+    localFiles = new LocalFilesProvider();
+    galleryProviders = new GalleryProviderRegistry()
+        .register(localFiles)
+        .register(new StaticFolderProvider(), { isDefault: true })
+        .register(new ZipArchiveProvider())
+        .register(new IiifProvider());
+    artManager = new ArtManager(scene, camera, renderer, textureLoader, PLAYER_HEIGHT, galleryProviders, {
+        // The layout is only known once the manifest has loaded, so re-place the player then.
+        onLayoutChange: () => resetPlayerState(),
+        getControlHelp: (isVR) => playerController.describeControls(isVR),
+        onImageChange: (gallery, index) => {
+            // The other viewers cannot open files from this computer.
+            if (coViewing && !localFiles.handles(gallery)) coViewing.shareView(gallery, index);
+        }
+    });
+    galleryMenu = new GalleryMenu(camera, renderer, [controller1, controller2], (startFile) => {
+        artManager.resetGallery(startFile);
         resetPlayerState();
+    }, {
+        providers: galleryProviders,
+        slideshow: {
+            getSettings: () => artManager.getSlideshowSettings(),
+            onToggle: () => artManager.toggleSlideshow(),
+            onOrderChange: () => artManager.cycleSlideshowOrder(),
+            onDwellChange: () => artManager.cycleSlideshowDwell()
+        },
+        controls: {
+            getActions: (isVR) => playerController.getRebindableActions(isVR),
+            onRebind: (action, isVR, onDone) => playerController.rebindAction(action, isVR, onDone),
+            onReset: () => playerController.resetBindings(),
+            getDominantHand: () => playerController.getDominantHand(),
+            onDominantHandChange: () => playerController.toggleDominantHand()
+        },
+        comfort: {
+            getSettings: () => playerController.getLocomotionSettings(),
+            onMovementChange: () => playerController.cycleMovementMode(),
+            onTurnChange: () => playerController.cycleTurnMode(),
+            onVignetteChange: () => playerController.toggleVignette()
+        },
+        library: {
+            history: artManager.history,
+            isStarred: () => artManager.isTargetStarred(),
+            onStarToggle: () => artManager.toggleStar()
+        }
     });
     playerController = new PlayerController(player, camera, controller1, controller2, {
         onMenuToggle: () => galleryMenu.toggleMenu(),
@@ -88,17 +140,54 @@ function init() {
             else inVRConsole.show();
         },
         onControllerInfoToggle: () => playerController.toggleControllerInfoVisibility(),
-        onMenuItemSelect: () => galleryMenu.selectCurrentItem(),
+        onMenuItemSelect: (pointer) => galleryMenu.selectCurrentItem(pointer),
         onVRMenuScroll: (delta) => galleryMenu.scrollVRMenu(delta),
-        onConsoleScroll: (dx, dy) => inVRConsole.scroll(dx, dy)
+        onConsoleScroll: (dx, dy) => inVRConsole.scroll(dx, dy),
+        onActivate: () => artManager.activateTarget(),
+        onBack: () => {
+            artManager.closePanorama();
+            artManager.closeInspection();
+        },
+        onInspectToggle: () => artManager.toggleInspection(),
+        onSlideshowToggle: () => artManager.toggleSlideshow(),
+        onStarToggle: () => artManager.toggleStar(),
+        onInteraction: () => artManager.notifyInteraction(),
+        onInspectZoom: (factor) => artManager.zoomInspection(factor),
+        onInspectPan: (dx, dy) => artManager.panInspection(dx, dy),
+        onVideoPlayPause: () => artManager.toggleVideoPlayback(),
+        onVideoSeek: (seconds) => artManager.seekVideo(seconds),
+        onVideoMuteToggle: () => artManager.toggleVideoMute(),
+        onBindingsChange: () => {
+            // Help text shows whatever is bound now, so redraw it when bindings or the controller change.
+            if (controllerGuide) controllerGuide.setSections(playerController.describeControls(true).sections);
+            artManager.refreshWelcomeMessage();
+        }
     });
 
+    playerController.setHands(hand1, hand2);
+
+    // A `room` URL parameter joins a shared viewing session.
+    const coViewingOptions = getCoViewingOptions();
+    if (coViewingOptions) {
+        coViewing = new CoViewingSession(scene, coViewingOptions, {
+            onView: followSharedView,
+            getPose: getCoViewingPose,
+            onSeat: () => resetPlayerState()
+        });
+    }
+
+    // Expose the resource counters for checking, from the browser console, that memory stays flat across galleries.
+    window.galleryDebug = { getResourceCounters };
+
     // --- Global Event Listeners ---
     renderer.xr.addEventListener('sessionstart', onSessionStart);
     renderer.xr.addEventListener('sessionend', onSessionEnd);
     window.addEventListener('resize', onWindowResize);
+    window.addEventListener('popstate', onPopState);
     window.addEventListener('keydown', (e) => playerController.handleKeyDown(e));
     window.addEventListener('keyup', (e) => playerController.handleKeyUp(e));
+    renderer.domElement.addEventListener('wheel', (e) => playerController.handleWheel(e), { passive: true });
+    setupLocalFiles();
     
     // --- Click-and-drag mouse-look listeners ---
     renderer.domElement.addEventListener('mousedown', (event) => {
@@ -132,6 +221,8 @@ function init() {
 function onSessionStart(event) {
     currentSession = renderer.xr.getSession();
     const session = event.target.getSession();
+    // Close any open panorama first so it does not restore the desktop background afterwards.
+    artManager.closePanorama();
 
     // Set background based on the environment blend mode (e.g., opaque for VR, transparent for AR)
     if (session.environmentBlendMode === 'opaque') {
@@ -141,7 +232,7 @@ function onSessionStart(event) {
     }
     
     // Initialize and link the controller guide for in-VR instructions
-    controllerGuide = new XRControllerGuide(controllerGrip2);
+    controllerGuide = new XRControllerGuide(controllerGrip2, playerController.describeControls(true).sections);
     playerController.setControllerGuide(controllerGuide);
 
     resetExperience(); 
@@ -158,10 +249,12 @@ function onSessionEnd() {
         playerController.setControllerGuide(null);
     }
     currentSession = null;
+    artManager.closePanorama();
     scene.background = new THREE.Color(0x101010);
     
     resetPlayerState(); // Reset player and camera state for desktop
     galleryMenu.hideMenu();
+    artManager.refreshWelcomeMessage(); // Back to the keyboard controls
 }
 
 /**
@@ -176,6 +269,11 @@ function setupControllers() {
     
     // Add controllers to the player group so they move with the player
     player.add(controller1, controller2, controllerGrip1, controllerGrip2);
+
+    // Tracked hands are read for gestures; the renderer only updates hands that have been requested.
+    hand1 = renderer.xr.getHand(0);
+    hand2 = renderer.xr.getHand(1);
+    player.add(hand1, hand2);
 }
 
 /**
@@ -189,10 +287,12 @@ function resetExperience() {
 
 /**
  * Resets the player's position and orientation.
- * Positions the player differently for VR vs. desktop mode.
+ * Positions the player differently for VR vs. desktop mode, at the start point of the active layout.
+ * In a co-viewing session, viewers start side by side, each at their own seat.
  */
 function resetPlayerState() {
-    const galleryRadius = artManager.getGalleryRadius();
+    const viewerStart = artManager.getViewerStart(new THREE.Vector3());
+    if (coViewing) viewerStart.add(getSeatOffset(coViewing.seat, new THREE.Vector3()));
     player.rotation.set(0, Math.PI, 0);
     camera.position.set(0, 0, 0);
     camera.rotation.set(0, 0, 0);
@@ -207,7 +307,19 @@ function resetPlayerState() {
     }
 
     // Set all position components at once to avoid overwriting them.
-    player.position.set(0, startY, galleryRadius - 2);
+    player.position.set(viewerStart.x, startY, viewerStart.z);
+}
+
+/**
+ * Collects resource counters from the modules that create GPU resources, along with the renderer's own totals.
+ * @returns {object} The counters, grouped by owner.
+ */
+function getResourceCounters() {
+    return {
+        artManager: artManager.getResourceCounters(),
+        galleryMenu: galleryMenu.getResourceCounters(),
+        renderer: { ...renderer.info.memory }
+    };
 }
 
 /**
@@ -219,8 +331,11 @@ function animate() {
         const delta = clock.getDelta();
         
         // Update modules that require frame-by-frame updates
+        playerController.setMovementLocked(artManager.isMovementLocked());
+        playerController.setInspecting(artManager.isInspecting());
         playerController.update(delta, renderer.xr.getSession(), galleryMenu.isMenuVisible(), inVRConsole.visible); 
-        artManager.update(galleryMenu.isMenuVisible());
+        artManager.update(galleryMenu.isMenuVisible(), delta);
+        if (coViewing) coViewing.update(delta);
         
         // The laser pointer only needs to be updated if the VR menu is visible
         if (galleryMenu.isMenuVisible() && renderer.xr.getSession()) {
@@ -232,6 +347,126 @@ function animate() {
     });
 }
 
+/**
+ * Handles the browser's back and forward buttons, which only change the URL, by bringing the scene in line with it.
+ */
+function onPopState() {
+    if (artManager.handleUrlChange()) {
+        galleryMenu.hideMenu();
+        resetPlayerState();
+    }
+}
+
+/**
+ * Moves to the gallery and image shared in a co-viewing session, through the URL, as if following a link.
+ * @param {{gallery: string, image: number}} view
+ */
+function followSharedView({ gallery, image }) {
+    const url = new URL(window.location);
+    const galleryChanged = url.searchParams.get('f') !== gallery;
+    const imageChanged = url.searchParams.get('i') !== String(image + 1);
+    url.searchParams.set('f', gallery);
+    url.searchParams.set('i', image + 1);
+    // The inspection or panorama belonged to the painting that was shown before.
+    if (galleryChanged || imageChanged) url.searchParams.delete('view');
+    if (galleryChanged) window.history.pushState(null, '', url);
+    else window.history.replaceState(window.history.state, '', url);
+    onPopState();
+}
+
+/**
+ * Lets the viewer open images from this computer: dropped onto the page, or chosen with the buttons in the menu.
+ */
+function setupLocalFiles() {
+    // Drag events fire for every element the pointer crosses, so count them to know when it has left the page.
+    let dragDepth = 0;
+    const isFileDrag = (event) => Array.from(event.dataTransfer.types || []).includes('Files');
+    window.addEventListener('dragenter', (event) => {
+        if (!isFileDrag(event)) return;
+        dragDepth++;
+        showDropMessage('Drop images or a folder to view them');
+    });
+    window.addEventListener('dragleave', (event) => {
+        if (!isFileDrag(event) || dragDepth === 0) return;
+        if (--dragDepth === 0) showDropMessage(null);
+    });
+    window.addEventListener('dragover', (event) => {
+        if (isFileDrag(event)) event.preventDefault();
+    });
+    window.addEventListener('drop', (event) => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        dragDepth = 0;
+        showDropMessage(null);
+        readDroppedFiles(event.dataTransfer)
+            .then(openLocalFiles)
+            .catch(error => showDropMessage(`The files could not be read: ${error.message}`, true));
+    });
+
+    [['local-folder-button', 'local-folder-input'], ['local-files-button', 'local-files-input']].forEach(([buttonId, inputId]) => {
+        const input = document.getElementById(inputId);
+        document.getElementById(buttonId).addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            const entries = readPickedFiles(input.files);
+            // Cleared so that choosing the same files again opens them again.
+            input.value = '';
+            if (entries.length > 0) openLocalFiles(entries);
+        });
+    });
+}
+
+/**
+ * Opens chosen files as the local gallery, through the URL like any other gallery, and lists it in the menus.
+ * @param {Array<{file: File, path: string}>} entries
+ */
+function openLocalFiles(entries) {
+    let name;
+    try {
+        name = localFiles.setFiles(entries);
+    } catch (error) {
+        showDropMessage(error.message, true);
+        return;
+    }
+    galleryMenu.loadGalleries();
+    galleryMenu.loadGallery(name);
+}
+
+/**
+ * Shows a message over the page about dropping files; errors disappear after a few seconds.
+ * @param {string|null} text - The message, or null to hide it.
+ * @param {boolean} [isError=false]
+ */
+function showDropMessage(text, isError = false) {
+    const overlay = document.getElementById('drop-overlay');
+    clearTimeout(dropMessageTimer);
+    overlay.textContent = text || '';
+    overlay.classList.toggle('active', text !== null);
+    overlay.classList.toggle('error', isError);
+    if (isError) dropMessageTimer = setTimeout(() => showDropMessage(null), 4000);
+}
+
+/**
+ * Returns the head and hand poses to show to the other viewers in a co-viewing session.
+ * Hands are the controller grips, or the wrists of tracked hands; on the desktop there are none.
+ * @returns {{head: object, hands: Array<object|null>}} World-space positions (`p`) and quaternions (`q`).
+ */
+function getCoViewingPose() {
+    const toPose = (object) => ({
+        p: object.getWorldPosition(new THREE.Vector3()).toArray(),
+        q: object.getWorldQuaternion(new THREE.Quaternion()).toArray()
+    });
+    const getHandPose = (grip, hand) => {
+        if (!renderer.xr.isPresenting) return null;
+        if (grip.visible) return toPose(grip);
+        const wrist = hand.joints && hand.joints['wrist'];
+        return hand.visible && wrist && wrist.visible ? toPose(wrist) : null;
+    };
+    return {
+        head: toPose(camera),
+        hands: [getHandPose(controllerGrip1, hand1), getHandPose(controllerGrip2, hand2)]
+    };
+}
+
 /**
  * Handles window resize events to keep the viewport and camera aspect ratio in sync.
  */
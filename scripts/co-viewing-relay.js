@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * @file Command-line co-viewing relay.
+ * Runs the WebSocket relay that lets several viewers look at a gallery together: it passes the shared gallery and
+ * image, and everyone's head and hand poses, between the viewers in the same room.
+ *
+ * Usage: node scripts/co-viewing-relay.js [options]
+ */
+
+import http from 'node:http';
+import { attachCoViewingRelay } from './lib/co-viewing-relay.js';
+import { log } from './lib/log.js';
+
+const USAGE = `Usage: node scripts/co-viewing-relay.js [options]
+
+Options:
+  --port <number>     Port to listen on (default: 8090)
+  --host <address>    Address to listen on (default: all addresses)
+  -h, --help          Show this help`;
+
+/**
+ * Parses the command-line arguments into relay options.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} The parsed options.
+ */
+function parseArgs(argv) {
+    const options = { port: 8090, host: undefined, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--port': options.port = Number(argv[++i]); break;
+            case '--host': options.host = argv[++i]; break;
+            case '-h': case '--help': options.help = true; break;
+            default: throw new Error(`Unknown option '${arg}'.`);
+        }
+    }
+    if (!Number.isInteger(options.port) || options.port <= 0 || options.port > 65535) {
+        throw new Error('--port needs a number between 1 and 65535.');
+    }
+    return options;
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`[ERROR] ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+// The relay only answers WebSocket upgrades; plain requests get a short hint.
+const server = http.createServer((request, response) => {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('This is the co-viewing relay. Connect with a WebSocket to /coview?room=<code>.\n');
+});
+attachCoViewingRelay(server, { path: '/coview', log });
+
+server.on('error', error => {
+    log('ERROR', error.message);
+    process.exit(1);
+});
+server.listen(options.port, options.host, () => {
+    log('SUCCESS', `Co-viewing relay listening on ws://${options.host || 'localhost'}:${options.port}/coview`);
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * @file Command-line gallery indexer.
+ * Scans the `images/` folder, extracts `.zip` archives, writes a `manifest.json` for each gallery
+ * folder and updates `galleries.json`. Works on Windows, macOS and Linux without PowerShell.
+ *
+ * Usage: node scripts/index-galleries.js [options]
+ */
+
+import path from 'node:path';
+import { indexGalleries } from './lib/gallery-indexer.js';
+import { log } from './lib/log.js';
+
+const USAGE = `Usage: node scripts/index-galleries.js [options]
+
+Options:
+  --images <dir>      Folder that holds the galleries (default: images)
+  --output <file>     Gallery list to write (default: galleries.json)
+  -n, --dry-run       Show what would change without writing anything
+  -i, --incremental   Skip archives and folders that have not changed since the last run
+  -p, --prune-missing Remove manifest entries whose image files no longer exist
+  -s, --sizes         Record the pixel size of images that have none in their manifest
+  -h, --help          Show this help`;
+
+/**
+ * Parses the command-line arguments into indexer options.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} The parsed options.
+ */
+function parseArgs(argv) {
+    const options = { images: 'images', output: 'galleries.json', dryRun: false, incremental: false, pruneMissing: false, sizes: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--images': options.images = argv[++i]; break;
+            case '--output': options.output = argv[++i]; break;
+            case '-n': case '--dry-run': options.dryRun = true; break;
+            case '-i': case '--incremental': options.incremental = true; break;
+            case '-p': case '--prune-missing': options.pruneMissing = true; break;
+            case '-s': case '--sizes': options.sizes = true; break;
+            case '-h': case '--help': options.help = true; break;
+            default: throw new Error(`Unknown option '${arg}'.`);
+        }
+    }
+    if (!options.images || !options.output) {
+        throw new Error('--images and --output need a value.');
+    }
+    return options;
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`[ERROR] ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (options.dryRun) log('INFO', 'Dry run: no files will be written.');
+log('INFO', `Scanning for galleries in '${options.images}'...`);
+
+indexGalleries({
+    imagesDir: path.resolve(options.images),
+    outputFile: path.resolve(options.output),
+    dryRun: options.dryRun,
+    incremental: options.incremental,
+    pruneMissing: options.pruneMissing,
+    sizes: options.sizes,
+    log
+})
+    .then(galleries => {
+        galleries.forEach(name => console.log(`  - ${name}`));
+        log('SUCCESS', options.dryRun ? `${options.output} would be updated.` : `${options.output} has been updated.`);
+    })
+    .catch(error => {
+        log('ERROR', error.message);
+        process.exit(1);
+    });
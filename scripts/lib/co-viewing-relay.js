@@ -0,0 +1,104 @@
+/**
+ * @file The relay behind co-viewing sessions. Viewers in the same room receive each other's poses, and the
+ * gallery and image chosen by whoever guides. The relay keeps the latest shared view of each room, so that
+ * late joiners start where the others are. Rooms exist while someone is in them.
+ *
+ * Messages are JSON objects with a `type`:
+ * - from viewers: `hello` ({name, role}), `view` ({gallery, image}) and `pose` ({head, hands});
+ * - from the relay: `welcome` ({id, seat, peers, view}), `joined` ({peer}), `left` ({id}), `view` ({from, gallery, image})
+ *   and `pose` ({from, head, hands}).
+ * Each viewer in a room gets a seat, the lowest number the others do not hold, so that viewers can start side by
+ * side instead of inside each other.
+ * Followers' `view` messages are ignored: only leaders and peers (the default role) guide.
+ */
+
+import { acceptWebSocket } from './websocket.js';
+
+/**
+ * The roles a viewer can take.
+ * @type {string[]}
+ */
+export const ROLES = ['leader', 'follower', 'peer'];
+
+/**
+ * Room codes are short, case-insensitive words.
+ * @type {RegExp}
+ */
+const ROOM_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+/**
+ * Attaches the relay to an HTTP or HTTPS server, answering WebSocket upgrades on a path.
+ * The room is the `room` query parameter, e.g. `ws://host:8090/coview?room=review`.
+ * @param {import('node:http').Server} server
+ * @param {object} options
+ * @param {string} [options.path='/coview'] - The path the relay answers on; other upgrades are refused.
+ * @param {function(string, string): void} options.log - Logger receiving a level tag and a message.
+ * @returns {{getRoomCount: function(): number}} Status of the relay.
+ */
+export function attachCoViewingRelay(server, { path = '/coview', log }) {
+    const rooms = new Map();
+    let nextId = 1;
+
+    server.on('upgrade', (request, socket, head) => {
+        const url = new URL(request.url, 'http://localhost');
+        const roomCode = (url.searchParams.get('room') || '').toLowerCase();
+        if (url.pathname !== path || !ROOM_PATTERN.test(roomCode)) {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const connection = acceptWebSocket(request, socket, head);
+        if (!connection) return;
+
+        // The viewer enters the room when it says hello.
+        let room = null;
+        const viewer = { id: nextId++, seat: 0, name: null, role: 'peer', connection };
+
+        const broadcast = (message) => {
+            const text = JSON.stringify(message);
+            room.viewers.forEach(other => {
+                if (other !== viewer) other.connection.send(text);
+            });
+        };
+
+        connection.on('message', text => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                return;
+            }
+            if (!message || typeof message !== 'object') return;
+
+            if (message.type === 'hello' && room === null) {
+                if (!rooms.has(roomCode)) rooms.set(roomCode, { viewers: new Map(), view: null });
+                room = rooms.get(roomCode);
+                viewer.name = typeof message.name === 'string' && message.name.trim() ? message.name.trim().slice(0, 40) : `Viewer ${viewer.id}`;
+                viewer.role = ROLES.includes(message.role) ? message.role : 'peer';
+                const others = Array.from(room.viewers.values());
+                const peers = others.map(({ id, name, role }) => ({ id, name, role }));
+                while (others.some(other => other.seat === viewer.seat)) viewer.seat++;
+                room.viewers.set(viewer.id, viewer);
+                connection.send(JSON.stringify({ type: 'welcome', id: viewer.id, seat: viewer.seat, peers, view: room.view }));
+                broadcast({ type: 'joined', peer: { id: viewer.id, name: viewer.name, role: viewer.role } });
+                log('ROOM', `${viewer.name} (${viewer.role}) joined '${roomCode}' (${room.viewers.size} viewing).`);
+            } else if (room === null) {
+                // Nothing is relayed before the viewer has introduced itself.
+            } else if (message.type === 'view' && viewer.role !== 'follower' && typeof message.gallery === 'string' && Number.isInteger(message.image)) {
+                room.view = { gallery: message.gallery, image: message.image };
+                broadcast({ type: 'view', from: viewer.id, ...room.view });
+            } else if (message.type === 'pose') {
+                broadcast({ type: 'pose', from: viewer.id, head: message.head, hands: message.hands });
+            }
+        });
+
+        connection.on('close', () => {
+            if (room === null) return;
+            room.viewers.delete(viewer.id);
+            broadcast({ type: 'left', id: viewer.id });
+            log('ROOM', `${viewer.name} left '${roomCode}' (${room.viewers.size} viewing).`);
+            if (room.viewers.size === 0) rooms.delete(roomCode);
+        });
+    });
+
+    return { getRoomCount: () => rooms.size };
+}
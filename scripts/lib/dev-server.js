@@ -0,0 +1,187 @@
+/**
+ * @file Request handling for the development server. Serves the app's files and answers `/galleries.json` and
+ * each gallery's `manifest.json` from the folders on disk as they are now, so that new content shows up on reload
+ * without running the indexer. Hand-written manifests are merged with the folder's files, as the indexer does, and
+ * zip archives are listed for the viewer to open directly.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { buildGalleryList, buildManifest } from './gallery-indexer.js';
+
+/**
+ * Content types by file extension; anything else is served as `application/octet-stream`.
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.zip': 'application/zip'
+};
+
+/**
+ * Thrown for requests that are answered with an HTTP error status.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Maps a URL path below a base folder to a file path, refusing paths that leave the folder or touch hidden files
+ * (such as the cached certificate) and key files.
+ * @param {string} base - The folder the path is relative to.
+ * @param {string} urlPath - The decoded path below the base, with forward slashes.
+ * @returns {string}
+ */
+function resolveInside(base, urlPath) {
+    const segments = urlPath.split('/').filter(Boolean);
+    if (segments.some(segment => segment.startsWith('.')) || urlPath.endsWith('.pem')) {
+        throw new HttpError(404, 'Not found');
+    }
+    const resolved = path.resolve(base, ...segments);
+    if (resolved !== base && !resolved.startsWith(base + path.sep)) throw new HttpError(404, 'Not found');
+    return resolved;
+}
+
+/**
+ * Sends a JSON body.
+ * @param {import('node:http').ServerResponse} response
+ * @param {object} data
+ * @param {boolean} headOnly - Whether to leave out the body (HEAD requests).
+ */
+function sendJson(response, data, headOnly) {
+    const body = Buffer.from(JSON.stringify(data, null, 2) + '\n', 'utf8');
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'], 'Content-Length': body.length, 'Cache-Control': 'no-cache' });
+    response.end(headOnly ? undefined : body);
+}
+
+/**
+ * Sends a file, or the requested byte range of it, which video seeking relies on.
+ * @param {import('node:http').IncomingMessage} request
+ * @param {import('node:http').ServerResponse} response
+ * @param {string} file
+ * @returns {Promise<void>}
+ */
+async function sendFile(request, response, file) {
+    let stats;
+    try {
+        stats = await fs.promises.stat(file);
+        if (stats.isDirectory()) {
+            file = path.join(file, 'index.html');
+            stats = await fs.promises.stat(file);
+        }
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') throw new HttpError(404, 'Not found');
+        throw error;
+    }
+
+    const headers = {
+        'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'no-cache'
+    };
+    let start = 0;
+    let end = stats.size - 1;
+    let status = 200;
+
+    const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.range || '');
+    if (range && (range[1] || range[2])) {
+        // "bytes=-500" asks for the last 500 bytes.
+        start = range[1] ? Number(range[1]) : Math.max(0, stats.size - Number(range[2]));
+        end = range[1] && range[2] ? Math.min(Number(range[2]), stats.size - 1) : stats.size - 1;
+        if (start > end) {
+            response.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+            response.end();
+            return;
+        }
+        status = 206;
+        headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+    }
+    headers['Content-Length'] = end - start + 1;
+    response.writeHead(status, headers);
+    if (request.method === 'HEAD' || stats.size === 0) {
+        response.end();
+        return;
+    }
+    fs.createReadStream(file, { start, end }).pipe(response);
+}
+
+/**
+ * Creates the request handler of the development server.
+ * @param {object} options
+ * @param {string} options.root - The app folder (holding index.html).
+ * @param {string} options.imagesDir - The gallery folder, served at `/images/`.
+ * @param {function(string, string): void} options.log - Logger receiving a level tag and a message.
+ * @returns {function(import('node:http').IncomingMessage, import('node:http').ServerResponse): void}
+ */
+export function createRequestHandler({ root, imagesDir, log }) {
+    const listFile = path.join(root, 'galleries.json');
+
+    const handle = async (request, response) => {
+        if (request.method !== 'GET' && request.method !== 'HEAD') throw new HttpError(405, 'Method not allowed');
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (error) {
+            throw new HttpError(400, 'Bad request');
+        }
+        const headOnly = request.method === 'HEAD';
+
+        if (urlPath === '/galleries.json') {
+            sendJson(response, await buildGalleryList(imagesDir, listFile), headOnly);
+            return;
+        }
+        if (urlPath.startsWith('/images/')) {
+            const relative = urlPath.slice('/images/'.length);
+            if (path.posix.basename(relative) === 'manifest.json') {
+                const manifest = await buildManifest(resolveInside(imagesDir, path.posix.dirname(relative))).catch(error => {
+                    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+                    throw error;
+                });
+                if (!manifest) throw new HttpError(404, 'Not found');
+                sendJson(response, manifest, headOnly);
+                return;
+            }
+            await sendFile(request, response, resolveInside(imagesDir, relative));
+            return;
+        }
+        await sendFile(request, response, resolveInside(root, urlPath));
+    };
+
+    return (request, response) => {
+        handle(request, response).catch(error => {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) log('ERROR', `${request.method} ${request.url}: ${error.message}`);
+            if (response.headersSent) {
+                response.destroy();
+                return;
+            }
+            response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.txt'] });
+            response.end(status === 500 ? 'Internal server error\n' : `${error.message}\n`);
+        });
+    };
+}
@@ -0,0 +1,409 @@
+/**
+ * @file Cross-platform gallery indexing logic.
+ * Extracts `.zip` archives, writes a `manifest.json` for every image folder and produces the
+ * `galleries.json` file that `GalleryMenu.loadGalleries` reads. This replaces the PowerShell
+ * work done by `unzip_and_manifest.bat`, `manifest.bat` and `update_galleries.bat`.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readZipEntries, extractZipEntry } from './zip.js';
+import { readImageSize } from './image-size.js';
+import { MANIFEST_VERSION, compareNames, getEntryFile, getMediaType, createGalleryListEntry, normalizeGalleryListEntry } from '../../js/Manifest.js';
+
+/**
+ * Checks whether a file name has one of the supported image or video extensions.
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isMediaFile(filename) {
+    return getMediaType(filename) !== null;
+}
+
+/**
+ * Returns the `fs.Stats` of a path, or null if it does not exist.
+ * @param {string} target
+ * @returns {Promise<import('node:fs').Stats|null>}
+ */
+async function statOrNull(target) {
+    try {
+        return await fs.stat(target);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Reads and parses a JSON file, returning null if it does not exist.
+ * @param {string} file
+ * @returns {Promise<object|null>}
+ */
+async function readJsonOrNull(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Could not read '${file}': ${error.message}`);
+    }
+}
+
+/**
+ * Writes an object as formatted JSON.
+ * @param {string} file
+ * @param {object} data
+ * @returns {Promise<void>}
+ */
+async function writeJson(file, data) {
+    await fs.writeFile(file, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Whether a zip entry may be extracted: not a macOS resource fork, and not escaping the target folder ("zip slip").
+ * @param {string} root - The resolved target folder.
+ * @param {string} entryName
+ * @returns {boolean}
+ */
+export function isSafeEntry(root, entryName) {
+    if (entryName.startsWith('__MACOSX/')) return false;
+    return path.resolve(root, entryName).startsWith(root + path.sep);
+}
+
+/**
+ * Lists the galleries an archive creates when it is extracted: the folders holding its images or a manifest.
+ * @param {Array<{name: string, isDirectory: boolean}>} entries - From `readZipEntries`.
+ * @param {string} folderName - The folder the archive is extracted to.
+ * @returns {string[]} Gallery names, e.g. 'Holiday' and 'Holiday/day-2'.
+ */
+export function listArchiveGalleries(entries, folderName) {
+    // Any folder will do for telling whether an entry escapes it.
+    const root = path.resolve(folderName);
+    const galleries = new Set();
+    entries
+        .filter(entry => !entry.isDirectory && isSafeEntry(root, entry.name))
+        .map(entry => entry.name.split('/'))
+        .filter(parts => !parts.some(part => part.startsWith('.')))
+        .filter(parts => isMediaFile(parts[parts.length - 1]) || parts[parts.length - 1] === 'manifest.json')
+        .forEach(parts => galleries.add([folderName, ...parts.slice(0, -1)].join('/')));
+    return Array.from(galleries);
+}
+
+/**
+ * Extracts every `.zip` archive found directly inside the images directory into a folder of the same name.
+ * @param {string} imagesDir - The root images directory.
+ * @param {object} options
+ * @param {boolean} [options.dryRun=false] - Report what would happen without writing anything.
+ * @param {boolean} [options.incremental=false] - Skip archives whose folder is newer than the archive.
+ * @param {function(string, string): void} options.log - Logger receiving a level tag and a message.
+ * @returns {Promise<string[]>} The galleries in the archives that were (or would be) extracted.
+ */
+export async function extractArchives(imagesDir, { dryRun = false, incremental = false, log }) {
+    const galleries = [];
+    const dirents = await fs.readdir(imagesDir, { withFileTypes: true });
+    const archives = dirents
+        .filter(dirent => dirent.isFile() && path.extname(dirent.name).toLowerCase() === '.zip')
+        .map(dirent => dirent.name)
+        .sort(compareNames);
+
+    for (const archiveName of archives) {
+        const archivePath = path.join(imagesDir, archiveName);
+        const folderName = path.basename(archiveName, path.extname(archiveName));
+        const extractPath = path.join(imagesDir, folderName);
+
+        if (incremental) {
+            const [archiveStats, folderStats] = await Promise.all([statOrNull(archivePath), statOrNull(extractPath)]);
+            if (folderStats && folderStats.mtimeMs >= archiveStats.mtimeMs) {
+                log('SKIP', `${archiveName} is already extracted.`);
+                continue;
+            }
+        }
+
+        log('ARCHIVE', `${dryRun ? 'Would extract' : 'Extracting'} ${archiveName} to ${folderName}/`);
+        try {
+            const buffer = await fs.readFile(archivePath);
+            const entries = readZipEntries(buffer);
+            galleries.push(...listArchiveGalleries(entries, folderName));
+            if (dryRun) continue;
+
+            const root = path.resolve(extractPath);
+            for (const entry of entries) {
+                if (entry.isDirectory) continue;
+                if (!isSafeEntry(root, entry.name)) {
+                    if (!entry.name.startsWith('__MACOSX/')) log('WARN', `Skipping unsafe entry '${entry.name}' in ${archiveName}.`);
+                    continue;
+                }
+                const destination = path.resolve(root, entry.name);
+                await fs.mkdir(path.dirname(destination), { recursive: true });
+                await fs.writeFile(destination, extractZipEntry(buffer, entry));
+            }
+        } catch (error) {
+            log('ERROR', `Failed to extract ${archiveName}: ${error.message}`);
+        }
+    }
+    return galleries;
+}
+
+/**
+ * Lists the image and video files directly inside a folder, in natural sort order.
+ * @param {string} folder
+ * @returns {Promise<string[]>}
+ */
+export async function listImageFiles(folder) {
+    const dirents = await fs.readdir(folder, { withFileTypes: true });
+    return dirents
+        .filter(dirent => dirent.isFile() && isMediaFile(dirent.name))
+        .map(dirent => dirent.name)
+        .sort(compareNames);
+}
+
+/**
+ * Builds the manifest for a folder, merging with an existing manifest so that hand-curated
+ * ordering and per-image metadata are preserved. New images are appended in sort order.
+ * @param {string[]} imageFiles - The image files currently in the folder.
+ * @param {object|null} existing - The previously written manifest, if any.
+ * @param {boolean} pruneMissing - Whether entries for files that no longer exist are removed.
+ * @returns {{manifest: object, added: string[], removed: string[]}}
+ */
+export function mergeManifest(imageFiles, existing, pruneMissing) {
+    const onDisk = new Set(imageFiles);
+    const previous = existing && Array.isArray(existing.images) ? existing.images : [];
+    const listed = new Set(previous.map(getEntryFile));
+
+    const removed = previous.map(getEntryFile).filter(filename => !onDisk.has(filename));
+    const kept = pruneMissing ? previous.filter(entry => onDisk.has(getEntryFile(entry))) : previous.slice();
+    const added = imageFiles.filter(filename => !listed.has(filename));
+
+    const manifest = { version: MANIFEST_VERSION, ...(existing || {}) };
+    manifest.version = MANIFEST_VERSION;
+    manifest.images = kept.concat(added);
+    return { manifest, added, removed: pruneMissing ? removed : [] };
+}
+
+/**
+ * Records the pixel size of every image entry that has none, so that the viewer can give its placeholder the
+ * right shape before the image loads. Plain filename entries become objects. Videos and unreadable files are skipped.
+ * @param {string} folder - The gallery folder.
+ * @param {object} manifest - The manifest to update in place.
+ * @returns {Promise<number>} How many entries were given a size.
+ */
+export async function addImageSizes(folder, manifest) {
+    let sized = 0;
+    for (let i = 0; i < manifest.images.length; i++) {
+        const entry = manifest.images[i];
+        const filename = getEntryFile(entry);
+        const declared = typeof entry === 'object' ? entry : {};
+        if (!filename || getMediaType(filename) !== 'image' || declared.type === 'video' || (declared.width && declared.height)) continue;
+
+        let size = null;
+        try {
+            size = readImageSize(await fs.readFile(path.join(folder, filename)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        if (!size) continue;
+        manifest.images[i] = { ...(typeof entry === 'object' ? entry : { file: filename }), width: size.width, height: size.height };
+        sized++;
+    }
+    return sized;
+}
+
+/**
+ * Creates or updates the `manifest.json` of a single gallery folder.
+ * @param {string} folder - The gallery folder.
+ * @param {object} options
+ * @param {boolean} [options.dryRun=false]
+ * @param {boolean} [options.incremental=false] - Skip folders not modified since their manifest was written.
+ * @param {boolean} [options.pruneMissing=false]
+ * @param {boolean} [options.sizes=false] - Record the pixel size of images that have none (see `addImageSizes`).
+ * @param {string} [options.imagesDir] - The root images directory; log lines then name the folder by its path below it.
+ * @param {function(string, string): void} options.log
+ * @returns {Promise<object|null>} The folder's manifest as it is (or would be) written, or null if the folder is not a gallery.
+ */
+export async function updateManifest(folder, { dryRun = false, incremental = false, pruneMissing = false, sizes = false, imagesDir = null, log }) {
+    const name = imagesDir ? toGalleryName(imagesDir, folder) : path.basename(folder);
+    const manifestPath = path.join(folder, 'manifest.json');
+    const manifestStats = await statOrNull(manifestPath);
+
+    if (incremental && manifestStats) {
+        // Adding or removing a file updates the folder's modification time.
+        const folderStats = await fs.stat(folder);
+        if (manifestStats.mtimeMs >= folderStats.mtimeMs) {
+            log('SKIP', `${name} is unchanged.`);
+            return readJsonOrNull(manifestPath);
+        }
+    }
+
+    const imageFiles = await listImageFiles(folder);
+    if (!manifestStats && imageFiles.length === 0) {
+        // A folder without images and without a manifest is not a gallery.
+        return null;
+    }
+
+    const existing = manifestStats ? await readJsonOrNull(manifestPath) : null;
+    const { manifest, added, removed } = mergeManifest(imageFiles, existing, pruneMissing);
+    const sized = sizes ? await addImageSizes(folder, manifest) : 0;
+
+    if (existing && added.length === 0 && removed.length === 0 && sized === 0) {
+        log('MANIFEST', `${name}: up to date (${manifest.images.length} images).`);
+        return manifest;
+    }
+
+    const verb = existing ? 'Updated' : 'Created';
+    const changes = [`${manifest.images.length} images`];
+    if (added.length) changes.push(`+${added.length}`);
+    if (removed.length) changes.push(`-${removed.length}`);
+    if (sized) changes.push(`${sized} sized`);
+    log('MANIFEST', `${verb} ${name}/manifest.json (${changes.join(', ')}).`);
+
+    if (!dryRun) await writeJson(manifestPath, manifest);
+    return manifest;
+}
+
+/**
+ * Builds the manifest of a folder in memory, as the indexer would write it with `pruneMissing`: the manifest on
+ * disk, if any, merged with the images in the folder. Nothing is written.
+ * @param {string} folder - The gallery folder.
+ * @returns {Promise<object|null>} The manifest, or null if the folder is not a gallery.
+ */
+export async function buildManifest(folder) {
+    const imageFiles = await listImageFiles(folder);
+    const existing = await readJsonOrNull(path.join(folder, 'manifest.json'));
+    if (!existing && imageFiles.length === 0) return null;
+    return mergeManifest(imageFiles, existing, true).manifest;
+}
+
+/**
+ * Returns the name a gallery folder is listed under: its path below the images directory, with forward slashes.
+ * @param {string} imagesDir
+ * @param {string} folder
+ * @returns {string} E.g. 'Travel/2023/Japan'.
+ */
+export function toGalleryName(imagesDir, folder) {
+    return path.relative(imagesDir, folder).split(path.sep).join('/');
+}
+
+/**
+ * Orders gallery names as they are found on disk: folder by folder in natural order, each folder before its subfolders.
+ * @param {string} a - E.g. 'Travel/2023'.
+ * @param {string} b
+ * @returns {number}
+ */
+function compareGalleryNames(a, b) {
+    const partsA = a.split('/');
+    const partsB = b.split('/');
+    for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+        const order = compareNames(partsA[i], partsB[i]);
+        if (order !== 0) return order;
+    }
+    return partsA.length - partsB.length;
+}
+
+/**
+ * Lists the subfolders of a folder in natural sort order, leaving out hidden folders and macOS resource forks.
+ * @param {string} folder
+ * @returns {Promise<string[]>} The subfolders' paths.
+ */
+async function listSubfolders(folder) {
+    const dirents = await fs.readdir(folder, { withFileTypes: true });
+    return dirents
+        .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('.') && dirent.name !== '__MACOSX')
+        .map(dirent => dirent.name)
+        .sort(compareNames)
+        .map(name => path.join(folder, name));
+}
+
+/**
+ * Finds the galleries at any depth below the images directory, folders before their subfolders.
+ * @param {string} imagesDir
+ * @param {function(string): Promise<object|null>} getManifest - Returns a folder's manifest, or null if it is not a gallery.
+ * @returns {Promise<Array<{name: string, manifest: object}>>}
+ */
+async function collectGalleries(imagesDir, getManifest) {
+    const galleries = [];
+    // Depth first, so that each folder is listed just before its subfolders.
+    const pending = await listSubfolders(imagesDir);
+    while (pending.length > 0) {
+        const folder = pending.shift();
+        const manifest = await getManifest(folder);
+        if (manifest) galleries.push({ name: toGalleryName(imagesDir, folder), manifest });
+        pending.unshift(...await listSubfolders(folder));
+    }
+    return galleries;
+}
+
+/**
+ * Builds the gallery list in memory from the folders on disk, as `indexGalleries` would write it, without
+ * writing anything. Archives in the images directory are not extracted: those without a folder of the same name are
+ * listed as they are (e.g. 'Holiday.zip'), and the viewer opens them directly. Other fields of the existing gallery
+ * list, such as `categories`, are kept.
+ * @param {string} imagesDir - The root images directory.
+ * @param {string} listFile - The existing `galleries.json`, if any.
+ * @returns {Promise<object>} The contents of `galleries.json`.
+ */
+export async function buildGalleryList(imagesDir, listFile) {
+    const galleries = await collectGalleries(imagesDir, buildManifest);
+    const folders = new Set(galleries.map(({ name }) => name.toLowerCase()));
+    const dirents = await fs.readdir(imagesDir, { withFileTypes: true });
+    const archives = dirents
+        .filter(dirent => dirent.isFile() && path.extname(dirent.name).toLowerCase() === '.zip')
+        .map(dirent => dirent.name)
+        .filter(name => !folders.has(path.basename(name, path.extname(name)).toLowerCase()))
+        .sort(compareNames);
+
+    const existing = await readJsonOrNull(listFile);
+    const keep = existing && typeof existing === 'object' && !Array.isArray(existing) ? existing : {};
+    const entries = galleries.map(({ name, manifest }) => createGalleryListEntry(name, manifest));
+    return { ...keep, galleries: entries.concat(archives) };
+}
+
+/**
+ * Runs the full indexing process: extract archives, update manifests and write the gallery list.
+ * Galleries are found at any depth and listed by their path below the images directory; a folder can be a
+ * gallery and contain galleries too. Galleries are listed as objects carrying the title, tags and cover image of
+ * their manifest, for the menu's search and tiles. Other fields of an existing gallery list, such as `categories`,
+ * are kept.
+ * @param {object} options
+ * @param {string} options.imagesDir - The root images directory.
+ * @param {string} options.outputFile - Where to write `galleries.json`.
+ * @param {boolean} [options.dryRun=false]
+ * @param {boolean} [options.incremental=false]
+ * @param {boolean} [options.pruneMissing=false]
+ * @param {boolean} [options.sizes=false]
+ * @param {function(string, string): void} options.log
+ * @returns {Promise<string[]>} The gallery names, folders before their subfolders.
+ */
+export async function indexGalleries(options) {
+    const { imagesDir, outputFile, dryRun = false, log } = options;
+
+    const imagesStats = await statOrNull(imagesDir);
+    if (!imagesStats || !imagesStats.isDirectory()) {
+        throw new Error(`'${imagesDir}' directory not found.`);
+    }
+
+    const extracted = await extractArchives(imagesDir, options);
+
+    const found = await collectGalleries(imagesDir, folder => updateManifest(folder, options));
+    if (dryRun) {
+        // The archives were not extracted; list their galleries as they would be found.
+        const names = new Set(found.map(({ name }) => name));
+        extracted.filter(name => !names.has(name)).forEach(name => found.push({ name, manifest: null }));
+        found.sort((a, b) => compareGalleryNames(a.name, b.name));
+    }
+    const galleries = found.map(({ name }) => name);
+    const entries = found.map(({ name, manifest }) => createGalleryListEntry(name, manifest));
+
+    // Like update_galleries.bat, the list always mirrors what is on disk; report what disappeared.
+    const existing = await readJsonOrNull(outputFile);
+    if (existing && Array.isArray(existing.galleries)) {
+        const current = new Set(galleries);
+        existing.galleries
+            .map(normalizeGalleryListEntry)
+            .filter(entry => entry && !current.has(entry.name))
+            .forEach(({ name }) => log('INFO', `Gallery '${name}' no longer exists and was removed from the list.`));
+    }
+
+    log('INFO', `Found ${galleries.length} valid galleries.`);
+    const keep = existing && typeof existing === 'object' && !Array.isArray(existing) ? existing : {};
+    if (!dryRun) await writeJson(outputFile, { ...keep, galleries: entries });
+    return galleries;
+}
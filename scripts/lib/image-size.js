@@ -0,0 +1,106 @@
+/**
+ * @file Reads the pixel size of an image from its header, without decoding it.
+ * Supports the formats the gallery displays: JPEG, PNG, GIF and WebP. JPEG sizes take the EXIF
+ * orientation into account, because browsers show rotated photos upright.
+ */
+
+/**
+ * Finds the EXIF orientation in the payload of a JPEG APP1 segment.
+ * @param {Buffer} buffer
+ * @param {number} start - The offset of the segment payload.
+ * @param {number} end - The offset just past the segment.
+ * @returns {number|null} The orientation (1-8), or null if the segment holds none.
+ */
+function readExifOrientation(buffer, start, end) {
+    if (buffer.toString('latin1', start, start + 6) !== 'Exif\0\0') return null;
+    const tiff = start + 6;
+    const littleEndian = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+    const read16 = offset => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const read32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+    const ifd = tiff + read32(tiff + 4);
+    const count = read16(ifd);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > end) break;
+        if (read16(entry) === 0x0112) return read16(entry + 8);
+    }
+    return null;
+}
+
+/**
+ * Reads the size of a JPEG from its first frame header.
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number}|null}
+ */
+function readJpegSize(buffer) {
+    let orientation = 1;
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        // Markers may be padded with extra 0xff bytes; standalone markers have no length.
+        if (marker === 0xff) { offset++; continue; }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) { offset += 2; continue; }
+
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker === 0xe1) orientation = readExifOrientation(buffer, offset + 4, offset + 2 + length) || orientation;
+
+        // SOF0-SOF15, except DHT (0xc4), JPG (0xc8) and DAC (0xcc), which share the range.
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            const height = buffer.readUInt16BE(offset + 5);
+            const width = buffer.readUInt16BE(offset + 7);
+            // Orientations 5-8 turn the image by 90°.
+            return orientation >= 5 ? { width: height, height: width } : { width, height };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Reads the size of a WebP image from its first chunk.
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number}|null}
+ */
+function readWebpSize(buffer) {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        // 14 bits each for width - 1 and height - 1, packed after the signature byte.
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+/**
+ * Reads the pixel size of an image.
+ * @param {Buffer} buffer - The image file, or at least its beginning.
+ * @returns {{width: number, height: number}|null} The size as displayed, or null if the format is not recognised
+ *     or the header is cut short.
+ */
+export function readImageSize(buffer) {
+    try {
+        let size = null;
+        if (buffer.readUInt32BE(0) === 0x89504e47) {
+            size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        } else if (buffer.toString('latin1', 0, 4) === 'GIF8') {
+            size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        } else if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+            size = readJpegSize(buffer);
+        } else if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+            size = readWebpSize(buffer);
+        }
+        return size && size.width > 0 && size.height > 0 ? size : null;
+    } catch (error) {
+        // Reading past the end of a truncated file.
+        if (error instanceof RangeError) return null;
+        throw error;
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * @file Console output for the command-line scripts, in the same `[LEVEL] message` style as the batch scripts.
+ */
+
+/**
+ * Prints a tagged log line. Errors and warnings go to stderr.
+ * @param {string} level - The tag, e.g. 'INFO' or 'ERROR'.
+ * @param {string} message
+ */
+export function log(level, message) {
+    const line = `[${level}] ${message}`;
+    if (level === 'ERROR' || level === 'WARN') console.error(line);
+    else console.log(line);
+}
@@ -0,0 +1,169 @@
+/**
+ * @file Creates a self-signed TLS certificate without OpenSSL, so that the development server can serve HTTPS,
+ * which WebXR's AR mode requires. The certificate is a minimal X.509 v3 certificate, DER-encoded by hand and
+ * signed with Node's crypto module. Browsers warn about it once, like any self-signed certificate.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * How long a new certificate is valid, in days.
+ * @type {number}
+ */
+const VALIDITY_DAYS = 365;
+
+const OID_SHA256_WITH_RSA = '1.2.840.113549.1.1.11';
+const OID_COMMON_NAME = '2.5.4.3';
+const OID_SUBJECT_ALT_NAME = '2.5.29.17';
+const OID_EXT_KEY_USAGE = '2.5.29.37';
+const OID_SERVER_AUTH = '1.3.6.1.5.5.7.3.1';
+
+/**
+ * Encodes a DER length.
+ * @param {number} length
+ * @returns {Buffer}
+ */
+function encodeLength(length) {
+    if (length < 0x80) return Buffer.from([length]);
+    const bytes = [];
+    for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+/**
+ * Encodes a DER value.
+ * @param {number} tag
+ * @param {...Buffer} contents - Concatenated to form the value.
+ * @returns {Buffer}
+ */
+function der(tag, ...contents) {
+    const body = Buffer.concat(contents);
+    return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+}
+
+const sequence = (...contents) => der(0x30, ...contents);
+const set = (...contents) => der(0x31, ...contents);
+const octetString = contents => der(0x04, contents);
+const bitString = contents => der(0x03, Buffer.from([0]), contents);
+const utf8String = text => der(0x0c, Buffer.from(text, 'utf8'));
+const explicit = (number, contents) => der(0xa0 + number, contents);
+
+/**
+ * Encodes a non-negative integer given as big-endian bytes.
+ * @param {Buffer} bytes
+ * @returns {Buffer}
+ */
+function integer(bytes) {
+    // A leading 1 bit would make the number negative.
+    return der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+/**
+ * Encodes an object identifier.
+ * @param {string} dotted - E.g. '2.5.4.3'.
+ * @returns {Buffer}
+ */
+function oid(dotted) {
+    const [first, second, ...rest] = dotted.split('.').map(Number);
+    const bytes = [first * 40 + second];
+    rest.forEach(value => {
+        const group = [value & 0x7f];
+        for (let remaining = value >> 7; remaining > 0; remaining >>= 7) group.unshift(0x80 | (remaining & 0x7f));
+        bytes.push(...group);
+    });
+    return der(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Encodes a time as UTCTime (valid until 2049).
+ * @param {Date} date
+ * @returns {Buffer}
+ */
+function utcTime(date) {
+    const text = date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z';
+    return der(0x17, Buffer.from(text, 'ascii'));
+}
+
+/**
+ * Encodes the subject alternative names: DNS names and IPv4 addresses.
+ * @param {string[]} hosts
+ * @returns {Buffer}
+ */
+function subjectAltNames(hosts) {
+    const names = hosts.map(host => (/^\d+\.\d+\.\d+\.\d+$/.test(host)
+        ? der(0x87, Buffer.from(host.split('.').map(Number)))
+        : der(0x82, Buffer.from(host, 'ascii'))));
+    return sequence(...names);
+}
+
+/**
+ * Creates a self-signed certificate and its RSA key.
+ * @param {object} options
+ * @param {string} [options.commonName='localhost']
+ * @param {string[]} [options.hosts=['localhost', '127.0.0.1']] - Host names and IPv4 addresses the certificate is for.
+ * @returns {{cert: string, key: string}} Both in PEM format.
+ */
+export function createSelfSignedCertificate({ commonName = 'localhost', hosts = ['localhost', '127.0.0.1'] } = {}) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const signatureAlgorithm = sequence(oid(OID_SHA256_WITH_RSA), der(0x05));
+    const name = sequence(set(sequence(oid(OID_COMMON_NAME), utf8String(commonName))));
+    const notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const notAfter = new Date(Date.now() + VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    const serial = crypto.randomBytes(16);
+    serial[0] &= 0x7f;
+
+    const tbsCertificate = sequence(
+        explicit(0, integer(Buffer.from([2]))), // version 3
+        integer(serial),
+        signatureAlgorithm,
+        name,
+        sequence(utcTime(notBefore), utcTime(notAfter)),
+        name,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        explicit(3, sequence(
+            sequence(oid(OID_SUBJECT_ALT_NAME), octetString(subjectAltNames(hosts))),
+            sequence(oid(OID_EXT_KEY_USAGE), octetString(sequence(oid(OID_SERVER_AUTH))))
+        ))
+    );
+    const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+    const certificate = sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+
+    const base64 = certificate.toString('base64').match(/.{1,64}/g).join('\n');
+    return {
+        cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+        key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+}
+
+/**
+ * Reads the certificate cached in a folder, or creates and caches a new one if there is none, it has expired or it
+ * does not cover all the hosts.
+ * @param {string} folder - Where `cert.pem` and `key.pem` are kept.
+ * @param {object} options
+ * @param {string[]} options.hosts - Host names and IPv4 addresses the certificate must cover.
+ * @param {function(string, string): void} options.log
+ * @returns {Promise<{cert: string, key: string}>}
+ */
+export async function loadOrCreateCertificate(folder, { hosts, log }) {
+    const certFile = path.join(folder, 'cert.pem');
+    const keyFile = path.join(folder, 'key.pem');
+    try {
+        const [cert, key] = await Promise.all([fs.readFile(certFile, 'utf8'), fs.readFile(keyFile, 'utf8')]);
+        const x509 = new crypto.X509Certificate(cert);
+        const covered = hosts.every(host => x509.checkHost(host) || x509.checkIP(host));
+        if (new Date(x509.validTo) > new Date() && covered) return { cert, key };
+        log('INFO', 'The cached certificate has expired or does not cover this network; creating a new one.');
+    } catch (error) {
+        if (error.code !== 'ENOENT') log('WARN', `Ignoring the cached certificate: ${error.message}`);
+    }
+
+    log('INFO', 'Creating a self-signed certificate...');
+    const created = createSelfSignedCertificate({ hosts });
+    await fs.mkdir(folder, { recursive: true });
+    await fs.writeFile(certFile, created.cert, 'utf8');
+    await fs.writeFile(keyFile, created.key, { encoding: 'utf8', mode: 0o600 });
+    log('INFO', `Certificate saved to '${certFile}'.`);
+    return created;
+}
@@ -0,0 +1,215 @@
+/**
+ * @file A minimal, dependency-free WebSocket server connection for Node.js (RFC 6455).
+ * Handles the opening handshake, masked client frames, fragmented text messages, ping/pong and the
+ * closing handshake. Binary messages are not used by the gallery and close the connection.
+ */
+
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+/**
+ * Messages larger than this close the connection (status 1009); the relay only exchanges small JSON messages.
+ * @type {number}
+ */
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * Encodes one unmasked frame, as sent by a server.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * One accepted WebSocket connection. Emits 'message' with each text message and 'close' once.
+ */
+export class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {import('node:net').Socket} socket - The upgraded socket.
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', data => this._receive(data));
+        socket.on('close', () => this._finish());
+        socket.on('error', () => this._finish());
+    }
+
+    /**
+     * Sends a text message. Does nothing once the connection is closing.
+     * @param {string} text
+     */
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8')));
+    }
+
+    /**
+     * Starts the closing handshake.
+     * @param {number} [code=1000] - The status code.
+     */
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.socket.end(encodeFrame(OPCODE_CLOSE, payload));
+        this._finish();
+    }
+
+    /**
+     * Parses as many complete frames as have arrived.
+     * @param {Buffer} data
+     * @private
+     */
+    _receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (!this.closed) {
+            const frame = this._readFrame();
+            if (!frame) return;
+            this._handleFrame(frame);
+        }
+    }
+
+    /**
+     * Removes one complete frame from the buffer.
+     * @returns {{fin: boolean, opcode: number, payload: Buffer}|null} The frame, or null if it has not fully arrived.
+     * @private
+     */
+    _readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+        // Clients must mask their frames.
+        if (!masked || length > MAX_MESSAGE_SIZE) {
+            this.close(masked ? 1009 : 1002);
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * @param {{fin: boolean, opcode: number, payload: Buffer}} frame
+     * @private
+     */
+    _handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_CONTINUATION: {
+                if (opcode === OPCODE_TEXT) this.fragments = [];
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+                if (size > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                } else if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', text);
+                }
+                break;
+            }
+            case OPCODE_PING:
+                this.socket.write(encodeFrame(OPCODE_PONG, payload));
+                break;
+            case OPCODE_PONG:
+                break;
+            case OPCODE_CLOSE:
+                this.close(1000);
+                break;
+            case OPCODE_BINARY:
+            default:
+                this.close(1003);
+        }
+    }
+
+    /**
+     * Marks the connection closed and notifies the listeners, once.
+     * @private
+     */
+    _finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.end();
+        this.emit('close');
+    }
+}
+
+/**
+ * Completes the opening handshake of an HTTP upgrade request.
+ * @param {import('node:http').IncomingMessage} request
+ * @param {import('node:net').Socket} socket
+ * @param {Buffer} [head] - Data that arrived with the request, passed on by the 'upgrade' event.
+ * @returns {WebSocketConnection|null} The connection, or null if the request was not a valid WebSocket upgrade
+ *     (it is then answered with 400 and closed).
+ */
+export function acceptWebSocket(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    const isUpgrade = (request.headers.upgrade || '').toLowerCase() === 'websocket';
+    if (!isUpgrade || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    const connection = new WebSocketConnection(socket);
+    if (head && head.length > 0) connection._receive(head);
+    return connection;
+}
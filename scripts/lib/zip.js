@@ -0,0 +1,97 @@
+/**
+ * @file A minimal, dependency-free ZIP archive reader for Node.js.
+ * Supports the two compression methods found in practically every archive
+ * produced by Windows, macOS and common zip tools: "stored" and "deflate".
+ */
+
+import { inflateRawSync } from 'node:zlib';
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Locates the "end of central directory" record by scanning backwards from the end of the buffer.
+ * @param {Buffer} buffer - The complete archive contents.
+ * @returns {number} The offset of the record.
+ */
+function findEndOfCentralDirectory(buffer) {
+    // The record is 22 bytes plus an optional comment of up to 65535 bytes.
+    const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            return offset;
+        }
+    }
+    throw new Error('Not a zip archive (end of central directory not found).');
+}
+
+/**
+ * Lists every entry in a ZIP archive.
+ * @param {Buffer} buffer - The complete archive contents.
+ * @returns {Array<{name: string, isDirectory: boolean, method: number, compressedSize: number, size: number, localHeaderOffset: number}>}
+ */
+export function readZipEntries(buffer) {
+    const eocd = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    if (offset === 0xffffffff || entryCount === 0xffff) {
+        throw new Error('ZIP64 archives are not supported.');
+    }
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new Error(`Corrupt central directory at entry ${i}.`);
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+
+        // Bit 11 marks UTF-8 names; anything else is treated as Latin-1, which is close enough to CP437 for file names.
+        const nameBytes = buffer.subarray(offset + 46, offset + 46 + nameLength);
+        const name = nameBytes.toString((flags & 0x800) ? 'utf8' : 'latin1').replace(/\\/g, '/');
+
+        entries.push({
+            name,
+            isDirectory: name.endsWith('/'),
+            method,
+            compressedSize,
+            size,
+            localHeaderOffset
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Decompresses a single entry from a ZIP archive.
+ * @param {Buffer} buffer - The complete archive contents.
+ * @param {object} entry - An entry returned by `readZipEntries`.
+ * @returns {Buffer} The uncompressed file contents.
+ */
+export function extractZipEntry(buffer, entry) {
+    const offset = entry.localHeaderOffset;
+    if (buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER_SIGNATURE) {
+        throw new Error(`Corrupt local header for '${entry.name}'.`);
+    }
+    // The local header repeats the name and may carry a different extra field, so sizes are re-read here.
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const dataStart = offset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) return Buffer.from(data);
+    if (entry.method === METHOD_DEFLATE) return inflateRawSync(data);
+    throw new Error(`Unsupported compression method ${entry.method} for '${entry.name}'.`);
+}
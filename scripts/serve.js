@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * @file Development server.
+ * Serves the gallery, builds `galleries.json` and every `manifest.json` on the fly from the `images/` folder,
+ * runs the co-viewing relay at `/coview`, and optionally serves HTTPS with a self-signed certificate for AR.
+ * Prints the addresses to open on a headset on the same network.
+ *
+ * Usage: node scripts/serve.js [options]
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequestHandler } from './lib/dev-server.js';
+import { loadOrCreateCertificate } from './lib/self-signed-cert.js';
+import { attachCoViewingRelay } from './lib/co-viewing-relay.js';
+import { log } from './lib/log.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: node scripts/serve.js [options]
+
+Options:
+  --port <number>     Port to listen on (default: 8000)
+  --host <address>    Address to listen on (default: all addresses)
+  --https             Serve HTTPS with a self-signed certificate (needed for AR)
+  --images <dir>      Folder that holds the galleries (default: images)
+  --no-relay          Do not run the co-viewing relay
+  -h, --help          Show this help`;
+
+/**
+ * Parses the command-line arguments into server options.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} The parsed options.
+ */
+function parseArgs(argv) {
+    const options = { port: 8000, host: undefined, https: false, images: 'images', relay: true, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--port': options.port = Number(argv[++i]); break;
+            case '--host': options.host = argv[++i]; break;
+            case '--https': options.https = true; break;
+            case '--images': options.images = argv[++i]; break;
+            case '--no-relay': options.relay = false; break;
+            case '-h': case '--help': options.help = true; break;
+            default: throw new Error(`Unknown option '${arg}'.`);
+        }
+    }
+    if (!Number.isInteger(options.port) || options.port <= 0 || options.port > 65535) {
+        throw new Error('--port needs a number between 1 and 65535.');
+    }
+    if (!options.images) {
+        throw new Error('--images needs a value.');
+    }
+    return options;
+}
+
+/**
+ * Lists the IPv4 addresses of this computer on the local network, where a headset can reach it.
+ * @returns {string[]}
+ */
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+/**
+ * Creates the HTTP or HTTPS server.
+ * @param {object} options - The parsed options.
+ * @param {function} handler - The request handler.
+ * @returns {Promise<import('node:http').Server>}
+ */
+async function createServer(options, handler) {
+    if (!options.https) return http.createServer(handler);
+    const hosts = ['localhost', '127.0.0.1', ...getLanAddresses()];
+    const { cert, key } = await loadOrCreateCertificate(path.join(ROOT, '.cert'), { hosts, log });
+    return https.createServer({ cert, key }, handler);
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`[ERROR] ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const handler = createRequestHandler({ root: ROOT, imagesDir: path.resolve(options.images), log });
+
+createServer(options, handler)
+    .then(server => {
+        if (options.relay) attachCoViewingRelay(server, { path: '/coview', log });
+        server.on('error', error => {
+            log('ERROR', error.code === 'EADDRINUSE' ? `Port ${options.port} is already in use.` : error.message);
+            process.exit(1);
+        });
+        server.listen(options.port, options.host, () => {
+            const protocol = options.https ? 'https' : 'http';
+            const hosts = options.host ? [options.host] : ['localhost', ...getLanAddresses()];
+            log('SUCCESS', 'Serving the gallery at:');
+            hosts.forEach(host => console.log(`  ${protocol}://${host}:${options.port}/`));
+            log('INFO', `Galleries are read from '${options.images}' on every load; no need to run the indexer.`);
+            if (options.https) {
+                log('IMPORTANT', 'The certificate is self-signed: on first visit, click "Advanced" and then proceed to the site.');
+            }
+            log('INFO', 'Press CTRL+C to stop the server.');
+        });
+    })
+    .catch(error => {
+        log('ERROR', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,102 @@
+/**
+ * @file Builds small fixtures for the tests: zip archives in memory and temporary image folders.
+ */
+
+import { deflateRawSync } from 'node:zlib';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a zip archive.
+ * @param {Array<{name: string, data?: string|Buffer, deflate?: boolean, utf8?: boolean}>} files - Names ending in
+ *     a slash are folders.
+ * @returns {Buffer}
+ */
+export function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.forEach(({ name, data = '', deflate = false, utf8 = false }) => {
+        const content = Buffer.from(data);
+        const stored = deflate ? deflateRawSync(content) : content;
+        const nameBytes = Buffer.from(name, utf8 ? 'utf8' : 'latin1');
+        const flags = utf8 ? 0x800 : 0;
+        const method = deflate ? 8 : 0;
+        const crc = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, stored);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + stored.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Creates a temporary folder holding the given files, for one test.
+ * @param {Object<string, string|Buffer>} files - Contents by path, with forward slashes.
+ * @returns {Promise<string>} The folder. Remove it with `removeFolder`.
+ */
+export async function createFolder(files) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'xr-gallery-test-'));
+    for (const [name, data] of Object.entries(files)) {
+        const file = path.join(root, ...name.split('/'));
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, data);
+    }
+    return root;
+}
+
+/**
+ * @param {string} folder
+ * @returns {Promise<void>}
+ */
+export function removeFolder(folder) {
+    return fs.rm(folder, { recursive: true, force: true });
+}
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { indexGalleries, mergeManifest, isSafeEntry, listArchiveGalleries } from '../scripts/lib/gallery-indexer.js';
+import { createZip, createFolder, removeFolder } from './fixtures.js';
+
+/**
+ * Runs the indexer on a folder holding an `images` directory, collecting the log.
+ * @param {string} root
+ * @param {object} [options]
+ * @returns {Promise<{galleries: string[], lines: string[]}>}
+ */
+async function runIndexer(root, options = {}) {
+    const lines = [];
+    const galleries = await indexGalleries({
+        imagesDir: path.join(root, 'images'),
+        outputFile: path.join(root, 'galleries.json'),
+        log: (level, message) => lines.push(`[${level}] ${message}`),
+        ...options
+    });
+    return { galleries, lines };
+}
+
+/**
+ * @param {string} root
+ * @param {string} gallery
+ * @returns {Promise<string[]>} The files the gallery's manifest lists.
+ */
+async function readManifestImages(root, gallery) {
+    const manifest = JSON.parse(await fs.readFile(path.join(root, 'images', gallery, 'manifest.json'), 'utf8'));
+    return manifest.images;
+}
+
+test('keeps the order of an existing manifest and appends new images in natural order', () => {
+    const { manifest, added, removed } = mergeManifest(['1.jpg', '2.jpg', '3.jpg', '10.jpg'], { images: ['3.jpg', '1.jpg'] }, false);
+    assert.deepEqual(manifest.images, ['3.jpg', '1.jpg', '2.jpg', '10.jpg']);
+    assert.deepEqual(added, ['2.jpg', '10.jpg']);
+    assert.deepEqual(removed, []);
+});
+
+test('only drops missing images when pruning', () => {
+    const existing = { images: ['1.jpg', 'gone.jpg'] };
+    assert.deepEqual(mergeManifest(['1.jpg'], existing, false).manifest.images, ['1.jpg', 'gone.jpg']);
+    const pruned = mergeManifest(['1.jpg'], existing, true);
+    assert.deepEqual(pruned.manifest.images, ['1.jpg']);
+    assert.deepEqual(pruned.removed, ['gone.jpg']);
+});
+
+test('writes a manifest for every folder with images, in natural order', async () => {
+    const root = await createFolder({
+        'images/10/a.jpg': 'x',
+        'images/2/b.png': 'x',
+        'images/empty/notes.txt': 'x'
+    });
+    try {
+        const { galleries } = await runIndexer(root);
+        assert.deepEqual(galleries, ['2', '10']);
+        assert.deepEqual(await readManifestImages(root, '2'), ['b.png']);
+        await assert.rejects(fs.stat(path.join(root, 'images', 'empty', 'manifest.json')), { code: 'ENOENT' });
+        const list = JSON.parse(await fs.readFile(path.join(root, 'galleries.json'), 'utf8'));
+        assert.equal(list.galleries.length, 2);
+    } finally {
+        await removeFolder(root);
+    }
+});
+
+test('skips unchanged folders in incremental mode', async () => {
+    const root = await createFolder({ 'images/A/1.jpg': 'x' });
+    try {
+        await runIndexer(root);
+        await fs.writeFile(path.join(root, 'images', 'A', '2.jpg'), 'x');
+        // Make the manifest look newer than the folder's last change.
+        const past = new Date(Date.now() - 60000);
+        await fs.utimes(path.join(root, 'images', 'A'), past, past);
+
+        const { lines } = await runIndexer(root, { incremental: true });
+        assert.ok(lines.includes('[SKIP] A is unchanged.'));
+        assert.deepEqual(await readManifestImages(root, 'A'), ['1.jpg']);
+
+        await runIndexer(root);
+        assert.deepEqual(await readManifestImages(root, 'A'), ['1.jpg', '2.jpg']);
+    } finally {
+        await removeFolder(root);
+    }
+});
+
+test('removes the entries of deleted images only with prune-missing', async () => {
+    const root = await createFolder({ 'images/A/1.jpg': 'x', 'images/A/2.jpg': 'x' });
+    try {
+        await runIndexer(root);
+        await fs.rm(path.join(root, 'images', 'A', '2.jpg'));
+        await runIndexer(root);
+        assert.deepEqual(await readManifestImages(root, 'A'), ['1.jpg', '2.jpg']);
+        await runIndexer(root, { pruneMissing: true });
+        assert.deepEqual(await readManifestImages(root, 'A'), ['1.jpg']);
+    } finally {
+        await removeFolder(root);
+    }
+});
+
+test('refuses zip entries that would be written outside the target folder', () => {
+    const root = path.resolve('images', 'Holiday');
+    assert.equal(isSafeEntry(root, '001.jpg'), true);
+    assert.equal(isSafeEntry(root, 'day-2/002.jpg'), true);
+    assert.equal(isSafeEntry(root, '../escape.jpg'), false);
+    assert.equal(isSafeEntry(root, 'day-2/../../escape.jpg'), false);
+    assert.equal(isSafeEntry(root, '/etc/escape.jpg'), false);
+    assert.equal(isSafeEntry(root, '__MACOSX/._001.jpg'), false);
+});
+
+test('lists the galleries an archive creates', () => {
+    const entries = ['001.jpg', 'notes.txt', '.hidden/a.jpg', '__MACOSX/._001.jpg', '../escape.jpg', 'day-2/']
+        .map(name => ({ name, isDirectory: name.endsWith('/') }));
+    assert.deepEqual(listArchiveGalleries(entries, 'Holiday'), ['Holiday']);
+});
+
+test('extracts archives without writing outside the images folder', async () => {
+    const archive = createZip([
+        { name: '001.jpg', data: 'x', deflate: true },
+        { name: '../escape.jpg', data: 'x' },
+        { name: '__MACOSX/._001.jpg', data: 'x' }
+    ]);
+    const root = await createFolder({ 'images/Holiday.zip': archive });
+    try {
+        const { galleries, lines } = await runIndexer(root);
+        assert.deepEqual(galleries, ['Holiday']);
+        assert.deepEqual(await readManifestImages(root, 'Holiday'), ['001.jpg']);
+        assert.ok(lines.includes("[WARN] Skipping unsafe entry '../escape.jpg' in Holiday.zip."));
+        await assert.rejects(fs.stat(path.join(root, 'images', 'escape.jpg')), { code: 'ENOENT' });
+        await assert.rejects(fs.stat(path.join(root, 'images', 'Holiday', '__MACOSX')), { code: 'ENOENT' });
+    } finally {
+        await removeFolder(root);
+    }
+});
+
+test('writes nothing in a dry run but lists the galleries it would create', async () => {
+    const archive = createZip([{ name: '001.jpg', data: 'x' }]);
+    const root = await createFolder({ 'images/Holiday.zip': archive, 'images/A/1.jpg': 'x' });
+    try {
+        const { galleries, lines } = await runIndexer(root, { dryRun: true });
+        assert.deepEqual(galleries, ['A', 'Holiday']);
+        assert.ok(lines.includes('[ARCHIVE] Would extract Holiday.zip to Holiday/'));
+        assert.ok(lines.includes('[INFO] Found 2 valid galleries.'));
+        assert.deepEqual((await fs.readdir(path.join(root, 'images'))).sort(), ['A', 'Holiday.zip']);
+        await assert.rejects(fs.stat(path.join(root, 'galleries.json')), { code: 'ENOENT' });
+    } finally {
+        await removeFolder(root);
+    }
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readImageSize } from '../scripts/lib/image-size.js';
+
+/**
+ * Builds the start of a JPEG: an optional EXIF segment with the given orientation, then a baseline frame header.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [orientation]
+ * @returns {Buffer}
+ */
+function createJpeg(width, height, orientation) {
+    const parts = [Buffer.from([0xff, 0xd8])];
+    if (orientation) {
+        const exif = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+        exif.write('Exif\0\0MM', 0, 'latin1');
+        exif.writeUInt16BE(42, 8);
+        exif.writeUInt32BE(8, 10);
+        exif.writeUInt16BE(1, 14);
+        exif.writeUInt16BE(0x0112, 16);
+        exif.writeUInt16BE(3, 18);
+        exif.writeUInt32BE(1, 20);
+        exif.writeUInt16BE(orientation, 24);
+        parts.push(Buffer.from([0xff, 0xe1, 0, exif.length + 2]), exif);
+    }
+    const frame = Buffer.alloc(19);
+    frame.writeUInt16BE(0xffc0, 0);
+    frame.writeUInt16BE(17, 2);
+    frame[4] = 8;
+    frame.writeUInt16BE(height, 5);
+    frame.writeUInt16BE(width, 7);
+    parts.push(frame);
+    return Buffer.concat(parts);
+}
+
+/**
+ * Builds the start of a WebP file whose first chunk is the given one.
+ * @param {string} chunk
+ * @param {(buffer: Buffer) => void} fill - Writes the chunk's size fields.
+ * @returns {Buffer}
+ */
+function createWebp(chunk, fill) {
+    const buffer = Buffer.alloc(30);
+    buffer.write('RIFF', 0, 'latin1');
+    buffer.write('WEBP', 8, 'latin1');
+    buffer.write(chunk, 12, 'latin1');
+    fill(buffer);
+    return buffer;
+}
+
+test('reads PNG and GIF sizes', () => {
+    const png = Buffer.alloc(24);
+    png.writeUInt32BE(0x89504e47, 0);
+    png.writeUInt32BE(800, 16);
+    png.writeUInt32BE(600, 20);
+    assert.deepEqual(readImageSize(png), { width: 800, height: 600 });
+
+    const gif = Buffer.alloc(10);
+    gif.write('GIF89a', 0, 'latin1');
+    gif.writeUInt16LE(320, 6);
+    gif.writeUInt16LE(200, 8);
+    assert.deepEqual(readImageSize(gif), { width: 320, height: 200 });
+});
+
+test('reads JPEG sizes from the frame header', () => {
+    assert.deepEqual(readImageSize(createJpeg(4000, 3000)), { width: 4000, height: 3000 });
+    assert.deepEqual(readImageSize(createJpeg(4000, 3000, 1)), { width: 4000, height: 3000 });
+});
+
+test('swaps the JPEG size when the EXIF orientation turns the photo', () => {
+    assert.deepEqual(readImageSize(createJpeg(4000, 3000, 6)), { width: 3000, height: 4000 });
+    assert.deepEqual(readImageSize(createJpeg(4000, 3000, 8)), { width: 3000, height: 4000 });
+    assert.deepEqual(readImageSize(createJpeg(4000, 3000, 3)), { width: 4000, height: 3000 });
+});
+
+test('reads lossy, lossless and extended WebP sizes', () => {
+    const lossy = createWebp('VP8 ', buffer => {
+        buffer.writeUInt16LE(640, 26);
+        buffer.writeUInt16LE(480, 28);
+    });
+    assert.deepEqual(readImageSize(lossy), { width: 640, height: 480 });
+
+    const lossless = createWebp('VP8L', buffer => buffer.writeUInt32LE((1024 - 1) | ((768 - 1) << 14), 21));
+    assert.deepEqual(readImageSize(lossless), { width: 1024, height: 768 });
+
+    const extended = createWebp('VP8X', buffer => {
+        buffer.writeUIntLE(5000 - 1, 24, 3);
+        buffer.writeUIntLE(2000 - 1, 27, 3);
+    });
+    assert.deepEqual(readImageSize(extended), { width: 5000, height: 2000 });
+});
+
+test('returns null for unknown formats and cut-short headers', () => {
+    assert.equal(readImageSize(Buffer.from('not an image at all')), null);
+    assert.equal(readImageSize(createJpeg(4000, 3000).subarray(0, 8)), null);
+    assert.equal(readImageSize(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a])), null);
+    assert.equal(readImageSize(createWebp('VP8 ', () => {})), null);
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { WebSocketConnection, acceptWebSocket } from '../scripts/lib/websocket.js';
+
+/**
+ * A stand-in for a network socket that records what is written to it.
+ */
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.written = [];
+        this.ended = false;
+    }
+
+    setNoDelay() {}
+
+    write(data) {
+        this.written.push(Buffer.from(data));
+    }
+
+    end(data) {
+        if (data) this.write(data);
+        this.ended = true;
+    }
+}
+
+/**
+ * Encodes a masked frame, as sent by a client.
+ * @param {number} opcode
+ * @param {string|Buffer} data
+ * @param {boolean} [fin=true]
+ * @returns {Buffer}
+ */
+function clientFrame(opcode, data, fin = true) {
+    const payload = Buffer.from(data);
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]);
+    } else {
+        header = Buffer.alloc(4);
+        header[0] = (fin ? 0x80 : 0) | opcode;
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * @param {FakeSocket} socket
+ * @returns {number|null} The status code of the close frame the server sent, if any.
+ */
+function closeCode(socket) {
+    const frame = socket.written.find(data => data[0] === 0x88);
+    return frame ? frame.readUInt16BE(2) : null;
+}
+
+/**
+ * @returns {{socket: FakeSocket, connection: WebSocketConnection, messages: string[]}}
+ */
+function connect() {
+    const socket = new FakeSocket();
+    const connection = new WebSocketConnection(socket);
+    const messages = [];
+    connection.on('message', text => messages.push(text));
+    return { socket, connection, messages };
+}
+
+test('unmasks text messages, including ones split across reads', () => {
+    const { socket, messages } = connect();
+    socket.emit('data', clientFrame(0x1, 'hello'));
+    const long = clientFrame(0x1, 'x'.repeat(300));
+    socket.emit('data', long.subarray(0, 3));
+    socket.emit('data', long.subarray(3, 100));
+    socket.emit('data', Buffer.concat([long.subarray(100), clientFrame(0x1, 'bye')]));
+    assert.deepEqual(messages, ['hello', 'x'.repeat(300), 'bye']);
+});
+
+test('joins fragmented messages and answers pings in between', () => {
+    const { socket, messages } = connect();
+    // The split falls inside the two bytes of 'é'.
+    const text = Buffer.from('Galléry');
+    socket.emit('data', clientFrame(0x1, text.subarray(0, 5), false));
+    socket.emit('data', clientFrame(0x9, 'are you there'));
+    socket.emit('data', clientFrame(0x0, text.subarray(5, 7), false));
+    socket.emit('data', clientFrame(0x0, text.subarray(7)));
+    assert.deepEqual(messages, ['Galléry']);
+    assert.deepEqual(socket.written, [Buffer.concat([Buffer.from([0x8a, 13]), Buffer.from('are you there')])]);
+});
+
+test('sends unmasked text frames', () => {
+    const { socket, connection } = connect();
+    connection.send('{"type":"hello"}');
+    assert.deepEqual(socket.written, [Buffer.concat([Buffer.from([0x81, 16]), Buffer.from('{"type":"hello"}')])]);
+});
+
+test('closes the connection on protocol errors', () => {
+    const unmasked = connect();
+    unmasked.socket.emit('data', Buffer.from([0x81, 0x02, 0x68, 0x69]));
+    assert.equal(closeCode(unmasked.socket), 1002);
+
+    const binary = connect();
+    binary.socket.emit('data', clientFrame(0x2, 'data'));
+    assert.equal(closeCode(binary.socket), 1003);
+
+    const oversized = connect();
+    const header = Buffer.alloc(14);
+    header[0] = 0x81;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(1n << 32n, 2);
+    oversized.socket.emit('data', header);
+    assert.equal(closeCode(oversized.socket), 1009);
+    assert.equal(oversized.socket.ended, true);
+});
+
+test('answers a close frame and emits close once', () => {
+    const { socket, connection } = connect();
+    let closes = 0;
+    connection.on('close', () => closes++);
+    socket.emit('data', clientFrame(0x8, Buffer.from([0x03, 0xe8])));
+    socket.emit('close');
+    assert.equal(closeCode(socket), 1000);
+    assert.equal(closes, 1);
+    connection.send('too late');
+    assert.equal(socket.written.length, 1);
+});
+
+test('completes the opening handshake', () => {
+    const socket = new FakeSocket();
+    const request = { headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } };
+    const connection = acceptWebSocket(request, socket);
+    const messages = [];
+    connection.on('message', text => messages.push(text));
+    const response = socket.written[0].toString();
+    assert.match(response, /^HTTP\/1\.1 101 Switching Protocols\r\n/);
+    assert.match(response, /\r\nSec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n/);
+    socket.emit('data', clientFrame(0x1, 'later'));
+    assert.deepEqual(messages, ['later']);
+});
+
+test('refuses requests that are not WebSocket upgrades', () => {
+    const socket = new FakeSocket();
+    assert.equal(acceptWebSocket({ headers: {} }, socket), null);
+    assert.match(socket.written[0].toString(), /^HTTP\/1\.1 400 Bad Request/);
+    assert.equal(socket.ended, true);
+});
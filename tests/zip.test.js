@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readZipEntries, extractZipEntry } from '../scripts/lib/zip.js';
+import { createZip } from './fixtures.js';
+
+test('lists files and folders with their sizes', () => {
+    const archive = createZip([
+        { name: 'Holiday/' },
+        { name: 'Holiday/001.jpg', data: 'first' },
+        { name: 'Holiday/002.jpg', data: 'second image', deflate: true }
+    ]);
+    const entries = readZipEntries(archive);
+    assert.deepEqual(entries.map(({ name, isDirectory, size }) => ({ name, isDirectory, size })), [
+        { name: 'Holiday/', isDirectory: true, size: 0 },
+        { name: 'Holiday/001.jpg', isDirectory: false, size: 5 },
+        { name: 'Holiday/002.jpg', isDirectory: false, size: 12 }
+    ]);
+});
+
+test('extracts stored and deflated entries', () => {
+    const text = 'painting '.repeat(50);
+    const archive = createZip([
+        { name: 'stored.txt', data: text },
+        { name: 'deflated.txt', data: text, deflate: true }
+    ]);
+    const [stored, deflated] = readZipEntries(archive);
+    assert.equal(deflated.method, 8);
+    assert.ok(deflated.compressedSize < deflated.size);
+    assert.equal(extractZipEntry(archive, stored).toString(), text);
+    assert.equal(extractZipEntry(archive, deflated).toString(), text);
+});
+
+test('decodes UTF-8 names and turns backslashes into slashes', () => {
+    const archive = createZip([
+        { name: 'Café/été.jpg', utf8: true },
+        { name: 'Windows\\photo.jpg' }
+    ]);
+    assert.deepEqual(readZipEntries(archive).map(entry => entry.name), ['Café/été.jpg', 'Windows/photo.jpg']);
+});
+
+test('rejects files that are not zip archives', () => {
+    assert.throws(() => readZipEntries(Buffer.from('not an archive, just some text')), /not a zip archive/i);
+});
+
+test('rejects unsupported compression methods', () => {
+    const archive = createZip([{ name: 'a.jpg', data: 'x' }]);
+    const [entry] = readZipEntries(archive);
+    assert.throws(() => extractZipEntry(archive, { ...entry, method: 14 }), /Unsupported compression method 14/);
+});
@@ -5,6 +5,8 @@ setlocal
 :: Scans for valid galleries and updates the master 'galleries.json' file.
 :: Place this script in the root project folder.
 :: v3.3 - Corrected PowerShell logic to always output a JSON array.
+:: v3.4 - Finds galleries in nested folders (listed as e.g. 'Travel/2023/Japan')
+::        and keeps the 'categories' of an existing galleries.json.
 :: ============================================================================
 
 :: --- Using simple relative paths, as the script is run from the root folder ---
@@ -22,17 +24,23 @@ if not exist "%images_dir%" (
 
 :: --- Use PowerShell for robust directory scanning and JSON creation ---
 powershell -ExecutionPolicy Bypass -Command ^
-    "$imagesPath = '%images_dir%';" ^
-    "$galleries = @(Get-ChildItem -Path $imagesPath -Directory | ForEach-Object {" ^
+    "$imagesPath = (Resolve-Path -Path '%images_dir%').Path;" ^
+    "$galleries = @(Get-ChildItem -Path $imagesPath -Directory -Recurse | ForEach-Object {" ^
     "    if (Test-Path -Path (Join-Path -Path $_.FullName -ChildPath 'manifest.json')) {" ^
-    "        $_.Name;" ^
+    "        $_.FullName.Substring($imagesPath.Length + 1).Replace('\', '/');" ^
     "    }" ^
     "}) | Sort-Object;" ^
+    "$categories = $null;" ^
+    "if (Test-Path -Path '%output_file%') {" ^
+    "    $previous = Get-Content -Raw -Path '%output_file%' | ConvertFrom-Json;" ^
+    "    if ($previous.categories) { $categories = $previous.categories };" ^
+    "}" ^
     "if ($galleries) {" ^
     "    Write-Host '[INFO] Found the following valid galleries:';" ^
     "    $galleries | ForEach-Object { Write-Host ('  - ' + $_) };" ^
-    "    $jsonObject = @{ galleries = $galleries };" ^
-    "    $jsonObject | ConvertTo-Json -Compress | Set-Content -Path '%output_file%';" ^
+    "    $jsonObject = [ordered]@{ galleries = $galleries };" ^
+    "    if ($categories) { $jsonObject.categories = $categories };" ^
+    "    $jsonObject | ConvertTo-Json -Compress -Depth 5 | Set-Content -Path '%output_file%';" ^
     "    Write-Host '[SUCCESS] galleries.json has been updated successfully.';" ^
     "} else {" ^
     "    '{\"galleries\":[]}' | Set-Content -Path '%output_file%';" ^